@@ -0,0 +1,1048 @@
+/*───────────────────────────────────────────────────────────────────────────────
+  run-suite.js
+  ----------
+  • Programmatic QA runner: runSuite({ urls, testIds, options, sinks })
+  • Runs Playwright checks from the test-case registry (test-cases/) per URL
+  • Persists runs, results and crawl progress through a storage sink
+  • Checkpoints each finished URL so an interrupted run can be resumed
+  • Optional crawl mode follows same-host links from the URLs (see utils/crawler.js)
+  • Browser matrix: each URL row runs in Chromium, Firefox and/or WebKit
+  • Device profiles (phone, tablets, laptop) re-run the per-device checks per URL
+  • Region profiles (config.js) set locale, timezone, geolocation and the GeoIP stub per Region
+  • Region proxies are checked for their egress country before any test runs
+  • Site profiles (config.js) supply the selectors and URL patterns per brand site
+  • Uploads failure screenshots/videos through an artifact sink
+  • Returns the per-URL result rows and the summary payload (summary.json shape)
+  • Never exits the process: errors are thrown to the caller
+  • Used by the api/qa-test.js CLI, other Node scripts and Jest
+──────────────────────────────────────────────────────────────────────────────*/
+
+import fs from 'fs';
+import path from 'path';
+import { chromium, firefox, webkit } from 'playwright';
+import pTimeout from 'p-timeout';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { loadTestRegistry, TEST_CASES_DIR, DEFAULT_TEST_TIMEOUT } from '../utils/test-registry.js';
+import { handleGatekeeper, handleOverlays, handleSurvey, overlayInitScript, phaseRules, validateOverlayRules } from '../utils/overlays.js';
+import { createWorkerPool, hostOf, DEFAULT_CONCURRENCY, DEFAULT_HOST_CONCURRENCY } from '../utils/worker-pool.js';
+import { createLinkChecker } from '../utils/link-checker.js';
+import { capturePageErrors, hasPageErrors } from '../utils/page-errors.js';
+import { webVitalsInitScript } from '../utils/web-vitals.js';
+import { createCrawlFrontier, DEFAULT_CRAWL_DEPTH, DEFAULT_CRAWL_MAX_PAGES } from '../utils/crawler.js';
+import { pathLocale } from '../utils/hreflang.js';
+import { parseBrowsers, DEFAULT_BROWSER } from '../utils/browsers.js';
+import { parseDevices, deviceContextOptions } from '../utils/devices.js';
+import { resolveRegionProfile, regionContextOptions, geoIpResponse } from '../utils/regions.js';
+import { checkRegionProxies } from '../utils/proxy.js';
+import { resolveSiteProfile } from '../utils/sites.js';
+import { DEFAULT_VIEWPORT, MOBILE_VIEWPORT } from '../utils/viewports.js';
+
+// Constants for configuration
+export const DEFAULT_TIMEOUT = 10000;
+export const NAVIGATION_TIMEOUT = 45000;
+const SCREENSHOT_DIR = 'screenshots';
+const VIDEO_DIR = 'videos';
+const DEBUG_DIR = 'debug_logs';
+const BLOCKED_RESOURCES = [
+  'gtm.js',
+  'analytics.js',
+  '.woff',
+  '.woff2',
+  'qualtrics.com',
+  'qualified.com',
+  'survey',
+  'feedback',
+  'msecnd.net/survey',
+  'siteintercept'
+];
+const BROWSER_TYPES = { chromium, firefox, webkit };
+const URL_TIMEOUT = 90000;
+const RETRY_TIMEOUT_ALLOWANCE = 30000; // extra URL time per possible retry
+
+// Storage sink used when the caller does not persist results anywhere
+const noopStorage = {
+  name: 'none',
+  async createRun() {},
+  async startProgress() {},
+  async updateProgress() {},
+  async completeProgress() {},
+  async resumeProgress() {},
+  async insertTestResult() {},
+  async insertMetrics() {},
+  async updateTestResult() {},
+  async attachMedia() {},
+  async discardTestResults() {},
+  async saveCheckpoint() {},
+  async loadCheckpoint() { return []; },
+};
+
+// GE serves a client-side GeoIP redirect (GetClientCountry -> redirectUrl)
+// that bounces non-US region pages to /en-us when hit from the US-based CI
+// runner — which breaks region-specific tests (e.g. TC-13 on /de-de, which
+// otherwise lands on the English site with no Ultraschall nav). Answer with the
+// row's region profile (see utils/regions.js) so the page stays put and renders local content.
+// Rows browsing through a region proxy already egress in that country and get the real answer.
+async function stubGeoIp(page, regionProfile) {
+  if (regionProfile.proxy) return;
+  await page.route('**/GeoIPLocator/GetClientCountry**', r =>
+    r.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify(geoIpResponse(regionProfile)),
+    }).catch(() => r.continue().catch(() => {}))
+  );
+}
+
+// Retries for a test: options.retries (a number for every test, or a map by test ID) overrides the module's own
+export function retriesFor(testCase, retries) {
+  if (typeof retries === 'number') return retries;
+  if (retries && retries[testCase.id] !== undefined) return retries[testCase.id];
+  return testCase.retries;
+}
+
+// Status of a check from its outcome; a pass that took more than one attempt is Flaky
+export function testStatus({ pass, knownIssue = false, attempts = 1 }) {
+  if (knownIssue) return 'Known Issue';
+  if (!pass) return 'Fail';
+  return attempts > 1 ? 'Flaky' : 'Pass';
+}
+
+// Same page apart from the #fragment (an in-page anchor click does not leave the page)
+function sameDocument(a, b) {
+  return a.split('#')[0] === b.split('#')[0];
+}
+
+// Page status from its test statuses: any Fail > Known Issue > Flaky > Pass; NA when nothing ran
+function pageStatus(statuses) {
+  if (!statuses.length) return 'NA';
+  if (statuses.includes('Fail')) return 'Fail';
+  if (statuses.includes('Known Issue')) return 'Known Issue';
+  if (statuses.includes('Flaky')) return 'Flaky';
+  return 'Pass';
+}
+
+// Accept URL strings or { url, testIds, region, canonical, browsers, devices } rows; testIds, browsers and
+// devices may be arrays or comma lists. A row becomes one entry per browser, each followed by one entry
+// per device profile that runs only the row's per-device tests.
+function normalizeUrls(urls, { testIds: defaultTestIds, browsers: defaultBrowsers, devices: defaultDevices, perDeviceTestIds }) {
+  return urls.flatMap(entry => {
+    const row = typeof entry === 'string' ? { url: entry } : entry;
+    const ids = Array.isArray(row.testIds)
+      ? row.testIds
+      : String(row.testIds || '').split(',').map(id => id.trim()).filter(Boolean);
+    const rowTestIds = ids.length ? ids : defaultTestIds;
+    const deviceTestIds = rowTestIds.filter(id => perDeviceTestIds.includes(id));
+    const devices = deviceTestIds.length ? parseDevices(row.devices || row.data?.devices, defaultDevices) : [];
+    return parseBrowsers(row.browsers || row.data?.browsers, defaultBrowsers).flatMap(browser =>
+      [null, ...devices].map(device => ({
+        url: row.url,
+        testIds: device ? deviceTestIds : rowTestIds,
+        data: {
+          region: row.region || row.data?.region || 'N/A',
+          canonical: row.canonical || row.data?.canonical || '',
+          site: row.site || row.data?.site || '',
+          browser,
+          device,
+        }
+      })));
+  });
+}
+
+// Browser and device of a result row; rows sharing both are compared by run-level checks
+const variantOf = row => [row.browser, row.device].filter(Boolean).join(' ');
+
+/**
+ * Builds the summary payload (the summary.json / store-run shape) from result rows.
+ *
+ * @param {Object[]} results - Per-URL result rows from runSuite.
+ * @param {Object} meta - { runId, initiatedBy, environment, registry, screenshotUrls, videoUrls, crawl,
+ *   runLevel } where `runLevel` holds the lists run-level checks added (e.g. TC-23 `hreflangClusters`).
+ * @returns {Object} Summary payload.
+ */
+export function buildSummary(results, { runId, initiatedBy, environment, registry, screenshotUrls = [], videoUrls = [], crawl = null, runLevel = {} }) {
+  const allTestIds = registry.allTestIds;
+  const total = results.length;
+  const passed = results.filter(r => r['Page Pass?'] === 'Pass').length;
+  const failed = results.filter(r => r['Page Pass?'] === 'Fail').length;
+  const na = results.filter(r => r['Page Pass?'] === 'NA').length;
+  const knownIssue = results.filter(r => r['Page Pass?'] === 'Known Issue').length;
+  const flaky = results.filter(r => r['Page Pass?'] === 'Flaky').length;
+
+  logger.info(`\nSummary: ${passed}/${total} pages passed, ${failed} failed, ${knownIssue} known issue, ${flaky} flaky, ${na} N/A.`);
+  const testFailureSummary = {};
+  const knownIssueSummary = {};
+  const flakySummary = {};
+  allTestIds.forEach(id => {
+    const f = results.filter(r => r[id] === 'Fail').length;
+    if (f > 0) {
+      logger.info(`• ${f} × ${id}`);
+      testFailureSummary[id] = f;
+    }
+    const k = results.filter(r => r[id] === 'Known Issue').length;
+    if (k > 0) knownIssueSummary[id] = k;
+    const fl = results.filter(r => r[id] === 'Flaky').length;
+    if (fl > 0) flakySummary[id] = fl;
+  });
+
+  // Browser/device matrix: failures per test ID for each browser (or device profile), so the
+  // dashboard can filter by them
+  const failuresBy = field => {
+    const values = [...new Set(results.map(r => r[field]).filter(Boolean))];
+    const byValue = Object.fromEntries(values.map(value => {
+      const rows = results.filter(r => r[field] === value);
+      const counts = allTestIds
+        .map(id => [id, rows.filter(r => r[id] === 'Fail').length])
+        .filter(([, count]) => count > 0);
+      return [value, Object.fromEntries(counts)];
+    }));
+    return [values, byValue];
+  };
+  const [browsers, testFailureSummaryByBrowser] = failuresBy('browser');
+  const [devices, testFailureSummaryByDevice] = failuresBy('device');
+
+  const failedUrlsList = [];
+  const knownIssueUrlsList = [];
+  const flakyUrlsList = [];
+  const urlResults = [];
+  for (const result of results) {
+    const pagePassStatus = result['Page Pass?'];
+    const variant = { ...(result.browser && { browser: result.browser }), ...(result.device && { device: result.device }) };
+    if (pagePassStatus === 'Fail') {
+      const failedTestsForUrl = allTestIds.filter(id => result[id] === 'Fail');
+      failedUrlsList.push({ url: result['url'], ...variant, failedTests: failedTestsForUrl });
+    }
+    if (pagePassStatus === 'Known Issue') {
+      const knownIssueTestsForUrl = allTestIds.filter(id => result[id] === 'Known Issue');
+      knownIssueUrlsList.push({ url: result['url'], ...variant, knownIssueTests: knownIssueTestsForUrl });
+    }
+    const flakyTestsForUrl = allTestIds
+      .filter(id => result[id] === 'Flaky')
+      .map(id => ({ id, attempts: result.attempts?.[id] || 2 }));
+    if (flakyTestsForUrl.length) flakyUrlsList.push({ url: result['url'], ...variant, flakyTests: flakyTestsForUrl });
+    urlResults.push({
+      url: result['url'],
+      ...variant,
+      passed: pagePassStatus === 'Pass' || pagePassStatus === 'Flaky',
+      ...(pagePassStatus === 'Fail' && { failedTests: allTestIds.filter(id => result[id] === 'Fail') }),
+      ...(pagePassStatus === 'Known Issue' && { knownIssue: true, knownIssueTests: allTestIds.filter(id => result[id] === 'Known Issue') }),
+      ...(flakyTestsForUrl.length && { flaky: true, flakyTests: flakyTestsForUrl })
+    });
+  }
+
+  return {
+    runId,
+    crawlName: 'QA Run',
+    date: new Date().toISOString(),
+    totalUrls: total,
+    passedUrls: passed,
+    naUrls: na,
+    successCount: passed,
+    failureCount: failed,
+    naCount: na,
+    knownIssueCount: knownIssue,
+    flakyCount: flaky,
+    initiatedBy,
+    testFailureSummary,
+    ...(browsers.length && { browsers, testFailureSummaryByBrowser }),
+    ...(devices.length && { devices, testFailureSummaryByDevice }),
+    knownIssueSummary,
+    flakySummary,
+    testCases: registry.list().map(({ id, title }) => ({ id, title })),
+    failedUrls: failedUrlsList,
+    knownIssueUrls: knownIssueUrlsList,
+    flakyUrls: flakyUrlsList,
+    urlResults,
+    // Browser console errors, uncaught exceptions and failed requests, for URLs that had any
+    pageErrors: results
+      .filter(result => hasPageErrors(result.pageErrors))
+      .map(({ url, pageErrors }) => ({ url, ...pageErrors })),
+    screenshot_paths: screenshotUrls,
+    video_paths: videoUrls,
+    // Crawl mode only: the limits used and how many pages the seeds led to
+    ...(crawl && { crawl }),
+    ...runLevel,
+    environment
+  };
+}
+
+/**
+ * Runs the QA suite against a list of URLs.
+ *
+ * @param {Object} params
+ * @param {Array<string|Object>} params.urls - URL strings or { url, testIds, region } rows.
+ * @param {string[]} [params.testIds] - Test IDs for rows that do not list their own (default: every registered test
+ *   except opt-in ones such as TC-17 visual regression).
+ * @param {Object} [params.options]
+ * @param {string} [params.options.initiatedBy='api'] - Recorded on the run.
+ * @param {boolean} [params.options.captureVideo=false] - Record a video for URLs with failures.
+ * @param {string} [params.options.environment] - Defaults to VERCEL_ENV or 'production'.
+ * @param {string} [params.options.runId] - Reuse a run ID instead of generating one.
+ * @param {number} [params.options.concurrency=3] - URLs processed at once across all hosts.
+ * @param {number|Object} [params.options.hostConcurrency=3] - URLs at once per hostname, or a map by
+ *   hostname (with optional '*' default). Hosts answering 403/429 back off automatically.
+ * @param {boolean} [params.options.resume=false] - Continue `runId` from its checkpoint: URLs already
+ *   finished are not re-run and their stored rows are merged into the results and summary.
+ * @param {Object} [params.options.crawl] - Crawl mode: `urls` are seeds and same-host links are followed
+ *   ({ maxDepth = 2, maxPages = 100, respectRobots = true }). Discovered pages run `testIds` (or the
+ *   default tests) through the same pipeline. Crawl runs cannot be resumed.
+ * @param {string} [params.options.testCasesDir] - Directory of test-case modules.
+ * @param {number|Object} [params.options.retries] - Retries for a failed check, for every test or
+ *   by test ID (e.g. { 'TC-07': 2 }); defaults to each module's `retries`. A check that passes on a
+ *   retry is recorded as Flaky with its attempt count.
+ * @param {string|string[]} [params.options.browsers='chromium'] - Browsers for rows that do not list their own
+ *   (`browsers` on a row); each row runs once per browser, with results keyed by browser.
+ * @param {string|string[]} [params.options.devices] - Device profiles (see utils/devices.js) for rows that do
+ *   not list their own (`devices` on a row); the per-device tests run again in each, keyed by device.
+ * @param {Object} [params.options.launchOptions] - Passed to every browser's launch().
+ * @param {Object} [params.sinks]
+ * @param {Object} [params.sinks.storage] - Run/result/progress sink (see utils/storage/index.js); results are not persisted when omitted.
+ * @param {Object} [params.sinks.artifacts] - Artifact store (see utils/artifacts/index.js); screenshots stay on disk when omitted.
+ * @returns {Promise<{ runId: string, results: Object[], allTestIds: string[], summary: Object }>}
+ */
+export async function runSuite({ urls, testIds, options = {}, sinks = {} }) {
+  const {
+    initiatedBy = 'api',
+    captureVideo = false,
+    environment = process.env.VERCEL_ENV || 'production',
+    testCasesDir = TEST_CASES_DIR,
+    launchOptions = {},
+    resume = false,
+    retries,
+    concurrency = DEFAULT_CONCURRENCY,
+    hostConcurrency = DEFAULT_HOST_CONCURRENCY,
+    crawl = null,
+  } = options;
+  const defaultBrowsers = parseBrowsers(options.browsers);
+  const defaultDevices = parseDevices(options.devices);
+  const storage = sinks.storage || noopStorage;
+  const artifacts = sinks.artifacts || null;
+
+  if (!Array.isArray(urls) || !urls.length) {
+    throw new Error('runSuite requires a non-empty urls array');
+  }
+  if (resume && !options.runId) {
+    throw new Error('runSuite requires options.runId when options.resume is set');
+  }
+  if (resume && crawl) {
+    throw new Error('runSuite cannot resume a crawl run: its frontier is not checkpointed');
+  }
+  // Per-host throttling reacts to the status of every page navigation; invalid limits throw here
+  const pool = createWorkerPool({ concurrency, hostConcurrency });
+
+  // Discover test-case modules; every valid test ID comes from the registry
+  const registry = await loadTestRegistry(testCasesDir);
+  validateOverlayRules();
+  const allTestIds = registry.allTestIds;
+  logger.info(`Registered test cases: ${allTestIds.join(', ')}`);
+
+  const rowDefaults = {
+    testIds: testIds || registry.defaultTestIds,
+    browsers: defaultBrowsers,
+    devices: defaultDevices,
+    perDeviceTestIds: registry.list().filter(tc => tc.perDevice).map(tc => tc.id),
+  };
+  const urlRows = normalizeUrls(urls, rowDefaults);
+  // Results are only keyed by browser in storage when the run uses more than the default one,
+  // and by device (null for the row's own run) when any row uses device profiles
+  const matrix = urlRows.some(u => u.data.browser !== DEFAULT_BROWSER) || defaultBrowsers.length > 1;
+  const deviceRun = urlRows.some(u => u.data.device) || defaultDevices.length > 0;
+  const storageKeys = urlData => ({
+    ...(matrix && { browser: urlData.data.browser }),
+    ...(deviceRun && { device: urlData.data.device }),
+  });
+  logger.info(`Loaded ${urlRows.length} URLs${crawl ? ' as crawl seeds' : ''}.`);
+  // Fail fast on a Site column naming no profile
+  urlRows.forEach(u => resolveSiteProfile(u.data.site, u.url));
+
+  // Pre-flight: every region proxy must egress in its region's country, or the run would test the wrong geo
+  const proxyChecks = await checkRegionProxies(urlRows
+    .filter(u => /^https?:\/\//.test(u.url || ''))
+    .map(u => resolveRegionProfile(u.data.region, u.url)));
+  for (const { key, country, ok, problem } of proxyChecks) {
+    if (ok) logger.info(`Proxy for ${key} egresses in ${country}.`);
+    else logger.error(`Proxy for ${key} failed the pre-flight check: ${problem}`);
+  }
+  const failedProxies = proxyChecks.filter(check => !check.ok);
+  if (failedProxies.length) {
+    throw new Error(`Proxy pre-flight failed: ${failedProxies.map(check => `${check.key}: ${check.problem}`).join('; ')}`);
+  }
+
+  // Result row for a URL with its test IDs and default values (crawl mode appends rows as pages are found)
+  const newResultRow = u => {
+    const row = { url: u.url, 'test ids': u.testIds.join(','), region: u.data.region, browser: u.data.browser, device: u.data.device };
+    allTestIds.forEach(id => (row[id] = 'NA'));
+    row['HTTP Status'] = '-';
+    row['Page Pass?'] = 'Not Run';
+    row.attempts = {}; // test ID -> attempts, for checks that were retried
+    row.errorDetails = {}; // test ID -> error_details, for reporters
+    row.details = {}; // test ID -> structured outcome data (e.g. TC-18 violations)
+    row.screenshotUrl = null;
+    row.videoUrl = null;
+    row.thumbnail = null; // small JPEG data URI of the failure screenshot, for the HTML report
+    row.geoMismatch = null;
+    row.pageErrors = null; // { console, pageErrors, requestFailures } captured while the URL ran
+    row.crawl = crawl ? { depth: u.depth || 0, foundOn: u.foundOn || null } : null;
+    return row;
+  };
+  const results = urlRows.map(newResultRow);
+
+  const runId = options.runId || `run-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+  const totalUrls = urlRows.length;
+  const startTime = new Date().toISOString();
+  const allScreenshotUrls = [];
+  const allVideoUrls = [];
+  const pendingIndexes = [];
+
+  if (resume) {
+    // Restore finished URLs from the checkpoint; a row only counts if it is still the same URL, browser and device
+    const checkpoint = new Map((await storage.loadCheckpoint(runId)).map(entry => [entry.index, entry]));
+    urlRows.forEach((urlData, idx) => {
+      const entry = checkpoint.get(idx);
+      if (entry && entry.url === urlData.url && (entry.row?.browser || DEFAULT_BROWSER) === urlData.data.browser &&
+          (entry.row?.device || null) === urlData.data.device) {
+        results[idx] = { ...results[idx], ...entry.row };
+        if (entry.screenshotUrl) allScreenshotUrls.push(entry.screenshotUrl);
+        if (entry.videoUrl) allVideoUrls.push(entry.videoUrl);
+      } else {
+        pendingIndexes.push(idx);
+      }
+    });
+    logger.info(`Resuming run ${runId}: ${totalUrls - pendingIndexes.length}/${totalUrls} URLs already finished.`);
+
+    // Drop results a URL wrote before the interruption so it is not recorded twice (per browser and device)
+    const rowKey = u => `${variantOf(u.data)} ${u.url}`;
+    const finishedKeys = new Set(urlRows.filter((_, idx) => !pendingIndexes.includes(idx)).map(rowKey));
+    const pendingRows = pendingIndexes.map(idx => urlRows[idx]).filter(u => !finishedKeys.has(rowKey(u)));
+    for (const variant of new Set(pendingRows.map(u => variantOf(u.data)))) {
+      const rows = pendingRows.filter(u => variantOf(u.data) === variant);
+      await storage.discardTestResults({ runId, urls: [...new Set(rows.map(u => u.url))], ...storageKeys(rows[0]) });
+    }
+    await storage.resumeProgress({ runId, completed: totalUrls - pendingIndexes.length });
+  } else {
+    urlRows.forEach((_, idx) => pendingIndexes.push(idx));
+    await storage.createRun({ runId, initiatedBy, environment });
+    logger.info(`Test Run created with ID: ${runId}`);
+
+    // Initialize crawl progress
+    await storage.startProgress({ runId, totalUrls, startedAt: startTime, environment });
+  }
+  const resumedCount = totalUrls - pendingIndexes.length;
+  let completedCount = resumedCount;
+
+  // Set up directories for screenshots, videos, and debug logs
+  if (!fs.existsSync(SCREENSHOT_DIR)) fs.mkdirSync(SCREENSHOT_DIR);
+  if (!fs.existsSync(VIDEO_DIR)) fs.mkdirSync(VIDEO_DIR);
+  if (!fs.existsSync(DEBUG_DIR)) fs.mkdirSync(DEBUG_DIR);
+
+  // Launched browsers by engine name: { browser, contexts, contextOptions, userAgent }
+  const engines = {};
+
+  try {
+    const stealthInit = () => {
+      Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+    };
+
+    // Shared setup of a browsing context: stealth, web-vitals capture, timeouts, resource blocking, overlays
+    async function setUpContext(context) {
+      await context.addInitScript(stealthInit);
+      await context.addInitScript(webVitalsInitScript);
+
+      // Set default timeouts
+      context.setDefaultTimeout(DEFAULT_TIMEOUT);
+      context.setDefaultNavigationTimeout(NAVIGATION_TIMEOUT);
+
+      // Block non-essential resources to optimize performance and prevent survey pop-ups
+      await context.route('**/*', route => {
+        const url = route.request().url();
+        if (BLOCKED_RESOURCES.some(substring => url.includes(substring))) {
+          logger.info(`Blocked: ${url}`);
+          return route.abort();
+        }
+        return route.continue();
+      });
+
+      // Hide overlays and surveys as they appear (init rules in config.js overlayRules)
+      await context.addInitScript(overlayInitScript, phaseRules('init'));
+    }
+
+    // Launch one engine of the browser matrix; its shared contexts are created per region on first use
+    async function launchEngine(name) {
+      const browser = await BROWSER_TYPES[name].launch(launchOptions);
+      engines[name] = { browser, contexts: new Map() };
+
+      // Anti-headless-detection: GE serves/redirects automated browsers differently
+      // (e.g. /de-de geo-redirects to /en-us for headless, but NOT for a real US
+      // browser — even fresh incognito). Derive a realistic User-Agent from the
+      // actual browser with the "HeadlessChrome" token stripped, and mask
+      // navigator.webdriver, so region pages render as their true locale in CI.
+      const _uaProbeCtx = await browser.newContext();
+      const _uaProbePage = await _uaProbeCtx.newPage();
+      const realisticUserAgent = (await _uaProbePage.evaluate(() => navigator.userAgent)).replace(/HeadlessChrome/g, 'Chrome');
+      await _uaProbeCtx.close();
+      logger.info(`Using realistic User-Agent (${name}): ${realisticUserAgent}`);
+
+      const contextOptions = {
+        viewport: DEFAULT_VIEWPORT, // Default to larger viewport
+        userAgent: realisticUserAgent,
+      };
+      Object.assign(engines[name], { contextOptions, userAgent: realisticUserAgent });
+    }
+
+    // The engine's shared context for a region profile (locale, timezone, geolocation, proxy)
+    function regionContext(engine, regionProfile) {
+      if (!engine.contexts.has(regionProfile.key)) {
+        engine.contexts.set(regionProfile.key, (async () => {
+          const context = await engine.browser.newContext({ ...engine.contextOptions, ...regionContextOptions(regionProfile) });
+          await setUpContext(context);
+          return context;
+        })());
+      }
+      return engine.contexts.get(regionProfile.key);
+    }
+
+    // Every engine a row with a valid URL asks for (crawled pages use the run's default browsers)
+    const engineNames = [...new Set([
+      ...urlRows.filter(u => /^https?:\/\//.test(u.url || '')).map(u => u.data.browser),
+      ...(crawl ? defaultBrowsers : []),
+    ])];
+    for (const name of engineNames) await launchEngine(name);
+    const primaryUserAgent = engines[engineNames[0]]?.userAgent;
+
+    // One link checker per run: TC-19 checks each distinct link once across all pages
+    const linkChecker = createLinkChecker({ userAgent: primaryUserAgent });
+
+    // Crawl mode: the seeds are depth 0; links found on each page feed the frontier
+    const frontier = crawl ? createCrawlFrontier({
+      ...crawl,
+      seeds: [...new Set(urlRows.map(u => u.url))].filter(url => /^https?:\/\//.test(url)),
+      userAgent: primaryUserAgent,
+    }) : null;
+    const foundLinks = new Map(); // URL index -> { baseUrl, hrefs } collected right after navigation
+
+    /* Helper Functions */
+
+    // Console/page-error/request-failure capture per page, for diagnostics
+    const pageCaptures = new WeakMap();
+    function watchPage(page) {
+      const captured = capturePageErrors(page, {
+        ignoreRequest: requestUrl => BLOCKED_RESOURCES.some(substring => requestUrl.includes(substring)),
+      });
+      pageCaptures.set(page, captured);
+      return captured;
+    }
+
+    // Log debugging for failed tests; test-case modules may add their own diagnostics
+    async function logPageDom(page, url, testId, site) {
+      try {
+        const captured = pageCaptures.get(page);
+        const testCase = registry.get(testId);
+        if (testCase?.diagnose) {
+          logger.info(`${testId} Failure Details:`);
+          await testCase.diagnose(page, { url, site, logger });
+        } else {
+          logger.info(`${testId} Failure: No specific logging defined. Generic details:`);
+        }
+        logger.info(`- Console errors: ${captured?.console.length ? captured.console.join('; ') : 'None'}`);
+        logger.info(`- Uncaught exceptions: ${captured?.pageErrors.length ? captured.pageErrors.join('; ') : 'None'}`);
+        logger.info(`- Failed requests: ${captured?.requestFailures.length ? captured.requestFailures.join('; ') : 'None'}`);
+      } catch (err) {
+        logger.error(`Failed to log debug details for ${testId}: ${err.message}`);
+      }
+    }
+
+    // Upload through the artifact sink, or keep the local file when there is none
+    async function uploadFile(filePath, destPath) {
+      if (!artifacts) return filePath;
+      return artifacts.upload(filePath, destPath);
+    }
+
+    // Update crawl progress with ETA (rate measured on URLs finished in this session); in crawl
+    // mode the total grows with the frontier, so the estimate covers the pages found so far
+    async function updateProgress(completed) {
+      const now = new Date();
+      const elapsedMs = now - new Date(startTime);
+      const urlsPerMs = completed > resumedCount ? (completed - resumedCount) / elapsedMs : 0;
+      const totalUrls = urlRows.length;
+      const remainingUrls = totalUrls - completed;
+      const estimatedMsLeft = urlsPerMs > 0 ? remainingUrls / urlsPerMs : Infinity;
+      const estimatedDone = estimatedMsLeft === Infinity ? null : new Date(now.getTime() + estimatedMsLeft).toISOString();
+
+      const percentage = totalUrls > 0 ? Math.round((completed / totalUrls) * 100) : 100;
+      const minutesLeft = estimatedMsLeft === Infinity ? 'N/A' : Math.ceil(estimatedMsLeft / 60000);
+      const statusSummary = crawl
+        ? `Crawled ${completed} of ${totalUrls} pages found so far (${remainingUrls} queued). Estimated time left: ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}.`
+        : `Your test is ${percentage}% done. Estimated time left: ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}.`;
+
+      await storage.updateProgress({ runId, completed, estimatedDone, statusSummary, ...(crawl && { totalUrls }) });
+    }
+
+    // Record a single test result through the storage sink
+    async function insertTestResult(urlData, testId, result, errorDetails, screenshotUrl, videoUrl, attempts = 1, details = null) {
+      const { url, data: { region } } = urlData;
+      await storage.insertTestResult({ runId, url, region, testId, result, errorDetails, screenshotUrl, videoUrl, attempts, details, environment, ...storageKeys(urlData) });
+    }
+
+    // Mark a URL as finished: checkpoint its result row, then advance progress
+    async function finishUrl(idx, { screenshotUrl = null, videoUrl = null } = {}) {
+      await storage.saveCheckpoint({ runId, index: idx, url: urlRows[idx].url, row: results[idx], screenshotUrl, videoUrl });
+      completedCount++;
+      await updateProgress(completedCount);
+    }
+
+    // File name stem for a URL's screenshots and videos; other browsers and device profiles get a
+    // suffix so they do not overwrite the plain Chromium run's
+    function fileSafeUrl(urlData) {
+      const { browser, device } = urlData.data;
+      const suffix = [browser !== DEFAULT_BROWSER && browser, device].filter(Boolean).map(part => `-${part}`).join('');
+      return `${urlData.url.replace(/[^a-zA-Z0-9_-]/g, '_')}${suffix}`;
+    }
+
+    // Process a single URL with its associated tests
+    async function runUrl(urlData, idx) {
+      const url = urlData.url;
+      const testIds = urlData.testIds;
+      const region = urlData.data.region;
+      const variant = [matrix && urlData.data.browser, urlData.data.device].filter(Boolean).join(', ');
+      logger.info(`[${idx + 1}/${urlRows.length}] ${url}${variant ? ` (${variant})` : ''}`);
+      const t0 = Date.now();
+
+      // Validate URL format
+      if (!url || !/^https?:\/\//.test(url)) {
+        logger.warn(`Invalid URL: ${url}`);
+        results[idx]['HTTP Status'] = 'Invalid URL';
+        for (const id of testIds) results[idx][id] = 'NA';
+        return;
+      }
+      const engine = engines[urlData.data.browser];
+      const { browser } = engine;
+
+      // Region profile from the Region column (or the URL's /xx-yy segment)
+      const regionProfile = resolveRegionProfile(region, url);
+      const contextOptions = { ...engine.contextOptions, ...regionContextOptions(regionProfile) };
+      const context = await regionContext(engine, regionProfile);
+      // Site profile from the Site column (or the URL's hostname): selectors and URL patterns for the tests
+      const siteProfile = resolveSiteProfile(urlData.data.site, url);
+
+      let page, resp;
+      let contextToUse = context;
+      let gatekeeperDetected = false;
+      let landedUrl = url; // where the row ended up after redirects, gatekeeper and overlays
+      let pageGeoMismatch = false; // region URL silently geo-redirected to en-us in CI
+
+      // Device rows get a context emulating the profile (viewport, DPR, touch, user agent)
+      if (urlData.data.device) {
+        contextToUse = await browser.newContext({ ...contextOptions, ...deviceContextOptions(urlData.data.device, urlData.data.browser) });
+        await setUpContext(contextToUse);
+      } else if (testIds.some(id => registry.get(id)?.requires.incognito)) {
+        // Use a fresh context to simulate incognito mode when any requested test needs it
+        contextToUse = await browser.newContext(contextOptions);
+        await setUpContext(contextToUse);
+      }
+
+      page = await contextToUse.newPage();
+      results[idx].pageErrors = watchPage(page);
+      await stubGeoIp(page, regionProfile);
+
+      try {
+        logger.info('Navigating to URL...');
+        resp = await pTimeout(page.goto(url, { timeout: NAVIGATION_TIMEOUT, waitUntil: 'domcontentloaded' }), NAVIGATION_TIMEOUT, 'Navigation timeout');
+        logger.info('Navigation completed');
+        gatekeeperDetected = await handleGatekeeper(page, url);
+        await handleOverlays(page);
+        await handleSurvey(page);
+        landedUrl = page.url();
+
+        // Blind-spot detector: warn if a region URL silently lands on a different
+        // lang-region (e.g. headless /de-de -> /en-us geo-redirect), which means
+        // the tests would be evaluating the wrong locale's page.
+        const reqRegionM = siteProfile.regionPathPattern && url.match(siteProfile.regionPathPattern);
+        if (reqRegionM) {
+          const reqRegion = reqRegionM[1].toLowerCase();
+          const landedUrl = page.url();
+          const landedLang = await page.evaluate(() => document.documentElement.lang || '').catch(() => '');
+          if (!landedUrl.toLowerCase().includes('/' + reqRegion)) {
+            pageGeoMismatch = true;
+            results[idx].geoMismatch = `requested ${reqRegion} -> landed ${landedUrl} (lang=${landedLang || 'unknown'})`;
+            logger.warn(`[GEO-MISMATCH] requested ${reqRegion} (${url}) -> landed ${landedUrl} (lang=${landedLang})`);
+          }
+        }
+
+        // Collect links before any test clicks or navigates away
+        if (frontier) {
+          const hrefs = await page.$$eval('a[href]', anchors => anchors.map(a => a.getAttribute('href'))).catch(() => []);
+          foundLinks.set(idx, { baseUrl: page.url(), hrefs });
+        }
+      } catch (error) {
+        logger.error(`Navigation error for ${url}: ${error.message}`);
+        results[idx]['HTTP Status'] = 'Navigation Error';
+        const validTestIds = testIds.filter(id => allTestIds.includes(id));
+        for (const id of validTestIds) {
+          results[idx][id] = 'Fail';
+          results[idx].errorDetails[id] = `Navigation failed: ${error.message}`;
+          await insertTestResult(urlData, id, 'fail', results[idx].errorDetails[id], null, null);
+        }
+        testIds.filter(id => !allTestIds.includes(id)).forEach(id => results[idx][id] = 'NA');
+        results[idx]['Page Pass?'] = 'Fail';
+        await page.close();
+        if (contextToUse !== context) await contextToUse.close();
+        logger.error(`❌ Failed navigation ${(Date.now() - t0) / 1000}s`);
+        return;
+      }
+
+      results[idx]['HTTP Status'] = resp ? resp.status() : 'N/A';
+      if (resp) pool.reportStatus(url, resp.status(), resp.headers()['retry-after']);
+
+      // Check for HTTP error status codes - skip testing error pages
+      // Note: This early exit prevents wasting time running tests on 4xx/5xx error pages
+      // (which would produce misleading results) and complements TC-14, which validates
+      // that 2xx/3xx responses are received for successful page loads
+      const httpStatus = resp ? resp.status() : 0;
+      if (httpStatus >= 400) {
+        const errorMessage = `HTTP ${httpStatus} error - cannot test error page`;
+        logger.error(`${errorMessage} for ${url}`);
+        const validTestIds = testIds.filter(id => allTestIds.includes(id));
+        for (const id of validTestIds) {
+          results[idx][id] = 'Fail';
+          results[idx].errorDetails[id] = errorMessage;
+          await insertTestResult(urlData, id, 'fail', errorMessage, null, null);
+        }
+        testIds.filter(id => !allTestIds.includes(id)).forEach(id => results[idx][id] = 'NA');
+        results[idx]['Page Pass?'] = 'Fail';
+        await page.close();
+        if (contextToUse !== context) await contextToUse.close();
+        logger.error(`❌ Failed HTTP status ${(Date.now() - t0) / 1000}s`);
+        return;
+      }
+
+      // Bring the shared page back to the landed page after a test clicked through elsewhere (e.g. TC-08, TC-13)
+      async function returnToLandedPage() {
+        logger.info(`Returning to ${landedUrl} (page is on ${page.url()})`);
+        await page.goto(landedUrl, { timeout: NAVIGATION_TIMEOUT, waitUntil: 'domcontentloaded' });
+        await handleGatekeeper(page, landedUrl);
+        await handleOverlays(page);
+        await handleSurvey(page);
+      }
+
+      // A new page in the row's context, navigated and cleared of overlays like the shared one
+      async function openFreshPage(testCase, useMobileViewport) {
+        const freshPage = await contextToUse.newPage();
+        const pageErrors = watchPage(freshPage);
+        try {
+          await stubGeoIp(freshPage, regionProfile);
+          freshPage.setDefaultTimeout(testCase.timeout);
+          if (useMobileViewport) await freshPage.setViewportSize(MOBILE_VIEWPORT);
+          const response = await freshPage.goto(url, { timeout: NAVIGATION_TIMEOUT, waitUntil: 'domcontentloaded' });
+          if (response) pool.reportStatus(url, response.status(), response.headers()['retry-after']);
+          const freshGatekeeper = await handleGatekeeper(freshPage, url);
+          await handleOverlays(freshPage);
+          await handleSurvey(freshPage);
+          return { page: freshPage, pageErrors, response, gatekeeperDetected: freshGatekeeper };
+        } catch (err) {
+          await freshPage.close().catch(() => {});
+          throw err;
+        }
+      }
+
+      // The ctx handed to a test's run() for the page it checks
+      function testContext(id, target) {
+        return {
+          url,
+          region,
+          browser: urlData.data.browser,
+          device: urlData.data.device,
+          expectedCanonical: urlData.data.canonical,
+          site: siteProfile,
+          runId,
+          artifacts,
+          linkChecker,
+          pageErrors: target.pageErrors,
+          response: target.response,
+          gatekeeperDetected: target.gatekeeperDetected,
+          logger,
+          logPageDom: (targetPage = target.page, targetUrl = url) => logPageDom(targetPage, targetUrl, id, siteProfile),
+        };
+      }
+
+      const failedTestIds = [];
+      const validTestIds = testIds.filter(id => allTestIds.includes(id));
+      if (testIds.length !== validTestIds.length) {
+        const invalid = testIds.filter(id => !allTestIds.includes(id)).join(', ');
+        logger.warn(`Warning: Invalid test IDs [${invalid}] ignored.`);
+        testIds.filter(id => !allTestIds.includes(id)).forEach(id => results[idx][id] = 'NA');
+      }
+
+      // Execute each test case for the URL
+      for (const id of allTestIds) {
+        if (!validTestIds.includes(id)) continue;
+        await handleSurvey(page);
+
+        let pass = false;
+        let knownIssue = false; // accepted/known limitation — rendered yellow, not a red fail
+        let errorDetails = '';
+        let details = null;
+        let metrics = null;
+        let geoFailure = false; // geo-redirected although browsing from the region's country
+        if (pageGeoMismatch && regionProfile.proxy) {
+          // Through a proxy in the region's country the redirect is what a real
+          // visitor there gets, so the page is broken for that region: a red fail.
+          geoFailure = true;
+          errorDetails = `Region page geo-redirected while browsing through the ${regionProfile.key} proxy: ${results[idx].geoMismatch}`;
+        } else if (pageGeoMismatch) {
+          // The page silently geo-redirected to /en-us (headless-specific), so it
+          // is NOT this region's page — none of its tests are valid. Mark as a
+          // known issue (yellow) rather than a false green pass or a red fail.
+          knownIssue = true;
+          errorDetails = 'Region page geo-redirected to /en-us in CI (headless-specific); not tested as its locale. Not a regression.';
+        }
+        const testCase = registry.get(id);
+        // A device row's context already has the profile's viewport
+        const useMobileViewport = testCase.requires.viewport === 'mobile' && !urlData.data.device;
+        try {
+          page.setDefaultTimeout(testCase.timeout);
+
+          // Tests that read the page's state (metadata, links, markup) check the row's page, not wherever the last test left it
+          if (testCase.requires.landedPage && !knownIssue && !geoFailure && !sameDocument(page.url(), landedUrl)) {
+            await returnToLandedPage();
+          }
+
+          if (useMobileViewport) {
+            await page.setViewportSize(MOBILE_VIEWPORT);
+            await page.waitForTimeout(1000);
+          }
+
+          if (knownIssue || geoFailure) { /* page geo-redirected to wrong locale: skip tests, marked Known Issue or Fail */ }
+          else {
+            // Tests that measure the page load (e.g. TC-21) get their own page, untouched by earlier tests
+            const target = testCase.requires.freshPage
+              ? await openFreshPage(testCase, useMobileViewport)
+              : { page, pageErrors: results[idx].pageErrors, response: resp, gatekeeperDetected };
+            let outcome;
+            try {
+              outcome = await testCase.run(target.page, testContext(id, target));
+            } finally {
+              if (target.page !== page) await target.page.close().catch(() => {});
+            }
+            pass = !!outcome.pass;
+            knownIssue = !!outcome.knownIssue;
+            errorDetails = outcome.errorDetails || '';
+            details = outcome.details || null;
+            metrics = outcome.metrics || null;
+          }
+        } catch (err) {
+          logger.error(`EXCEPTION for ${id}: ${err.message}`);
+          pass = false;
+          errorDetails = `Exception during test execution for ${id}: ${err.message}`;
+          await logPageDom(page, url, id, siteProfile);
+          const safeUrl = fileSafeUrl(urlData);
+          const screenshotPath = `${SCREENSHOT_DIR}/${safeUrl}-${id}-exception.png`;
+          await page.screenshot({ path: screenshotPath, fullPage: true })
+            .catch(screenshotErr => logger.error(`Screenshot failed during exception for ${id}: ${screenshotErr.message}`));
+        } finally {
+          if (useMobileViewport) {
+            await page.setViewportSize(DEFAULT_VIEWPORT);
+            await page.waitForTimeout(1000);
+          }
+        }
+
+        // Re-run a failed check in a fresh page; a later pass is recorded as Flaky
+        const maxAttempts = 1 + retriesFor(testCase, retries);
+        let attempts = 1;
+        while (!pass && !knownIssue && !geoFailure && attempts < maxAttempts) {
+          attempts++;
+          logger.info(`${id}: retrying in a fresh page (attempt ${attempts}/${maxAttempts})`);
+          let retry = null;
+          try {
+            retry = await openFreshPage(testCase, useMobileViewport);
+            const outcome = await testCase.run(retry.page, testContext(id, retry));
+            pass = !!outcome.pass;
+            knownIssue = !!outcome.knownIssue;
+            errorDetails = outcome.errorDetails || '';
+            details = outcome.details || null;
+            metrics = outcome.metrics || null;
+          } catch (err) {
+            logger.error(`EXCEPTION for ${id} on attempt ${attempts}: ${err.message}`);
+            errorDetails = `Exception during attempt ${attempts} for ${id}: ${err.message}`;
+          } finally {
+            if (retry) await retry.page.close().catch(() => {});
+          }
+        }
+        const flaky = pass && attempts > 1;
+        if (attempts > 1) {
+          results[idx].attempts[id] = attempts;
+          logger.info(`${id}: ${flaky ? `passed on attempt ${attempts} (flaky)` : `still failing after ${attempts} attempts`}`);
+        }
+
+        results[idx][id] = testStatus({ pass, knownIssue, attempts });
+        const result = knownIssue ? 'known_issue' : (flaky ? 'flaky' : (pass ? 'pass' : 'fail'));
+        if (errorDetails) results[idx].errorDetails[id] = errorDetails;
+        if (details) results[idx].details[id] = details;
+        await insertTestResult(urlData, id, result, errorDetails, null, null, attempts, details);
+        if (metrics) await storage.insertMetrics({ runId, url, region, testId: id, metrics, environment, ...storageKeys(urlData) });
+        if (!pass && !knownIssue) failedTestIds.push(id);
+      }
+
+      let screenshotUrl = null;
+      let videoUrl = null;
+      const safeUrl = fileSafeUrl(urlData);
+
+      if (failedTestIds.length > 0) {
+        await page.waitForTimeout(2000);
+        const screenshotFileName = `${safeUrl}-failed-${failedTestIds.join(',')}.png`;
+        const screenshotPath = path.join(SCREENSHOT_DIR, screenshotFileName);
+        await page.screenshot({ path: screenshotPath, fullPage: true });
+        const thumbnail = await page.screenshot({ type: 'jpeg', quality: 30 }).catch(() => null);
+        if (thumbnail) results[idx].thumbnail = `data:image/jpeg;base64,${thumbnail.toString('base64')}`;
+        screenshotUrl = await uploadFile(screenshotPath, `screenshots/${screenshotFileName}`);
+        if (screenshotUrl) logger.info(`Screenshot uploaded: ${screenshotUrl}`);
+
+        if (captureVideo) {
+          // Same region, proxy and device emulation as the row's own context, plus recording
+          const videoContext = await browser.newContext({
+            ...contextOptions,
+            ...(urlData.data.device && deviceContextOptions(urlData.data.device, urlData.data.browser)),
+            recordVideo: { dir: VIDEO_DIR, timeout: 15000 },
+          });
+          await setUpContext(videoContext);
+          const videoPage = await videoContext.newPage();
+          await stubGeoIp(videoPage, regionProfile);
+          await videoPage.goto(url, { waitUntil: 'domcontentloaded' });
+          await videoPage.waitForTimeout(5000);
+          const videoPath = await videoPage.video().path();
+          await videoContext.close();
+          const uniqueId = uuidv4();
+          const videoFileName = `${safeUrl}-${uniqueId}.webm`;
+          const finalVideoPath = path.join(VIDEO_DIR, videoFileName);
+          await fs.promises.rename(videoPath, finalVideoPath);
+          videoUrl = await uploadFile(finalVideoPath, `videos/${videoFileName}`);
+          if (videoUrl) logger.info(`Video uploaded: ${videoUrl}`);
+        }
+      }
+
+      if ((screenshotUrl || videoUrl) && failedTestIds.length > 0) {
+        await storage.attachMedia({ runId, url, testIds: failedTestIds, screenshotUrl, videoUrl, ...storageKeys(urlData) });
+      }
+
+      if (screenshotUrl) allScreenshotUrls.push(screenshotUrl);
+      if (videoUrl) allVideoUrls.push(videoUrl);
+      results[idx].screenshotUrl = screenshotUrl;
+      results[idx].videoUrl = videoUrl;
+
+      results[idx]['Page Pass?'] = pageStatus(validTestIds.map(id => results[idx][id]));
+
+      logger.info(`✔ ${(Date.now() - t0) / 1000}s`);
+      await page.close();
+      if (contextToUse !== context) await contextToUse.close();
+      return { screenshotUrl, videoUrl };
+    }
+
+    // Per-URL time limit, extended for every retry its tests may need and for long-running tests (e.g. TC-19)
+    function urlTimeout(urlData) {
+      const testCases = urlData.testIds.filter(id => registry.has(id)).map(id => registry.get(id));
+      const possibleRetries = testCases.reduce((sum, testCase) => sum + retriesFor(testCase, retries), 0);
+      const longTestAllowance = testCases.reduce((sum, testCase) => sum + Math.max(0, testCase.timeout - DEFAULT_TEST_TIMEOUT), 0);
+      return URL_TIMEOUT + possibleRetries * RETRY_TIMEOUT_ALLOWANCE + longTestAllowance;
+    }
+
+    // Crawl mode: queue the new same-host links a finished page led to as further URLs of the run
+    async function expandFrontier(idx, enqueue) {
+      const found = foundLinks.get(idx);
+      foundLinks.delete(idx);
+      if (!found) return;
+      const added = await frontier.add(found.hrefs, { baseUrl: found.baseUrl, depth: urlRows[idx].depth || 0 });
+      for (const { url, depth, foundOn } of added) {
+        for (const urlData of normalizeUrls([{ url, region: pathLocale(url) || 'N/A' }], rowDefaults)) {
+          const crawledRow = { ...urlData, depth, foundOn };
+          urlRows.push(crawledRow);
+          results.push(newResultRow(crawledRow));
+          enqueue(urlRows.length - 1);
+        }
+      }
+      if (added.length) logger.info(`[CRAWL] ${added.length} new page(s) from ${urlRows[idx].url} (depth ${added[0].depth}); ${urlRows.length} found so far`);
+    }
+
+    // Process pending URLs through the worker pool: the next URL starts as soon as a slot frees up
+    logger.info(`\n➡ Processing ${pendingIndexes.length} URLs (concurrency ${concurrency}, per host ${JSON.stringify(hostConcurrency)})`);
+    await pool.run(
+      pendingIndexes,
+      (idx, enqueue) =>
+        pTimeout(runUrl(urlRows[idx], idx), urlTimeout(urlRows[idx]), `URL processing timeout for ${urlRows[idx].url}`)
+          .catch(async (err) => {
+            logger.error(`Timeout or error for ${urlRows[idx].url}: ${err.message}`);
+            results[idx]['Page Pass?'] = 'Fail';
+            if (results[idx]['HTTP Status'] === '-') {
+              results[idx]['HTTP Status'] = 'Timeout/Error';
+            }
+          })
+          .then(async media => {
+            if (frontier) await expandFrontier(idx, enqueue);
+            await finishUrl(idx, media);
+          }),
+      { keyOf: idx => hostOf(urlRows[idx].url) }
+    );
+
+    // Run-level checks: tests that compare pages (e.g. TC-22 duplicate titles) get every
+    // URL's outcome once all have run and may replace individual results. Each browser (and
+    // device) of a matrix run is checked on its own, so a page is never compared with itself.
+    const resultVariants = [...new Set(results.map(variantOf))];
+    const runLevel = {}; // summary lists returned by run-level checks, e.g. { hreflangClusters: [...] }
+    const afterRunChecks = registry.list().filter(tc => tc.afterRun)
+      .flatMap(testCase => resultVariants.map(variant => ({ testCase, variant })));
+    for (const { testCase, variant } of afterRunChecks) {
+      const entries = results
+        .map((row, index) => ({ index, url: row.url, region: row.region, variant: variantOf(row), status: row[testCase.id], details: row.details?.[testCase.id] || null }))
+        .filter(entry => entry.variant === variant && entry.details && ['Pass', 'Fail', 'Flaky'].includes(entry.status));
+      if (!entries.length) continue;
+      const outcome = (await testCase.afterRun(entries, { runId, logger })) || [];
+      const { amendments = [], summary: checkSummary = {} } = Array.isArray(outcome) ? { amendments: outcome } : outcome;
+      const { browser, device } = results[entries[0].index];
+      for (const [key, items] of Object.entries(checkSummary)) {
+        runLevel[key] = [...(runLevel[key] || []), ...items.map(item => ({ ...item, ...(browser && { browser }), ...(device && { device }) }))];
+      }
+      for (const { index, pass, knownIssue = false, errorDetails = '' } of amendments) {
+        const row = results[index];
+        const flaky = pass && row[testCase.id] === 'Flaky';
+        row[testCase.id] = knownIssue ? 'Known Issue' : (flaky ? 'Flaky' : (pass ? 'Pass' : 'Fail'));
+        if (errorDetails) row.errorDetails[testCase.id] = errorDetails;
+        else delete row.errorDetails[testCase.id];
+        const ranTestIds = row['test ids'].split(',').filter(id => registry.has(id));
+        row['Page Pass?'] = pageStatus(ranTestIds.map(id => row[id]));
+        await storage.updateTestResult({
+          runId,
+          url: row.url,
+          testId: testCase.id,
+          result: knownIssue ? 'known_issue' : (flaky ? 'flaky' : (pass ? 'pass' : 'fail')),
+          errorDetails,
+          ...storageKeys(urlRows[index]),
+        });
+      }
+      if (amendments.length) logger.info(`${testCase.id}: run-level check updated ${amendments.length} result(s)${matrix || deviceRun ? ` in ${variant}` : ''}`);
+    }
+
+    // Finalize crawl progress
+    await storage.completeProgress({ runId });
+
+    const summary = buildSummary(results, {
+      runId,
+      initiatedBy,
+      environment,
+      registry,
+      screenshotUrls: allScreenshotUrls,
+      videoUrls: allVideoUrls,
+      crawl: crawl && {
+        seeds: new Set(results.filter(row => row.crawl.depth === 0).map(row => row.url)).size,
+        discovered: new Set(results.filter(row => row.crawl.depth > 0).map(row => row.url)).size,
+        maxDepth: crawl.maxDepth ?? DEFAULT_CRAWL_DEPTH,
+        maxPages: crawl.maxPages ?? DEFAULT_CRAWL_MAX_PAGES,
+      },
+      runLevel,
+    });
+
+    for (const { contexts } of Object.values(engines)) {
+      for (const context of contexts.values()) await context.then(c => c.close(), () => {});
+    }
+    return { runId, results, allTestIds, summary };
+  } finally {
+    for (const { browser } of Object.values(engines)) await browser.close();
+  }
+}
@@ -1,7 +1,12 @@
 module.exports = {
   transform: {
-    '^.+\\.js$': ['babel-jest', { presets: [['@babel/preset-env', { targets: { node: 'current' } }]] }],
+    '^.+\\.js$': ['babel-jest', {
+      presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+      plugins: ['babel-plugin-transform-import-meta'],
+    }],
   },
+  // Dynamic imports of file:// URLs (e.g. the test registry's) become require() calls under Babel
+  moduleNameMapper: { '^file://(.*)$': '$1' },
   transformIgnorePatterns: [
     '/node_modules/',
   ],
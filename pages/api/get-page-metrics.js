@@ -0,0 +1,59 @@
+// Returns TC-21 page metrics (web vitals) from Supabase for trending on the dashboard
+import { createClient } from '@supabase/supabase-js';
+
+const MAX_ROWS = 2000;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { url, env = 'production', browser = 'chromium', device = '' } = req.query;
+
+  try {
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    // One browser and device of a matrix run (Chromium without a device profile by default), so a trend never mixes engines
+    const forVariant = query => (device ? query.eq('device', device) : query.is('device', null)).eq('browser', browser);
+
+    // Without a URL: the measured URLs, most recently measured first
+    if (!url) {
+      const { data, error } = await forVariant(supabase
+        .from('page_metrics')
+        .select('url, created_at')
+        .eq('environment', env))
+        .order('created_at', { ascending: false })
+        .limit(MAX_ROWS);
+      if (error) {
+        console.error('Supabase error:', error);
+        throw new Error('Error fetching page metric URLs from Supabase');
+      }
+      const urls = [...new Set((data || []).map(row => row.url))];
+      return res.status(200).json({ urls });
+    }
+
+    // With a URL: one point per run, { runId, date, lcp, cls, ... }, oldest first. The newest
+    // MAX_ROWS metric rows are read, so the chart always reaches the latest run.
+    const { data, error } = await forVariant(supabase
+      .from('page_metrics')
+      .select('run_id, metric, value, created_at')
+      .eq('environment', env)
+      .eq('url', url))
+      .order('created_at', { ascending: false })
+      .limit(MAX_ROWS);
+    if (error) {
+      console.error('Supabase error:', error);
+      throw new Error('Error fetching page metrics from Supabase');
+    }
+    const byRun = new Map();
+    for (const row of (data || []).reverse()) {
+      if (!byRun.has(row.run_id)) byRun.set(row.run_id, { runId: row.run_id, date: row.created_at });
+      byRun.get(row.run_id)[row.metric] = row.value;
+    }
+
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(200).json({ url, browser, device: device || null, points: [...byRun.values()] });
+  } catch (error) {
+    console.error('Error in /api/get-page-metrics:', error.message);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+}
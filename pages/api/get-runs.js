@@ -140,12 +140,17 @@ export default async function handler(req, res) {
           successCount: detailedData.successCount || 0,
           failureCount: detailedData.failureCount || 0,
           naCount: detailedData.naCount || 0,
+          knownIssueCount: detailedData.knownIssueCount || 0,
+          flakyCount: detailedData.flakyCount || 0,
           runId: run.id,
           event: run.event,
           hasArtifacts: hasArtifacts,
           artifactCount: artifactCount,
           failed_urls: detailedData.failedUrls || [],
           failed_tests: detailedData.testFailureSummary || {},
+          // Browser-matrix runs: failures per test ID for each browser, for the dashboard's browser filter
+          browsers: detailedData.browsers || [],
+          failed_tests_by_browser: detailedData.testFailureSummaryByBrowser || {},
           screenshot_paths: detailedData.screenshot_paths || [],
           video_paths: detailedData.video_paths || [],
           // Add environment property for filtering
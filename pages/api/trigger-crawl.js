@@ -1,25 +1,28 @@
 // pages/api/trigger-crawl.js
 import { timingSafeEqual } from 'crypto';
 import ExcelJS from 'exceljs';
-import { put } from '@vercel/blob';
 import { Octokit } from '@octokit/rest';
 import { v4 as uuidv4 } from 'uuid';
+import { createArtifactStore } from '../../utils/artifacts/index.js';
+import { expandSitemap, selectSitemapUrls } from '../../utils/sitemap.js';
+import { parseBrowsers } from '../../utils/browsers.js';
+import { parseDevices } from '../../utils/devices.js';
+import { resolveSiteProfile } from '../../utils/sites.js';
 
-function getBlobConfig() {
-  const isPreview = process.env.VERCEL_ENV === 'preview';
-  return {
-    bucket: isPreview ? process.env.TEST_STORAGE_BUCKET : process.env.STORAGE_BUCKET,
-    token: isPreview ? process.env.TEST_BLOB_READ_WRITE_TOKEN : process.env.BLOB_READ_WRITE_TOKEN,
-    envLabel: isPreview ? 'PREVIEW' : 'PRODUCTION',
-  };
-}
+// Uploaded sitemaps arrive in the JSON body and can be a few MB
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' },
+  },
+};
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ message: 'Method not allowed' });
   }
 
-  const { data, initiator, passphrase } = req.body;
+  const { initiator, passphrase, sitemapUrl, sitemapXml, include, exclude, region, testIdRules, maxUrls, browsers, devices, site } = req.body;
+  let { data } = req.body;
 
   if (!passphrase) {
     console.error('No passphrase provided in request body');
@@ -31,10 +34,45 @@ export default async function handler(req, res) {
     return res.status(403).json({ message: 'Invalid passphrase' });
   }
 
-  if (!Array.isArray(data) || !initiator) {
+  // Checked before sitemap discovery, which may take a while
+  if (!initiator) {
+    return res.status(400).json({ message: 'Invalid data or missing initiator' });
+  }
+
+  // No ready-made rows: expand the sitemap (URL or uploaded contents) into them
+  if (!Array.isArray(data) && (sitemapUrl || sitemapXml)) {
+    try {
+      const urls = await expandSitemap({ url: sitemapUrl, xml: sitemapXml });
+      data = selectSitemapUrls(urls, {
+        include: [].concat(include || []),
+        exclude: [].concat(exclude || []),
+        region: region || '',
+        ...(Array.isArray(testIdRules) && { testIdRules }),
+        ...(Number(maxUrls) > 0 && { maxUrls: Number(maxUrls) }),
+      });
+      console.log(`Sitemap discovery: ${urls.length} URL(s) found, ${data.length} selected`);
+    } catch (error) {
+      console.error('Error reading sitemap:', error);
+      return res.status(400).json({ message: `Could not read sitemap: ${error.message}` });
+    }
+    if (!data.length) {
+      return res.status(400).json({ message: 'No sitemap URLs matched the filters' });
+    }
+  }
+
+  if (!Array.isArray(data)) {
     return res.status(400).json({ message: 'Invalid data or missing initiator' });
   }
 
+  // Reject unknown browser, device and site profile names now rather than failing the workflow run
+  try {
+    [browsers, ...data.map(row => row.browsers)].forEach(value => parseBrowsers(value));
+    [devices, ...data.map(row => row.devices)].forEach(value => parseDevices(value));
+    [site, ...data.map(row => row.site)].forEach(value => resolveSiteProfile(value, ''));
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
   try {
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet('URLs');
@@ -42,25 +80,25 @@ export default async function handler(req, res) {
       { header: 'URL', key: 'url' },
       { header: 'Test IDs', key: 'testIds' },
       { header: 'Region', key: 'region' },
+      { header: 'Browsers', key: 'browsers' },
+      { header: 'Devices', key: 'devices' },
+      { header: 'Site', key: 'site' },
     ];
+    // Run-wide browsers (e.g. "chromium,webkit"), devices and site apply to rows that do not list their own
     data.forEach(row => {
       worksheet.addRow({
         url: row.url,
         testIds: row.testIds,
-        region: row.region || ''
+        region: row.region || '',
+        browsers: [].concat(row.browsers || browsers || []).join(','),
+        devices: [].concat(row.devices || devices || []).join(','),
+        site: row.site || site || ''
       });
     });
 
     const buffer = await workbook.xlsx.writeBuffer();
 
-    const { token, envLabel, bucket } = getBlobConfig();
-    console.log(`[${envLabel}] Uploading to bucket: ${bucket}, using token: ${token ? 'SET' : 'NOT SET'}`);
-    const blob = await put(bucket ? `${bucket}/input.xlsx` : 'input.xlsx', buffer, {
-      access: 'public',
-      token,
-      addRandomSuffix: true,
-      allowOverwrite: true,
-    });
+    const fileUrl = await createArtifactStore().put('input.xlsx', buffer, { addRandomSuffix: true });
 
     const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
     const newRunId = `run-${uuidv4()}`;
@@ -72,12 +110,12 @@ export default async function handler(req, res) {
       ref: process.env.VERCEL_ENV === 'preview' ? 'preview' : 'main',
       inputs: {
         initiator,
-        file_url: blob.url,
+        file_url: fileUrl,
         run_env: process.env.VERCEL_ENV || 'production',
       },
     });
 
-    res.status(200).json({ message: 'Crawl initiated', runId: newRunId });
+    res.status(200).json({ message: 'Crawl initiated', runId: newRunId, urlCount: data.length });
   } catch (error) {
     console.error('Error triggering crawl:', error);
     res.status(500).json({ message: 'Failed to trigger crawl' });
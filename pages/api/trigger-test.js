@@ -2,36 +2,13 @@ import { timingSafeEqual } from 'crypto';
 /*───────────────────────────────────────────────────────────────────────────────
   trigger-test.js
   ----------
-  • Triggers an ad-hoc QA test by uploading the input.xlsx file to Vercel Blob
+  • Triggers an ad-hoc QA test by uploading the input.xlsx file to the
+    artifact store (Vercel Blob by default, see utils/artifacts/)
   • Dispatches the GitHub workflow with initiator, file URL, and captureVideo option
   • Validates passphrase before proceeding using QA_PASSPHRASE
-  • Uses addRandomSuffix to avoid blob filename conflicts
+  • Uses addRandomSuffix to avoid filename conflicts
 ───────────────────────────────────────────────────────────────────────────────*/
-
-// Utility to select environment-aware storage config
-function getBlobConfig() {
-  const isPreview = process.env.VERCEL_ENV === 'preview';
-  return {
-    bucket: isPreview ? process.env.TEST_STORAGE_BUCKET : process.env.STORAGE_BUCKET,
-    token: isPreview ? process.env.TEST_BLOB_READ_WRITE_TOKEN : process.env.BLOB_READ_WRITE_TOKEN,
-    envLabel: isPreview ? 'PREVIEW' : 'PRODUCTION',
-  };
-}
-
-async function uploadFileToStorage(fileBuffer, destPath = 'input.xlsx') {
-  const { put } = await import('@vercel/blob');
-  const { token, envLabel, bucket } = getBlobConfig();
-  console.log(`[${envLabel}] Uploading to bucket: ${bucket}, using token: ${token ? 'SET' : 'NOT SET'}`);
-  if (!token) throw new Error('Blob storage token is not set in the environment');
-  const fullDestPath = bucket ? `${bucket}/${destPath}` : destPath;
-  const blob = await put(fullDestPath, fileBuffer, {
-    access: 'public',
-    token,
-    addRandomSuffix: true,
-    allowOverwrite: true,
-  });
-  return blob.url;
-}
+import { createArtifactStore } from '../../utils/artifacts/index.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -54,7 +31,7 @@ export default async function handler(req, res) {
     let fileUrl = '';
     if (file) {
       const fileBuffer = Buffer.from(file, 'base64');
-      fileUrl = await uploadFileToStorage(fileBuffer);
+      fileUrl = await createArtifactStore().put('input.xlsx', fileBuffer, { addRandomSuffix: true });
     }
 
     const { Octokit } = await import('@octokit/rest');
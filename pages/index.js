@@ -2,9 +2,18 @@
 import React, { useEffect, useState, useRef, useMemo } from 'react';
 import Chart from 'chart.js/auto';
 import ChartDataLabels from 'chartjs-plugin-datalabels';
-import { Bar } from 'react-chartjs-2';
+import { Bar, Line } from 'react-chartjs-2';
 import Head from 'next/head';
 
+// Dashboard environment: Vercel's NEXT_PUBLIC_VERCEL_ENV if available, else the hostname
+const detectEnv = () => {
+  if (typeof window === 'undefined') return 'production';
+  if (process.env.NEXT_PUBLIC_VERCEL_ENV) {
+    return process.env.NEXT_PUBLIC_VERCEL_ENV === 'preview' ? 'preview' : 'production';
+  }
+  return window.location.hostname.includes('preview') ? 'preview' : 'production';
+};
+
 // Moved downloadCSV outside of components
 const downloadCSV = (headers, data, filename) => {
   const csv = [
@@ -124,6 +133,122 @@ const FailingTestsChart = React.memo(({ failedTests, isDarkMode, activeIssuesTab
   );
 });
 
+// Core Web Vitals (TC-21) for one URL across runs, from /api/get-page-metrics
+const WEB_VITAL_SERIES = [
+  { key: 'lcp', label: 'LCP (ms)', color: 'rgba(79, 70, 229, 1)' },
+  { key: 'ttfb', label: 'TTFB (ms)', color: 'rgba(16, 185, 129, 1)' },
+  { key: 'dcl', label: 'DOMContentLoaded (ms)', color: 'rgba(59, 130, 246, 1)' },
+  { key: 'tbt', label: 'TBT (ms)', color: 'rgba(245, 158, 11, 1)' },
+  { key: 'inp', label: 'INP approx. (ms)', color: 'rgba(236, 72, 153, 1)' },
+  { key: 'cls', label: 'CLS', color: 'rgba(239, 68, 68, 1)', axis: 'y1' },
+];
+
+const WebVitalsChart = React.memo(({ isDarkMode, env }) => {
+  const [urls, setUrls] = useState([]);
+  const [selectedUrl, setSelectedUrl] = useState('');
+  const [points, setPoints] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/get-page-metrics?env=${env}&cache_bust=${Date.now()}`)
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error(`HTTP error! status: ${res.status}`))))
+      .then(({ urls = [] }) => {
+        setUrls(urls);
+        setSelectedUrl(current => current || urls[0] || '');
+      })
+      .catch(err => {
+        console.error('Error fetching page metric URLs:', err);
+        setError('Failed to load web vitals: ' + err.message);
+      });
+  }, [env]);
+
+  useEffect(() => {
+    if (!selectedUrl) return;
+    fetch(`/api/get-page-metrics?env=${env}&url=${encodeURIComponent(selectedUrl)}&cache_bust=${Date.now()}`)
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error(`HTTP error! status: ${res.status}`))))
+      .then(({ points = [] }) => setPoints(points))
+      .catch(err => {
+        console.error('Error fetching page metrics:', err);
+        setError('Failed to load web vitals: ' + err.message);
+      });
+  }, [env, selectedUrl]);
+
+  const data = useMemo(() => ({
+    labels: points.map(point => new Date(point.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'America/Chicago' })),
+    datasets: WEB_VITAL_SERIES.map(series => ({
+      label: series.label,
+      data: points.map(point => point[series.key] ?? null),
+      borderColor: series.color,
+      backgroundColor: series.color,
+      yAxisID: series.axis || 'y',
+      spanGaps: true,
+      tension: 0.2,
+    })),
+  }), [points]);
+
+  const options = useMemo(() => {
+    const tickColor = isDarkMode ? 'rgba(229, 231, 235, 0.7)' : 'rgba(75, 85, 99, 0.7)';
+    const gridColor = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+    return {
+      scales: {
+        x: { ticks: { color: tickColor }, grid: { color: gridColor } },
+        y: { beginAtZero: true, ticks: { color: tickColor }, grid: { color: gridColor }, title: { display: true, text: 'ms', color: tickColor } },
+        y1: { beginAtZero: true, position: 'right', ticks: { color: tickColor }, grid: { drawOnChartArea: false }, title: { display: true, text: 'CLS', color: tickColor } },
+      },
+      plugins: {
+        legend: { labels: { color: isDarkMode ? '#E5E7EB' : '#374151' } },
+        datalabels: { display: false },
+      },
+      responsive: true,
+      maintainAspectRatio: false,
+    };
+  }, [isDarkMode]);
+
+  return (
+    <div className="p-4 bg-white dark:bg-gray-800 rounded-xl shadow-lg">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-2 py-2 border-b border-gray-200 dark:border-gray-700">
+        <h2 className="text-xl font-semibold text-gray-700 dark:text-gray-300">Core Web Vitals</h2>
+        <div className="flex items-center space-x-4">
+          <select
+            value={selectedUrl}
+            onChange={e => setSelectedUrl(e.target.value)}
+            className="max-w-md p-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 text-sm"
+            aria-label="URL"
+          >
+            {urls.map(url => <option key={url} value={url}>{url}</option>)}
+          </select>
+          <button
+            onClick={() => {
+              const headers = ['Date', 'Run ID', ...WEB_VITAL_SERIES.map(series => series.label)];
+              const rows = points.map(point => ({
+                'Date': point.date,
+                'Run ID': point.runId,
+                ...Object.fromEntries(WEB_VITAL_SERIES.map(series => [series.label, point[series.key] ?? ''])),
+              }));
+              downloadCSV(headers, rows, 'web_vitals.csv');
+            }}
+            className="text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100"
+            aria-label="Download CSV"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="currentColor">
+              <path d="M480-320 280-520l56-58 104 104v-326h80v326l104-104 56 58-200 200ZM240-160q-33 0-56.5-23.5T160-240v-120h80v120h480v-120h80v120q0 33-23.5 56.5T720-160H240Z"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+      {error ? (
+        <p className="text-red-500 text-center py-4">{error}</p>
+      ) : points.length ? (
+        <div style={{ height: '360px' }} className="mt-4">
+          <Line data={data} options={options} />
+        </div>
+      ) : (
+        <p className="text-gray-500 dark:text-gray-400 text-center py-4">No web vitals recorded yet. Add TC-21 to a URL's Test IDs to start trending it.</p>
+      )}
+    </div>
+  );
+});
+
 export default function Dashboard() {
   const [runs, setRuns] = useState([]);
   const [question, setQuestion] = useState('');
@@ -146,6 +271,7 @@ export default function Dashboard() {
   const [expandedRuns, setExpandedRuns] = useState([]);
   const [activeIssuesTab, setActiveIssuesTab] = useState('last');
   const [activeInfoTab, setActiveInfoTab] = useState('about');
+  const [browserFilter, setBrowserFilter] = useState('all');
   const chartRef = useRef(null);
   const donutChartRef = useRef(null);
   const chatContainerRef = useRef(null);
@@ -169,16 +295,7 @@ export default function Dashboard() {
 
   useEffect(() => {
     // Determine environment for filtering runs
-    let env = 'production';
-    if (typeof window !== 'undefined') {
-      // Use Vercel's NEXT_PUBLIC_VERCEL_ENV if available, else fallback to hostname
-      if (process.env.NEXT_PUBLIC_VERCEL_ENV) {
-        if (process.env.NEXT_PUBLIC_VERCEL_ENV === 'preview') env = 'preview';
-        else if (process.env.NEXT_PUBLIC_VERCEL_ENV === 'production') env = 'production';
-      } else if (window.location.hostname.includes('preview')) {
-        env = 'preview';
-      }
-    }
+    const env = detectEnv();
     const fetchRuns = async (retryCount = 0) => {
       setRunsLoading(true);
       console.log('Fetching runs at:', new Date().toISOString());
@@ -212,10 +329,13 @@ export default function Dashboard() {
             artifactsList: run.artifactsList || [],
             failed_urls: run.failed_urls || [],
             failed_tests: run.failed_tests || {},
+            browsers: run.browsers || [],
+            failed_tests_by_browser: run.failed_tests_by_browser || {},
             successCount: run.successCount || run.passed || run.total || 0,
             failureCount: run.failureCount || run.failed || 0,
             naCount: run.naCount || run.na || 0,
             knownIssueCount: run.knownIssueCount || run.known_issue || 0,
+            flakyCount: run.flakyCount || 0,
             date: runDate.toISOString(),
             screenshotPaths: screenshots,
             videoPaths: videos,
@@ -295,10 +415,11 @@ export default function Dashboard() {
         const failedData = recentRuns.map((run) => run.failureCount || 0);
         const naData = recentRuns.map((run) => run.naCount || 0);
         const knownIssueData = recentRuns.map((run) => run.knownIssueCount || 0);
+        const flakyData = recentRuns.map((run) => run.flakyCount || 0);
 
         const maxTotalUrls = Math.max(
           1,
-          ...recentRuns.map((run) => (run.successCount || 0) + (run.failureCount || 0) + (run.naCount || 0) + (run.knownIssueCount || 0))
+          ...recentRuns.map((run) => (run.successCount || 0) + (run.failureCount || 0) + (run.naCount || 0) + (run.knownIssueCount || 0) + (run.flakyCount || 0))
         );
         const yAxisMax = maxTotalUrls > 0 ? Math.ceil(maxTotalUrls / 5) * 5 + 5 : 10;
 
@@ -322,6 +443,15 @@ export default function Dashboard() {
             borderWidth: 1,
           });
         }
+        if (flakyData.some(count => count > 0)) {
+          datasets.push({
+            label: '# Flaky',
+            data: flakyData,
+            backgroundColor: 'rgba(168, 85, 247, 0.6)',
+            borderColor: 'rgba(168, 85, 247, 1)',
+            borderWidth: 1,
+          });
+        }
         if (naData.some(count => count > 0)) {
           datasets.push({
             label: '# N/A',
@@ -583,9 +713,27 @@ export default function Dashboard() {
 
   const displayedRuns = showAll ? sortedRuns : sortedRuns.slice(0, 7);
 
+  // Browsers seen in browser-matrix runs; the filter is only offered when there is more than one
+  const availableBrowsers = useMemo(() => {
+    return [...new Set(runs.flatMap(run => run.browsers))].sort();
+  }, [runs]);
+
+  // Runs with their failed tests/URLs narrowed to the selected browser (runs from before the
+  // browser matrix only ran in Chromium)
+  const browserRuns = useMemo(() => {
+    if (browserFilter === 'all') return sortedRuns;
+    return sortedRuns.map(run => ({
+      ...run,
+      failed_tests: run.browsers.length
+        ? run.failed_tests_by_browser[browserFilter] || {}
+        : (browserFilter === 'chromium' ? run.failed_tests : {}),
+      failed_urls: run.failed_urls.filter(u => (u.browser || 'chromium') === browserFilter),
+    }));
+  }, [sortedRuns, browserFilter]);
+
   const trendedFailedTests = useMemo(() => {
     // Aggregate failures from the last 16 runs
-    const last16Runs = sortedRuns.slice(0, 16);
+    const last16Runs = browserRuns.slice(0, 16);
     const aggregated = {};
     last16Runs.forEach(run => {
       if (run.failed_tests) {
@@ -595,7 +743,7 @@ export default function Dashboard() {
       }
     });
     return aggregated;
-  }, [sortedRuns]);
+  }, [browserRuns]);
 
   const sortByTestId = (a, b) => {
     const numA = parseInt(a.test_id.match(/\d+/)[0], 10);
@@ -780,7 +928,7 @@ export default function Dashboard() {
             <div className="grid grid-cols-1 lg:grid-cols-4 gap-6 mb-6">
               <div className="lg:col-span-1 h-[28rem]">
                 <FailingTestsChart
-                  failedTests={activeIssuesTab === 'last' ? sortedRuns[0]?.failed_tests : trendedFailedTests}
+                  failedTests={activeIssuesTab === 'last' ? browserRuns[0]?.failed_tests : trendedFailedTests}
                   isDarkMode={isDarkMode}
                   activeIssuesTab={activeIssuesTab}
                   setActiveIssuesTab={setActiveIssuesTab}
@@ -791,6 +939,17 @@ export default function Dashboard() {
                   <div className="flex justify-between items-center">
                     <h2 className="text-xl font-semibold text-gray-700 dark:text-gray-300">Recent Crawl Information</h2>
                     <div className="flex items-center space-x-4">
+                      {availableBrowsers.length > 1 && (
+                        <select
+                          value={browserFilter}
+                          onChange={e => setBrowserFilter(e.target.value)}
+                          className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 text-sm"
+                          aria-label="Browser"
+                        >
+                          <option value="all">All browsers</option>
+                          {availableBrowsers.map(browser => <option key={browser} value={browser}>{browser}</option>)}
+                        </select>
+                      )}
                       {runs.length > 5 && (
                         <button
                           onClick={() => setShowAll(!showAll)}
@@ -801,7 +960,7 @@ export default function Dashboard() {
                       )}
                       <button
                         onClick={() => {
-                          const headers = ['Crawl Name', 'Date & Time', 'Initiator', 'Passed', 'Failed', 'Known Issues', 'Output Artifacts'];
+                          const headers = ['Crawl Name', 'Date & Time', 'Initiator', 'Passed', 'Failed', 'Known Issues', 'Flaky', 'Output Artifacts'];
                           const data = displayedRuns.map(run => ({
                             'Crawl Name': run.crawlName || 'N/A',
                             'Date & Time': new Date(run.date).toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'America/Chicago' }),
@@ -809,6 +968,7 @@ export default function Dashboard() {
                             'Passed': run.successCount || 0,
                             'Failed': run.failureCount || 0,
                             'Known Issues': run.knownIssueCount || 0,
+                            'Flaky': run.flakyCount || 0,
                             'Output Artifacts': run.hasArtifacts ? 'Yes' : 'No',
                           }));
                           downloadCSV(headers, data, 'recent_crawls.csv');
@@ -827,6 +987,7 @@ export default function Dashboard() {
                   <span className="inline-flex items-center"><span className="w-2.5 h-2.5 rounded-full bg-green-500 mr-1.5"></span>Passed</span>
                   <span className="inline-flex items-center"><span className="w-2.5 h-2.5 rounded-full bg-red-500 mr-1.5"></span>Failed (regression)</span>
                   <span className="inline-flex items-center"><span className="w-2.5 h-2.5 rounded-full bg-yellow-400 mr-1.5"></span>Known Issue — accepted limitation, not a regression (e.g. CI geo-redirect of region pages)</span>
+                  <span className="inline-flex items-center"><span className="w-2.5 h-2.5 rounded-full bg-purple-500 mr-1.5"></span>Flaky — failed, then passed on retry</span>
                 </div>
                 <div className="h-[23rem] overflow-y-auto custom-scrollbar">
                   {runsLoading && !runs.length ? (
@@ -845,6 +1006,7 @@ export default function Dashboard() {
                           <th className="p-3 font-semibold text-gray-600 dark:text-gray-300 text-center">Passed</th>
                           <th className="p-3 font-semibold text-gray-600 dark:text-gray-300 text-center">Failed</th>
                           <th className="p-3 font-semibold text-gray-600 dark:text-gray-300 text-center" title="Known, accepted limitations (e.g. CI geo-redirects) — not regressions">Known Issues</th>
+                          <th className="p-3 font-semibold text-gray-600 dark:text-gray-300 text-center" title="Pages with a check that failed, then passed on retry">Flaky</th>
                           <th className="p-3 font-semibold text-gray-600 dark:text-gray-300">Output Artifacts</th>
                         </tr>
                       </thead>
@@ -864,6 +1026,7 @@ export default function Dashboard() {
                               <td className="p-3 text-green-600 dark:text-green-400 font-medium text-center">{run.successCount || 0}</td>
                               <td className="p-3 text-red-600 dark:text-red-400 font-medium text-center">{run.failureCount || 0}</td>
                               <td className="p-3 text-yellow-500 dark:text-yellow-400 font-medium text-center">{run.knownIssueCount || 0}</td>
+                              <td className="p-3 text-purple-500 dark:text-purple-400 font-medium text-center">{run.flakyCount || 0}</td>
                               <td className="p-3">
                                 {run.hasArtifacts || run.screenshotPaths.length > 0 || run.videoPaths.length > 0 ? (
                                   <div className="flex items-center space-x-2">
@@ -900,7 +1063,7 @@ export default function Dashboard() {
                             </tr>
                             {expandedRuns.includes(run.runId) && (
                               <tr>
-                                <td colSpan="7" className="p-3 bg-gray-100 dark:bg-gray-700">
+                                <td colSpan="8" className="p-3 bg-gray-100 dark:bg-gray-700">
                                   <div className="space-y-2">
                                     <div className="font-medium text-sm text-gray-600 dark:text-gray-400">Direct Download Links:</div>
                                     <div className="flex flex-wrap gap-3">
@@ -982,6 +1145,8 @@ export default function Dashboard() {
               </div>
             </div>
 
+            <WebVitalsChart isDarkMode={isDarkMode} env={detectEnv()} />
+
             <div className="grid grid-cols-1 md:grid-cols-8 gap-6">
               <div className="md:col-span-3 p-4 sm:p-6 bg-white dark:bg-gray-800 rounded-xl shadow-lg flex flex-col sm:h-[500px] h-auto">
                 <h2 className="text-xl font-semibold mb-4 text-gray-700 dark:text-gray-300">Request Ad-Hoc Crawl</h2>
@@ -1111,7 +1276,7 @@ export default function Dashboard() {
                   >
                     {!isGeminiEnabled ? (
                       sortedRuns.length > 0 ? (
-                        <p className="text-sm inline-block p-2 rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 open-sans whitespace-pre-line">{getInsightMessage(sortedRuns[0])}</p>
+                        <p className="text-sm inline-block p-2 rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 open-sans whitespace-pre-line">{getInsightMessage(browserRuns[0])}</p>
                       ) : runsLoading ? (
                         <p className="text-sm text-gray-500 dark:text-gray-400">Loading crawl data for insights...</p>
                       ) : (
@@ -1123,7 +1288,7 @@ export default function Dashboard() {
                           <div className="mb-2 text-left">
                             <p className="text-sm inline-block p-2 rounded-lg bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 open-sans whitespace-pre-line">
                               <strong>Insight: </strong>
-                              {getInsightMessage(sortedRuns[0])}
+                              {getInsightMessage(browserRuns[0])}
                             </p>
                           </div>
                         )}
@@ -0,0 +1,54 @@
+// Promotes a run's TC-17 screenshots to the approved visual baselines for the given URLs
+import 'dotenv/config';
+import { createArtifactStore } from '../utils/artifacts/index.js';
+import { BROWSERS } from '../utils/browsers.js';
+import {
+  screenshotKey,
+  BASELINE_PREFIX,
+  RUNS_PREFIX,
+  VISUAL_SHOTS,
+  VISUAL_VIEWPORTS,
+} from '../utils/visual.js';
+
+// Usage: node scripts/approve-visual-baseline.js <runId> <url> [url...]
+async function approve() {
+  const [runId, ...urls] = process.argv.slice(2);
+  if (!runId || !urls.length) {
+    console.error('Usage: node scripts/approve-visual-baseline.js <runId> <url> [url...]');
+    process.exit(1);
+  }
+
+  const artifacts = createArtifactStore();
+  let approved = 0;
+  try {
+    for (const url of urls) {
+      for (const viewport of VISUAL_VIEWPORTS) {
+        for (const shot of VISUAL_SHOTS) {
+          // A browser-matrix run has one screenshot per browser; approve each that exists
+          let found = false;
+          for (const browser of BROWSERS) {
+            const key = screenshotKey(url, shot, viewport, browser);
+            const current = await artifacts.get(`${RUNS_PREFIX}/${runId}/${key}`);
+            if (!current) continue;
+            await artifacts.put(`${BASELINE_PREFIX}/${key}`, current);
+            approved++;
+            found = true;
+            console.log(`Approved ${shot}@${viewport} baseline for ${url} (${browser})`);
+          }
+          if (!found) console.log(`No ${shot}@${viewport} screenshot for ${url} in run ${runId}; skipped`);
+        }
+      }
+    }
+  } catch (err) {
+    console.error('Error approving visual baselines:', err.message);
+    process.exit(1);
+  }
+
+  if (!approved) {
+    console.error(`Nothing approved: run ${runId} has no TC-17 screenshots for the given URL(s).`);
+    process.exit(1);
+  }
+  console.log(`Approved ${approved} baseline screenshot(s) from run ${runId} (${artifacts.name}).`);
+}
+
+approve();
@@ -38,6 +38,25 @@ async function cleanup() {
     if (resultsError) throw new Error(`test_results: ${resultsError.message}`);
     console.log(`Deleted ${resultsData?.length || 0} old test_results records`);
 
+    // Clean up url_checkpoints
+    console.log('Deleting old url_checkpoints records...');
+    const { data: checkpointData, error: checkpointError } = await supabase
+      .from('url_checkpoints')
+      .delete()
+      .lt('completed_at', cutoffDate);
+    if (checkpointError) throw new Error(`url_checkpoints: ${checkpointError.message}`);
+    console.log(`Deleted ${checkpointData?.length || 0} old url_checkpoints records`);
+
+    // Clean up page_metrics; kept for a year so web vitals can be trended
+    const metricsCutoffDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString();
+    console.log(`Deleting page_metrics records older than ${metricsCutoffDate}...`);
+    const { data: metricsData, error: metricsError } = await supabase
+      .from('page_metrics')
+      .delete()
+      .lt('created_at', metricsCutoffDate);
+    if (metricsError) throw new Error(`page_metrics: ${metricsError.message}`);
+    console.log(`Deleted ${metricsData?.length || 0} old page_metrics records`);
+
     // Clean up test_runs
     console.log('Deleting old test_runs records...');
     const { data: runsData, error: runsError } = await supabase
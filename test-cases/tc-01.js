@@ -0,0 +1,10 @@
+// TC-01: hero text is visible at the default 1920×1080 desktop viewport
+import { heroTextVisible } from '../utils/hero.js';
+
+export const id = 'TC-01';
+export const title = 'Hero Overlay on Desktop';
+
+export async function run(page, { site } = {}) {
+  const pass = await heroTextVisible(page, site?.heroSelectors);
+  return { pass, errorDetails: pass ? '' : 'Hero text not found or not visible in hero section' };
+}
@@ -0,0 +1,12 @@
+// TC-02: hero text is visible on a 375×667 mobile viewport (and on each device profile a row requests)
+import { heroTextVisible } from '../utils/hero.js';
+
+export const id = 'TC-02';
+export const title = 'Hero Static on Mobile';
+export const requires = { viewport: 'mobile' };
+export const perDevice = true;
+
+export async function run(page, { device, site } = {}) {
+  const pass = await heroTextVisible(page, site?.heroSelectors);
+  return { pass, errorDetails: pass ? '' : `Hero text not found or not visible on ${device || 'mobile viewport'}` };
+}
@@ -0,0 +1,9 @@
+// TC-03: a <header> (or header-like) element is present
+export const id = 'TC-03';
+export const title = 'Header Presence';
+export const perDevice = true;
+
+export async function run(page, { site }) {
+  const pass = !!(await page.$(site.landmarks.header));
+  return { pass, errorDetails: pass ? '' : 'Header element not found' };
+}
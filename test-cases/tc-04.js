@@ -0,0 +1,9 @@
+// TC-04: a <nav> (or nav-like) element is present
+export const id = 'TC-04';
+export const title = 'Navigation Presence';
+export const perDevice = true;
+
+export async function run(page, { site }) {
+  const pass = !!(await page.$(site.landmarks.nav));
+  return { pass, errorDetails: pass ? '' : 'Navigation element not found' };
+}
@@ -0,0 +1,8 @@
+// TC-05: a main content region is present
+export const id = 'TC-05';
+export const title = 'Main Content';
+
+export async function run(page, { site }) {
+  const pass = !!(await page.$(site.landmarks.main));
+  return { pass, errorDetails: pass ? '' : 'Main content element not found' };
+}
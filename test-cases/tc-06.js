@@ -0,0 +1,8 @@
+// TC-06: a <footer> (or footer-like) element is present
+export const id = 'TC-06';
+export const title = 'Footer Presence';
+
+export async function run(page, { site }) {
+  const pass = !!(await page.$(site.landmarks.footer));
+  return { pass, errorDetails: pass ? '' : 'Footer element not found' };
+}
@@ -0,0 +1,10 @@
+// TC-09: page does not render the CMS's rendering error message (GE: "A rendering error occurred")
+export const id = 'TC-09';
+export const title = 'Rendering Error Check';
+
+export async function run(page, { site }) {
+  const errorText = site.renderingErrorText;
+  const pageContent = await page.content();
+  const pass = !pageContent.includes(errorText);
+  return { pass, errorDetails: pass ? '' : `Page content contains "${errorText}"` };
+}
@@ -0,0 +1,19 @@
+// TC-10: gatekeeper interstitial appears in a fresh (incognito) context and the page loads after "Yes"
+import { logger } from '../utils/logger.js';
+
+export const id = 'TC-10';
+export const title = 'Gatekeeper Redirect';
+export const requires = { incognito: true };
+
+export async function run(page, ctx) {
+  const { url, response, gatekeeperDetected } = ctx;
+  logger.info(`TC-10: Checking gatekeeper handling for ${url}`);
+  logger.info(`TC-10: Gatekeeper detected: ${gatekeeperDetected}, HTTP status: ${response ? response.status() : 'N/A'}, Final URL: ${page.url()}`);
+  const pass = !!(gatekeeperDetected && response && response.status() === 200);
+  const errorDetails = pass ? '' : gatekeeperDetected ?
+    `Page did not load successfully after gatekeeper (status: ${response ? response.status() : 'N/A'})` :
+    'Gatekeeper UI not detected when expected';
+  if (!pass) await ctx.logPageDom();
+  logger.info(`TC-10: Result: ${pass ? 'Pass' : 'Fail'} (${errorDetails})`);
+  return { pass, errorDetails };
+}
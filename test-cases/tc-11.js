@@ -0,0 +1,39 @@
+// TC-11: first insights/newsroom link on the page returns HTTP 200
+import { logger } from '../utils/logger.js';
+
+export const id = 'TC-11';
+export const title = 'Insights Link Works';
+export const timeout = 15000;
+
+export async function run(page, ctx) {
+  logger.info(`TC-11: Starting for ${ctx.url}`);
+  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+  await page.waitForTimeout(3000);
+  let insightsLink = null;
+  let selectedHref = null;
+  for (const selector of ctx.site.insightsLinkSelectors) {
+    insightsLink = await page.$(selector);
+    if (insightsLink) {
+      selectedHref = await insightsLink.getAttribute('href');
+      if (selectedHref) break;
+    }
+  }
+  if (!insightsLink || !selectedHref) {
+    logger.warn(`TC-11: No valid link found`);
+    await ctx.logPageDom();
+    return { pass: false, errorDetails: 'No valid insights/newsroom link with href found' };
+  }
+  const targetUrl = new URL(selectedHref, page.url()).toString();
+  logger.info(`TC-11: Navigating to ${targetUrl}`);
+  const newPage = await page.context().newPage();
+  try {
+    const response = await newPage.goto(targetUrl, { timeout: 30000, waitUntil: 'domcontentloaded' });
+    const pass = !!response && response.status() === 200;
+    const errorDetails = pass ? '' : `Navigating to ${targetUrl} resulted in status ${response ? response.status() : 'N/A'}`;
+    logger.info(`TC-11: Navigation result: ${pass ? 'Pass' : 'Fail'}`);
+    if (!pass) await ctx.logPageDom(newPage, targetUrl);
+    return { pass, errorDetails };
+  } finally {
+    await newPage.close();
+  }
+}
@@ -0,0 +1,16 @@
+// TC-12: HCP-gated page redirects a fresh (incognito) visitor to the DocCheck login route
+import { logger } from '../utils/logger.js';
+
+export const id = 'TC-12';
+export const title = 'DocCheck Login Route';
+export const requires = { incognito: true };
+
+export async function run(page, ctx) {
+  logger.info(`TC-12: Final URL: ${page.url()}`);
+  const finalUrl = page.url();
+  const { routePattern } = ctx.site.login;
+  const pass = routePattern.test(finalUrl);
+  const errorDetails = pass ? '' : `Expected redirect to ${routePattern} not found: ${finalUrl}`;
+  if (!pass) await ctx.logPageDom();
+  return { pass, errorDetails };
+}
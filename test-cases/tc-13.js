@@ -0,0 +1,245 @@
+// TC-13: de-de nav "Produkte → Ultraschall → Mehr erfahren" reaches the ultrasound site
+import { logger } from '../utils/logger.js';
+
+export const id = 'TC-13';
+export const title = 'DE Nav Redirect';
+export const retries = 1;
+
+// Case-insensitive pattern for any of the labels; `exact` matches the whole (trimmed) text
+function labelPattern(labels, exact = true) {
+  const alternatives = labels.map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  return new RegExp(exact ? `^\\s*(?:${alternatives})\\s*$` : alternatives, 'i');
+}
+
+export async function run(page, ctx) {
+  logger.info(`TC-13: Starting for ${ctx.url}`);
+  await page.waitForLoadState('domcontentloaded');
+  await page.waitForTimeout(500);
+
+  const { link, urlPattern, menuPaths, submenuItem, menuItem, categoryItem, menuLabel, linkText, geoRedirect } = ctx.site.navTarget;
+
+  // Known geo-redirect of the site profile (GE: /de-de to /en-us in headless CI): the nav to test
+  // does not exist on the page landed on, so fail fast as a Known Issue instead of trying every strategy
+  if (geoRedirect?.from.test(ctx.url)) {
+    const docLang = await page.evaluate(() => document.documentElement.lang || '').catch(() => '');
+    if (geoRedirect.to.test(page.url()) || docLang.toLowerCase().startsWith(geoRedirect.lang)) {
+      logger.warn(`TC-13: ${geoRedirect.message}`);
+      return { pass: false, knownIssue: true, errorDetails: geoRedirect.message };
+    }
+  }
+
+  // Try multiple navigation strategies to reach the product category (e.g. Produkte → Ultraschall)
+  const [localPath] = menuPaths;
+  const anyCategory = labelPattern(menuPaths.map(path => path.category), false);
+  let navOpened = false;
+  let usedAemFallback = false;
+
+  // Strategy 0: the de-de AEM mega-menu pre-renders the Ultraschall
+  // "Mehr erfahren" link (href -> ge-ultraschall.com) but keeps it
+  // hidden until Produkte > Ultraschall is hovered. If that link is in
+  // the DOM, hover to reveal it and hand off to the downstream
+  // link-finder / click + validate below.
+  const productSiteLink = page.locator(link).first();
+  if (await productSiteLink.count()) {
+    usedAemFallback = true;
+    logger.info(`TC-13: Strategy 0 — product site link present in DOM, hovering ${localPath.top} > ${localPath.category} to reveal`);
+    const topItem = page.locator('nav, header').getByText(labelPattern([localPath.top])).first();
+    if (await topItem.count()) {
+      await topItem.hover().catch(() => {});
+      await page.waitForTimeout(600);
+    }
+    const categoryLink = page.locator('nav, header').getByText(labelPattern([localPath.category])).first();
+    if (await categoryLink.count()) {
+      await categoryLink.hover().catch(() => {});
+      await page.waitForTimeout(900);
+    }
+    navOpened = true;
+  }
+
+  // Strategies 1 and 2: US-style nav, local labels first (Produkte -> Ultraschall), then
+  // English (Products -> Ultrasound). Try both button and link roles — AEM may render it as either.
+  for (const { top, category } of menuPaths) {
+    if (navOpened) break;
+    const topButton = page.getByRole('button', { name: top, exact: true }).or(page.locator(
+      `[role="button"][aria-label*="${top}" i], ` +
+      `nav button:has-text("${top}"), nav a:has-text("${top}"), ` +
+      `header button:has-text("${top}"), header a:has-text("${top}")`
+    )).first();
+    try {
+      await topButton.waitFor({ state: 'visible', timeout: 5000 });
+      logger.info(`TC-13: ${top} button found`);
+      await topButton.hover();
+      await page.waitForTimeout(500);
+      await topButton.click().catch(() => {});
+
+      let categoryButton = page.getByRole('button', { name: category });
+      try {
+        await categoryButton.waitFor({ state: 'visible', timeout: 10000 });
+        logger.info(`TC-13: ${category} submenu item found and visible via role`);
+      } catch (e) {
+        logger.info(`TC-13: ${category} not found via role, trying fallback`);
+        categoryButton = page.locator(submenuItem, { hasText: category });
+        await categoryButton.waitFor({ state: 'visible', timeout: 5000 });
+        if (!(await categoryButton.isVisible())) {
+          throw new Error(`${category} submenu not visible`);
+        }
+        logger.info(`TC-13: ${category} submenu item found via fallback`);
+      }
+      logger.info(`TC-13: Clicking ${category} submenu item`);
+      await categoryButton.click();
+      navOpened = true;
+    } catch (e) {
+      logger.info(`TC-13: Nav labels ${top} -> ${category} not found`);
+    }
+  }
+
+  // Strategy 3: AEM-style navigation — hover the top-level item, hover the
+  // category to reveal the right column that contains the "Mehr erfahren" link.
+  if (!navOpened) {
+    usedAemFallback = true;
+    try {
+      // Hover the top-level nav item to open the dropdown
+      const topNavItem = page.locator(menuItem).filter({ hasText: labelPattern([localPath.top]) }).first();
+      if (await topNavItem.count()) {
+        await topNavItem.hover();
+        await page.waitForTimeout(800);
+      }
+
+      // Hover the category in the left column (not click —
+      // clicking may navigate, while hover reveals the right column)
+      const categoryNavItem = page.locator(categoryItem).filter({ hasText: labelPattern([localPath.category]) }).first();
+
+      if (await categoryNavItem.count()) {
+        await categoryNavItem.hover();
+        await page.waitForTimeout(1500); // wait for right column to render
+        logger.info(`TC-13: AEM ${localPath.category} category hovered, submenu should be open`);
+        navOpened = true;
+      } else {
+        // Fallback to menu-label hover
+        const subLabel = page.locator(menuLabel).filter({ hasText: anyCategory }).first();
+        if (await subLabel.count()) {
+          await subLabel.hover();
+          await page.waitForTimeout(1500);
+          logger.info('TC-13: AEM submenu opened via menu-label hover');
+          navOpened = true;
+        }
+      }
+    } catch (navError) {
+      logger.info('TC-13: Error opening AEM nav:', navError.message);
+    }
+  }
+
+  // Strategy 4: Category icon grid ("Explore by category" section)
+  if (!navOpened) {
+    try {
+      const categoryLink = page.locator('a').filter({ hasText: anyCategory }).first();
+      if (await categoryLink.count()) {
+        logger.info('TC-13: Found product category link');
+        await categoryLink.scrollIntoViewIfNeeded();
+        await categoryLink.click();
+        navOpened = true;
+        await page.waitForLoadState('domcontentloaded');
+        await page.waitForTimeout(500);
+        logger.info('TC-13: Navigated via category link');
+      }
+    } catch (catError) {
+      logger.info('TC-13: Category link not found:', catError.message);
+    }
+  }
+
+  if (!navOpened) {
+    logger.warn('TC-13: All navigation strategies failed');
+    await ctx.logPageDom();
+    return { pass: false, errorDetails: `Could not navigate to ${menuPaths.map(path => path.category).join('/')} section via any strategy` };
+  }
+
+  // After clicking Ultrasound submenu, check if we already navigated
+  await page.waitForTimeout(2000);
+  const postNavUrl = page.url();
+  if (urlPattern.test(postNavUrl)) {
+    logger.info(`TC-13: Already on ultrasound page after submenu click: ${postNavUrl}`);
+    return { pass: true, errorDetails: '' };
+  }
+
+  // Find the "Mehr erfahren" / "Learn more" link to ultrasound site.
+  // The final destination is https://gehealthcare-ultrasound.com/de/ (per Ryan).
+  let moreLink = page.locator(link).first();
+  try {
+    await moreLink.waitFor({ state: 'visible', timeout: usedAemFallback ? 8000 : 30000 });
+    logger.info('TC-13: Found ultrasound site link by href');
+  } catch (error) {
+    logger.info('TC-13: Ultrasound link not found by href, trying text fallback');
+    // Broader scope — the AEM submenu may not be inside a standard nav/menu
+    // ancestor. Look for visible "Mehr erfahren" or "Learn more" anchor text
+    // anywhere, then filter to those likely inside a menu structure.
+    const candidates = page.locator('a:visible').filter({ hasText: linkText });
+    const count = await candidates.count();
+    logger.info(`TC-13: Found ${count} candidate "Mehr erfahren"/"Learn more" links`);
+
+    let matched = null;
+    for (let i = 0; i < count; i++) {
+      const candidate = candidates.nth(i);
+      // Prefer links inside a nav or menu-like ancestor, or with ultrasound-related href
+      const parentInfo = await candidate.evaluate(el => {
+        const nav = el.closest('nav, [class*="menu"], [class*="dropdown"], [class*="submenu"], [class*="nav-"], ul');
+        return { inNav: !!nav, href: el.getAttribute('href') || '' };
+      }).catch(() => ({ inNav: false, href: '' }));
+
+      if (parentInfo.inNav || urlPattern.test(parentInfo.href)) {
+        matched = candidate;
+        logger.info(`TC-13: Selected candidate ${i}: href=${parentInfo.href}, inNav=${parentInfo.inNav}`);
+        break;
+      }
+    }
+
+    if (matched) {
+      moreLink = matched;
+      logger.info('TC-13: Found link via broadened text fallback');
+    } else {
+      // Check if current page is already an ultrasound page
+      const currentUrl = page.url();
+      if (urlPattern.test(currentUrl)) {
+        logger.info(`TC-13: Already on ultrasound page: ${currentUrl}`);
+        return { pass: true, errorDetails: '' };
+      }
+      logger.warn('TC-13: Fallback link not found or not visible');
+      await ctx.logPageDom();
+      return { pass: false, errorDetails: '"Mehr erfahren" / "Learn more" link not found or not visible' };
+    }
+  }
+
+  logger.info(`TC-13: Clicking link to ultrasound site`);
+  await moreLink.scrollIntoViewIfNeeded();
+  await moreLink.click();
+
+  await page.waitForNavigation({ timeout: 30000 }).catch(() => {
+    logger.info('TC-13: Navigation wait timed out, proceeding with current URL');
+  });
+
+  const dest = page.url();
+  logger.info(`TC-13: Navigated to ${dest}`);
+  const pass = urlPattern.test(dest);
+  const errorDetails = pass ? '' : `Navigation did not go to expected ultrasound site: ${dest}`;
+  if (!pass) await ctx.logPageDom();
+  return { pass, errorDetails };
+}
+
+// Failure diagnostics: landed locale, top-nav labels and ultrasound links in the DOM
+export async function diagnose(page, { site }) {
+  const navInfo = await page.evaluate(navTargetLink => {
+    const norm = s => (s || '').replace(/\s+/g, ' ').trim();
+    const topItems = [...document.querySelectorAll(
+      'nav button, nav a, header button, header a, [role="button"]'
+    )].map(e => norm(e.textContent)).filter(t => t && t.length < 40).slice(0, 40);
+    const usLinks = [...document.querySelectorAll(navTargetLink)].map(a => ({ href: a.getAttribute('href'), text: norm(a.textContent) }));
+    const navEl = document.querySelector('header, nav');
+    return {
+      lang: document.documentElement.lang || '',
+      url: location.href,
+      topNavTexts: topItems,
+      ultrasoundLinksInDom: usLinks,
+      navHtml: navEl ? navEl.outerHTML.slice(0, 2500) : 'no header/nav',
+    };
+  }, site.navTarget.link).catch(e => ({ error: e.message }));
+  logger.info(`- Nav info: ${JSON.stringify(navInfo).slice(0, 4500)}`);
+}
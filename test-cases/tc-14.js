@@ -0,0 +1,11 @@
+// TC-14: navigation response is 2xx or a valid redirect
+export const id = 'TC-14';
+export const title = 'HTTP Status Code Valid';
+
+const HTTP_REDIRECT = [301, 302];
+
+export async function run(page, ctx) {
+  const c = ctx.response ? ctx.response.status() : 0;
+  const pass = (c >= 200 && c < 300) || HTTP_REDIRECT.includes(c);
+  return { pass, errorDetails: pass ? '' : `HTTP Status was ${c}, expected 2xx or 3xx` };
+}
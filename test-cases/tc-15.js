@@ -0,0 +1,16 @@
+// TC-15: HCP-gated pages (e.g. de-de DatScan) populate the DocCheck login iframe
+import { logger } from '../utils/logger.js';
+
+export const id = 'TC-15';
+export const title = 'DocCheck Login Present';
+
+export async function run(page, ctx) {
+  logger.info(`TC-15: Starting for ${ctx.url}`);
+  await page.waitForLoadState('domcontentloaded');
+  const dcFrame = await page.waitForSelector(ctx.site.login.iframe, { timeout: 15000 }).catch(() => null);
+  const pass = !!dcFrame;
+  const errorDetails = pass ? '' : 'DocCheck login iframe (#dc_login_iframe) not found';
+  logger.info(`TC-15: DocCheck iframe ${pass ? 'present' : 'NOT found'}`);
+  if (!pass) await ctx.logPageDom();
+  return { pass, errorDetails };
+}
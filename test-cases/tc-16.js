@@ -0,0 +1,40 @@
+// TC-16: regional product microsite renders after its language and geo-location modals
+import { logger } from '../utils/logger.js';
+
+export const id = 'TC-16';
+export const title = 'Regional Microsite Loads';
+
+// Regional product microsites (e.g. gehealthcare-ultrasound.com) gate
+// entry behind a language-confirmation modal and a geo-location modal.
+// Dismiss both, then confirm the page renders real content.
+export async function run(page, ctx) {
+  logger.info(`TC-16: Starting for ${ctx.url}`);
+  await page.waitForLoadState('domcontentloaded');
+  await page.waitForTimeout(1500);
+
+  const { languageConfirm, geoLocationClose } = ctx.site.micrositeModals;
+  const langConfirm = await page.$(languageConfirm);
+  if (langConfirm) {
+    await langConfirm.click().catch(() => {});
+    logger.info('TC-16: Dismissed language-confirmation modal');
+    await page.waitForTimeout(1000);
+  }
+
+  const geoClose = await page.$(geoLocationClose);
+  if (geoClose) {
+    await geoClose.click().catch(() => {});
+    logger.info('TC-16: Dismissed geo-location modal');
+    await page.waitForTimeout(1000);
+  }
+
+  const loaded = await page.evaluate(() => {
+    const hasStructure = !!document.querySelector('main, header, footer, section, [class*="hero"]');
+    const textLen = ((document.body && document.body.innerText) || '').trim().length;
+    return hasStructure && textLen > 200;
+  }).catch(() => false);
+  const pass = loaded;
+  const errorDetails = pass ? '' : 'Microsite did not render content after dismissing modals';
+  logger.info(`TC-16: Page ${pass ? 'loaded' : 'did NOT load'} after modal dismissal`);
+  if (!pass) await ctx.logPageDom();
+  return { pass, errorDetails };
+}
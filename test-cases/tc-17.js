@@ -0,0 +1,99 @@
+// TC-17: full-page and hero screenshots match their approved baselines (opt-in)
+import { logger } from '../utils/logger.js';
+import { DEFAULT_VIEWPORT, VIEWPORTS } from '../utils/viewports.js';
+import {
+  compareScreenshots,
+  diffThreshold,
+  screenshotKey,
+  BASELINE_PREFIX,
+  RUNS_PREFIX,
+  VISUAL_VIEWPORTS,
+} from '../utils/visual.js';
+
+export const id = 'TC-17';
+export const title = 'Visual Regression';
+export const timeout = 45000;
+// Only runs on rows that list TC-17: it needs approved baselines per URL
+export const optIn = true;
+
+// Outermost hero container of the first visible hero element, or null when the page has no hero
+async function findHero(page, heroSelectors) {
+  for (const sel of heroSelectors) {
+    const el = await page.$(sel);
+    if (el && await el.isVisible()) {
+      const container = await el.evaluateHandle(node => node.closest('section') || node);
+      return container.asElement();
+    }
+  }
+  return null;
+}
+
+// Screenshot options that keep consecutive runs comparable; the site's mask selectors cover autoplaying media
+function stableOptions(page, maskSelectors) {
+  return {
+    animations: 'disabled',
+    caret: 'hide',
+    mask: maskSelectors.map(sel => page.locator(sel)),
+  };
+}
+
+export async function run(page, ctx) {
+  const { url, runId, artifacts, browser, site } = ctx;
+  if (!artifacts) {
+    return { pass: false, errorDetails: 'Visual regression needs an artifact store for baselines; none is configured for this run' };
+  }
+
+  const threshold = diffThreshold();
+  const failures = [];
+  const created = [];
+
+  try {
+    for (const viewportName of VISUAL_VIEWPORTS) {
+      const viewport = VIEWPORTS[viewportName];
+      await page.setViewportSize(viewport);
+      await page.waitForTimeout(1000);
+
+      const shots = { full: await page.screenshot({ fullPage: true, ...stableOptions(page, site.visualMaskSelectors) }) };
+      const hero = await findHero(page, site.heroSelectors);
+      if (hero) shots.hero = await hero.screenshot(stableOptions(page, site.visualMaskSelectors));
+
+      for (const [shot, current] of Object.entries(shots)) {
+        const key = screenshotKey(url, shot, viewportName, browser);
+        const label = `${shot}@${viewportName}`;
+        // Every run keeps its current image so it can be approved as the new baseline
+        const currentUrl = await artifacts.put(`${RUNS_PREFIX}/${runId}/${key}`, current);
+        const baseline = await artifacts.get(`${BASELINE_PREFIX}/${key}`);
+
+        if (!baseline) {
+          await artifacts.put(`${BASELINE_PREFIX}/${key}`, current);
+          created.push(label);
+          logger.info(`TC-17: no baseline for ${label}; stored this run's screenshot as the baseline`);
+          continue;
+        }
+
+        const { diffRatio, sizeChanged, diffPng } = compareScreenshots(baseline, current);
+        const percent = `${(diffRatio * 100).toFixed(2)}%`;
+        logger.info(`TC-17: ${label} differs by ${percent} (threshold ${(threshold * 100).toFixed(2)}%)`);
+        if (diffRatio > threshold) {
+          const diffUrl = await artifacts.put(`${RUNS_PREFIX}/${runId}/${key.replace(/\.png$/, '-diff.png')}`, diffPng);
+          failures.push(`${label} differs by ${percent}${sizeChanged ? ' (size changed)' : ''}; diff: ${diffUrl}; current: ${currentUrl}`);
+        }
+      }
+    }
+  } finally {
+    await page.setViewportSize(DEFAULT_VIEWPORT);
+  }
+
+  if (failures.length) {
+    return {
+      pass: false,
+      errorDetails: `Visual diff above ${(threshold * 100).toFixed(2)}%: ${failures.join(' | ')}. ` +
+        `Approve with: node scripts/approve-visual-baseline.js ${runId} ${url}`,
+    };
+  }
+  // Nothing to compare against yet: not a pass until a later run checks against the new baseline
+  if (created.length) {
+    return { pass: false, knownIssue: true, errorDetails: `Baseline created for ${created.join(', ')}; nothing compared yet` };
+  }
+  return { pass: true, errorDetails: '' };
+}
@@ -0,0 +1,35 @@
+// TC-18: axe-core scan finds no accessibility violations at or above the impact threshold
+import axe from 'axe-core';
+import { logger } from '../utils/logger.js';
+import { impactThreshold, meetsImpact, flattenViolations, describeViolations } from '../utils/accessibility.js';
+
+export const id = 'TC-18';
+export const title = 'Accessibility Audit';
+// Scans the row's own page, not one an earlier test navigated to
+export const requires = { landedPage: true };
+export const timeout = 30000;
+
+// WCAG 2.1 A/AA, the level regional GE pages have to meet
+const AXE_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+
+// Runs after the runner's handleOverlays/handleSurvey, so consent banners are not scanned
+export async function run(page, ctx) {
+  const threshold = impactThreshold();
+  // Evaluated rather than added as a <script> tag so a strict CSP cannot block it
+  await page.evaluate(axe.source);
+  const results = await page.evaluate(tags => window.axe.run(document, { runOnly: { type: 'tag', values: tags } }), AXE_TAGS);
+
+  const violations = flattenViolations(results.violations);
+  const blocking = violations.filter(v => meetsImpact(v.impact, threshold));
+  logger.info(`TC-18: ${violations.length} violation node(s) on ${ctx.url}, ${blocking.length} at or above "${threshold}"`);
+
+  const details = { threshold, violations };
+  if (blocking.length) {
+    return { pass: false, errorDetails: `Accessibility violations (${threshold}+): ${describeViolations(blocking)}`, details };
+  }
+  return {
+    pass: true,
+    errorDetails: violations.length ? `Below threshold: ${describeViolations(violations)}` : '',
+    details,
+  };
+}
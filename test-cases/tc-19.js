@@ -0,0 +1,52 @@
+// TC-19: every link on the page resolves (no 4xx/5xx, redirect loops or retired pre-migration targets)
+import { logger } from '../utils/logger.js';
+import { createLinkChecker, normalizeLink } from '../utils/link-checker.js';
+
+export const id = 'TC-19';
+export const title = 'Broken Link Check';
+// Collects links from the row's own page, not one an earlier test navigated to
+export const requires = { landedPage: true };
+export const timeout = 60000;
+
+// Leave time to report whatever was checked before the test times out
+const TIME_BUDGET_MS = timeout - 5000;
+const MAX_REPORTED = 10;
+
+export async function run(page, ctx) {
+  const started = Date.now();
+  // The runner shares one checker (and its cache) across the run; standalone use gets its own
+  const checker = ctx.linkChecker || createLinkChecker();
+  const hrefs = await page.$$eval('a[href]', anchors => anchors.map(a => a.getAttribute('href')));
+  const links = [...new Set(hrefs.map(href => normalizeLink(href, page.url())).filter(Boolean))];
+  logger.info(`TC-19: ${links.length} distinct links on ${ctx.url} (${checker.size()} checked so far this run)`);
+
+  let timedOut = false;
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => { timedOut = true; resolve(); }, TIME_BUDGET_MS);
+  });
+  const settled = [];
+  await Promise.race([
+    Promise.all(links.map(link => checker.check(link).then(result => settled.push(result)))),
+    deadline,
+  ]);
+  clearTimeout(timer);
+
+  const broken = settled.filter(result => result.problem);
+  const unchecked = links.length - settled.length;
+  logger.info(`TC-19: ${settled.length}/${links.length} links checked in ${(Date.now() - started) / 1000}s, ${broken.length} broken`);
+
+  const details = {
+    links: links.length,
+    checked: settled.length,
+    broken: broken.map(({ url, status, finalUrl, problem }) => ({ url, status, finalUrl, problem })),
+  };
+  const notes = [];
+  if (broken.length) {
+    const listed = broken.slice(0, MAX_REPORTED).map(({ url, problem }) => `${problem}: ${url}`);
+    if (broken.length > MAX_REPORTED) listed.push(`and ${broken.length - MAX_REPORTED} more`);
+    notes.push(`${broken.length} broken link(s): ${listed.join('; ')}`);
+  }
+  if (timedOut && unchecked) notes.push(`${unchecked} link(s) not checked within ${TIME_BUDGET_MS / 1000}s`);
+  return { pass: broken.length === 0, errorDetails: notes.join('. '), details };
+}
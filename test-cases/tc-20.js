@@ -0,0 +1,28 @@
+// TC-20: page throws no uncaught JavaScript exceptions (known-noisy messages allowlisted)
+import { logger } from '../utils/logger.js';
+import { isAllowlisted } from '../utils/page-errors.js';
+
+export const id = 'TC-20';
+export const title = 'No Uncaught JS Errors';
+
+// Give deferred scripts a moment to run (and fail) after DOMContentLoaded
+const SETTLE_MS = 2000;
+
+export async function run(page, ctx) {
+  if (!ctx.pageErrors) {
+    return { pass: false, errorDetails: 'No page-error capture attached to this page' };
+  }
+  await page.waitForTimeout(SETTLE_MS);
+
+  const uncaught = ctx.pageErrors.pageErrors.filter(message => !isAllowlisted(message));
+  const ignored = ctx.pageErrors.pageErrors.length - uncaught.length;
+  logger.info(`TC-20: ${uncaught.length} uncaught exception(s) on ${ctx.url}${ignored ? ` (${ignored} allowlisted)` : ''}`);
+  if (!uncaught.length) return { pass: true, errorDetails: '' };
+
+  await ctx.logPageDom();
+  return {
+    pass: false,
+    errorDetails: `Uncaught JS exception(s): ${[...new Set(uncaught)].join(' | ')}`,
+    details: { uncaught, ignored },
+  };
+}
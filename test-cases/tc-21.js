@@ -0,0 +1,24 @@
+// TC-21: Core Web Vitals and navigation timing stay within the page type's budget
+import { logger } from '../utils/logger.js';
+import { collectWebVitals, pageTypeFor, budgetFor, overBudget } from '../utils/web-vitals.js';
+
+export const id = 'TC-21';
+export const title = 'Core Web Vitals Budget';
+export const timeout = 15000;
+// Measured in a page of its own, right after load, before other tests scroll, click or navigate
+export const requires = { freshPage: true };
+
+export async function run(page, ctx) {
+  const pageType = pageTypeFor(ctx.url);
+  const budget = budgetFor(pageType);
+  const metrics = await collectWebVitals(page);
+  const over = overBudget(metrics, budget);
+  logger.info(`TC-21: ${pageType} page ${JSON.stringify(metrics)}${over.length ? ` — over budget: ${over.join(', ')}` : ''}`);
+
+  return {
+    pass: over.length === 0,
+    errorDetails: over.length ? `Over ${pageType} budget: ${over.join(', ')}` : '',
+    details: { pageType, budget, metrics },
+    metrics,
+  };
+}
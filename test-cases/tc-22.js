@@ -0,0 +1,52 @@
+// TC-22: title, meta description, canonical, robots and <h1> are search-ready; no duplicates across the run
+import { logger } from '../utils/logger.js';
+import { seoProblems, findDuplicates, cleanText } from '../utils/seo.js';
+
+export const id = 'TC-22';
+export const title = 'SEO Metadata';
+// Reads the metadata of the row's own page, not one an earlier test navigated to
+export const requires = { landedPage: true };
+
+export async function run(page, ctx) {
+  const meta = await page.evaluate(() => {
+    const content = selector => document.querySelector(selector)?.getAttribute('content') ?? null;
+    return {
+      title: document.title,
+      description: content('meta[name="description" i]'),
+      canonical: document.querySelector('link[rel="canonical" i]')?.getAttribute('href') ?? null,
+      robots: [...document.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]')].map(m => m.getAttribute('content')),
+      h1Count: document.querySelectorAll('h1').length,
+    };
+  });
+  const robotsHeader = ctx.response?.headers()['x-robots-tag'];
+  if (robotsHeader) meta.robots.push(robotsHeader);
+
+  const problems = seoProblems(meta, { pageUrl: page.url(), expectedCanonical: ctx.expectedCanonical });
+  logger.info(`TC-22: ${problems.length ? problems.join('; ') : 'metadata OK'}`);
+
+  return {
+    pass: problems.length === 0,
+    errorDetails: problems.join('; '),
+    details: { title: meta.title, description: meta.description, canonical: meta.canonical, h1Count: meta.h1Count, problems },
+  };
+}
+
+// Fail every page whose title or description is also used by another URL in the run
+export function afterRun(entries) {
+  const checks = [
+    { field: 'title', label: 'title', byValue: findDuplicates(entries, 'title') },
+    { field: 'description', label: 'meta description', byValue: findDuplicates(entries, 'description') },
+  ];
+  const amendments = [];
+  for (const entry of entries) {
+    const shared = checks
+      .map(({ field, label, byValue }) => {
+        const urls = byValue.get(cleanText(entry.details[field]));
+        return urls ? `duplicate ${label} (also on ${urls.filter(url => url !== entry.url).join(', ')})` : null;
+      })
+      .filter(Boolean);
+    if (!shared.length) continue;
+    amendments.push({ index: entry.index, pass: false, errorDetails: [...entry.details.problems, ...shared].join('; ') });
+  }
+  return amendments;
+}
@@ -0,0 +1,44 @@
+// TC-23: hreflang alternates form healthy clusters across the run (reciprocal, 200, locale matches path)
+import { logger } from '../utils/logger.js';
+import { createLinkChecker, normalizeLink } from '../utils/link-checker.js';
+import { alternateStatusProblem, buildClusters, clusterProblems, describeClusterProblems } from '../utils/hreflang.js';
+
+export const id = 'TC-23';
+export const title = 'hreflang Clusters';
+export const timeout = 30000;
+// Reads the alternates of the row's own page, not one an earlier test navigated to
+export const requires = { landedPage: true };
+
+// Per page this only gathers and status-checks the alternates; the verdict is given per cluster in afterRun
+export async function run(page, ctx) {
+  const checker = ctx.linkChecker || createLinkChecker();
+  const links = await page.$$eval('link[rel="alternate" i][hreflang]', nodes =>
+    nodes.map(node => ({ hreflang: node.getAttribute('hreflang').trim(), href: node.getAttribute('href') })));
+
+  const alternates = await Promise.all(links
+    .map(link => ({ ...link, href: normalizeLink(link.href, page.url()) }))
+    .filter(link => link.href)
+    .map(async link => {
+      const result = await checker.check(link.href);
+      return { ...link, status: result.status, problem: alternateStatusProblem(result) };
+    }));
+  logger.info(`TC-23: ${alternates.length} hreflang alternate(s) on ${ctx.url}`);
+
+  return { pass: true, errorDetails: '', details: { pageUrl: page.url(), alternates } };
+}
+
+// Fail every page of a cluster with a problem, with the same cluster-wide message, and list
+// every cluster in summary.json (`hreflangClusters`)
+export function afterRun(entries) {
+  const amendments = [];
+  const hreflangClusters = [];
+  for (const cluster of buildClusters(entries)) {
+    const problems = clusterProblems(cluster);
+    hreflangClusters.push({ pages: [...new Set(cluster.map(entry => entry.url))], ok: !problems.length, problems });
+    if (!problems.length) continue;
+    const errorDetails = describeClusterProblems(cluster, problems);
+    logger.warn(`TC-23: ${errorDetails}`);
+    cluster.forEach(entry => amendments.push({ index: entry.index, pass: false, errorDetails }));
+  }
+  return { amendments, summary: { hreflangClusters } };
+}
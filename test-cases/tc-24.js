@@ -0,0 +1,20 @@
+// TC-24: every JSON-LD block parses and its Product/Organization/BreadcrumbList/Article nodes have their required properties
+import { logger } from '../utils/logger.js';
+import { validateJsonLd } from '../utils/structured-data.js';
+
+export const id = 'TC-24';
+export const title = 'Structured Data (JSON-LD)';
+// Validates the row's own page, not one an earlier test navigated to
+export const requires = { landedPage: true };
+
+export async function run(page, ctx) {
+  const blocks = await page.$$eval('script[type="application/ld+json" i]', scripts => scripts.map(script => script.textContent));
+  const { nodes, problems } = validateJsonLd(blocks);
+  logger.info(`TC-24: ${blocks.length} JSON-LD block(s), ${nodes.length} node(s) on ${ctx.url}${problems.length ? ` — ${problems.join('; ')}` : ''}`);
+
+  return {
+    pass: problems.length === 0,
+    errorDetails: problems.length ? `Structured data: ${problems.join('; ')}` : (blocks.length ? '' : 'No JSON-LD blocks on the page'),
+    details: { blocks: blocks.length, nodes },
+  };
+}
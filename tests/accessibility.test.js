@@ -0,0 +1,57 @@
+// Unit tests for the axe-core result helpers behind TC-18
+import { flattenViolations, describeViolations, impactThreshold, meetsImpact, MAX_NODES_PER_RULE } from '../utils/accessibility.js';
+
+const axeViolations = [
+  {
+    id: 'color-contrast',
+    impact: 'serious',
+    help: 'Elements must meet minimum color contrast ratio thresholds',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/color-contrast',
+    nodes: [{ impact: 'serious', target: ['.hero .cta'] }, { impact: 'serious', target: [['iframe#vid', 'button.play']] }],
+  },
+  {
+    id: 'image-alt',
+    impact: 'critical',
+    help: 'Images must have alternate text',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/image-alt',
+    nodes: Array.from({ length: MAX_NODES_PER_RULE + 5 }, (_, i) => ({ target: [`img:nth-child(${i + 1})`] })),
+  },
+];
+
+describe('flattenViolations', () => {
+  test('emits one entry per node with rule, impact and selector, capped per rule', () => {
+    const flat = flattenViolations(axeViolations);
+    expect(flat[0]).toEqual({
+      rule: 'color-contrast',
+      impact: 'serious',
+      selector: '.hero .cta',
+      help: axeViolations[0].help,
+      helpUrl: axeViolations[0].helpUrl,
+    });
+    expect(flat[1].selector).toBe('iframe#vid button.play');
+    expect(flat.filter(v => v.rule === 'image-alt')).toHaveLength(MAX_NODES_PER_RULE);
+    expect(flat[2].impact).toBe('critical');
+  });
+});
+
+describe('impact threshold', () => {
+  test('defaults to serious and validates QA_A11Y_IMPACT', () => {
+    expect(impactThreshold(undefined)).toBe('serious');
+    expect(impactThreshold('Critical')).toBe('critical');
+    expect(() => impactThreshold('high')).toThrow(/QA_A11Y_IMPACT/);
+  });
+
+  test('compares impacts by severity', () => {
+    expect(meetsImpact('critical', 'serious')).toBe(true);
+    expect(meetsImpact('serious', 'serious')).toBe(true);
+    expect(meetsImpact('moderate', 'serious')).toBe(false);
+    expect(meetsImpact(null, 'minor')).toBe(true);
+  });
+});
+
+describe('describeViolations', () => {
+  test('groups nodes by rule', () => {
+    expect(describeViolations(flattenViolations(axeViolations)))
+      .toBe(`color-contrast (serious) ×2, image-alt (critical) ×${MAX_NODES_PER_RULE}`);
+  });
+});
@@ -0,0 +1,57 @@
+// Unit tests for the artifact store (local backend; no network)
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createArtifactStore } from '../utils/artifacts/index.js';
+
+describe('artifact store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-artifacts-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('upload moves a local file into the store and returns its URL', async () => {
+    const store = createArtifactStore({ backend: 'local', dir: path.join(dir, 'store'), baseUrl: 'http://localhost:8080/' });
+    const source = path.join(dir, 'shot.png');
+    fs.writeFileSync(source, 'png-bytes');
+
+    const url = await store.upload(source, 'screenshots/run-1/shot.png');
+
+    expect(url).toBe('http://localhost:8080/screenshots/run-1/shot.png');
+    expect(fs.existsSync(source)).toBe(false);
+    expect(fs.readFileSync(path.join(dir, 'store/screenshots/run-1/shot.png'), 'utf8')).toBe('png-bytes');
+  });
+
+  test('put with addRandomSuffix keeps the extension and never reuses a name', async () => {
+    const store = createArtifactStore({ backend: 'local', dir });
+    const first = await store.put('input.xlsx', Buffer.from('a'), { addRandomSuffix: true });
+    const second = await store.put('input.xlsx', Buffer.from('b'), { addRandomSuffix: true });
+
+    expect(path.basename(first)).toMatch(/^input-[0-9a-f]{8}\.xlsx$/);
+    expect(first).not.toBe(second);
+  });
+
+  test('get returns a stored artifact, or null when it does not exist', async () => {
+    const store = createArtifactStore({ backend: 'local', dir });
+    await store.put('visual/baselines/home.png', Buffer.from('baseline'));
+
+    expect((await store.get('visual/baselines/home.png')).toString()).toBe('baseline');
+    expect(await store.get('visual/baselines/missing.png')).toBeNull();
+  });
+
+  test('rejects paths outside the local directory', async () => {
+    const store = createArtifactStore({ backend: 'local', dir });
+    await expect(store.put('../escape.png', Buffer.from('x'))).rejects.toThrow(/escapes/);
+  });
+
+  test('validates backend configuration up front', () => {
+    expect(() => createArtifactStore({ backend: 'ftp' })).toThrow(/Unknown artifact backend "ftp"/);
+    expect(() => createArtifactStore({ backend: 's3', bucket: '' })).toThrow(/S3_BUCKET/);
+    expect(() => createArtifactStore({ backend: 'azure', connectionString: '' })).toThrow(/AZURE_STORAGE_CONNECTION_STRING/);
+  });
+});
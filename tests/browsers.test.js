@@ -0,0 +1,16 @@
+// Unit tests for browser-matrix parsing
+import { parseBrowsers, BROWSERS } from '../utils/browsers.js';
+
+describe('parseBrowsers', () => {
+  test('reads arrays and comma lists in engine order', () => {
+    expect(parseBrowsers('WebKit, chromium')).toEqual(['chromium', 'webkit']);
+    expect(parseBrowsers(['firefox'])).toEqual(['firefox']);
+    expect(parseBrowsers('all')).toEqual(BROWSERS);
+  });
+
+  test('falls back when empty and rejects unknown engines', () => {
+    expect(parseBrowsers('')).toEqual(['chromium']);
+    expect(parseBrowsers(undefined, ['firefox'])).toEqual(['firefox']);
+    expect(() => parseBrowsers('chromium,edge')).toThrow(/Unknown browser\(s\): edge/);
+  });
+});
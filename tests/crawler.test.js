@@ -0,0 +1,85 @@
+// Unit tests for crawl mode: URL normalization, robots.txt rules and the bounded frontier
+import { normalizeCrawlUrl, parseRobots, isAllowedByRobots, createCrawlFrontier } from '../utils/crawler.js';
+
+const BASE = 'https://www.gehealthcare.com';
+
+// fetch stand-in answering robots.txt per origin (404 when not listed)
+function robotsFetch(files) {
+  const calls = [];
+  const fetchImpl = async url => {
+    calls.push(url);
+    const origin = new URL(url).origin;
+    if (!(origin in files)) return { ok: false, status: 404 };
+    return { ok: true, status: 200, text: async () => files[origin] };
+  };
+  return { fetchImpl, calls };
+}
+
+describe('normalizeCrawlUrl', () => {
+  test('resolves, strips fragments, tracking parameters and trailing slashes, and sorts the query', () => {
+    expect(normalizeCrawlUrl('../products/?utm_source=x&b=2&a=1#top', `${BASE}/en-us/insights/`)).toBe(`${BASE}/en-us/products?a=1&b=2`);
+    expect(normalizeCrawlUrl('/', `${BASE}/en-us`)).toBe(`${BASE}/`);
+  });
+
+  test('skips files and non-http links', () => {
+    expect(normalizeCrawlUrl('/brochure.PDF', BASE)).toBeNull();
+    expect(normalizeCrawlUrl('mailto:info@example.com', BASE)).toBeNull();
+  });
+});
+
+describe('robots.txt', () => {
+  const rules = parseRobots([
+    'User-agent: Googlebot',
+    'Disallow: /',
+    '',
+    'User-agent: *',
+    'Disallow: /search # internal search',
+    'Disallow: /*.aspx$',
+    'Allow: /search/help',
+  ].join('\n'));
+
+  test('keeps only the rules for every crawler', () => {
+    expect(rules).toEqual([
+      { allow: false, pattern: '/search' },
+      { allow: false, pattern: '/*.aspx$' },
+      { allow: true, pattern: '/search/help' },
+    ]);
+  });
+
+  test('applies the longest matching rule, with wildcards and end anchors', () => {
+    expect(isAllowedByRobots(rules, '/en-us/products')).toBe(true);
+    expect(isAllowedByRobots(rules, '/search?q=mr')).toBe(false);
+    expect(isAllowedByRobots(rules, '/search/help')).toBe(true);
+    expect(isAllowedByRobots(rules, '/old/page.aspx')).toBe(false);
+    expect(isAllowedByRobots(rules, '/old/page.aspx?x=1')).toBe(true);
+  });
+});
+
+describe('createCrawlFrontier', () => {
+  test('follows same-host links once, up to the depth limit, honouring robots.txt', async () => {
+    const { fetchImpl, calls } = robotsFetch({ [BASE]: 'User-agent: *\nDisallow: /search' });
+    const frontier = createCrawlFrontier({ seeds: [`${BASE}/en-us`], maxDepth: 2, fetchImpl });
+
+    const fromSeed = await frontier.add(
+      ['/en-us/products', '/en-us/products/', '/en-us', '/search?q=x', 'https://other.example/x'],
+      { baseUrl: `${BASE}/en-us`, depth: 0 }
+    );
+    expect(fromSeed).toEqual([{ url: `${BASE}/en-us/products`, depth: 1, foundOn: `${BASE}/en-us` }]);
+
+    const fromChild = await frontier.add(['/en-us/products/mr', '/en-us/products'], { baseUrl: `${BASE}/en-us/products`, depth: 1 });
+    expect(fromChild.map(entry => [entry.url, entry.depth])).toEqual([[`${BASE}/en-us/products/mr`, 2]]);
+
+    expect(await frontier.add(['/en-us/deeper'], { baseUrl: `${BASE}/en-us/products/mr`, depth: 2 })).toEqual([]);
+    expect(frontier.size()).toBe(3);
+    expect(calls).toEqual([`${BASE}/robots.txt`]);
+  });
+
+  test('stops at the page cap and can ignore robots.txt', async () => {
+    const { fetchImpl, calls } = robotsFetch({ [BASE]: 'User-agent: *\nDisallow: /' });
+    const frontier = createCrawlFrontier({ seeds: [`${BASE}/en-us`], maxPages: 3, respectRobots: false, fetchImpl });
+    const added = await frontier.add(['/a', '/b', '/c', '/d'], { baseUrl: `${BASE}/en-us`, depth: 0 });
+    expect(added.map(entry => entry.url)).toEqual([`${BASE}/a`, `${BASE}/b`]);
+    expect(frontier.size()).toBe(3);
+    expect(calls).toEqual([]);
+  });
+});
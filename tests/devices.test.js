@@ -0,0 +1,31 @@
+// Unit tests for device emulation profiles
+import { parseDevices, deviceContextOptions, DEVICES } from '../utils/devices.js';
+
+describe('parseDevices', () => {
+  test('reads arrays and comma lists in profile order', () => {
+    expect(parseDevices('laptop, Phone')).toEqual(['phone', 'laptop']);
+    expect(parseDevices(['small-tablet'])).toEqual(['small-tablet']);
+    expect(parseDevices('all')).toEqual(DEVICES);
+  });
+
+  test('falls back when empty and rejects unknown profiles', () => {
+    expect(parseDevices('')).toEqual([]);
+    expect(parseDevices(undefined, ['phone'])).toEqual(['phone']);
+    expect(() => parseDevices('phone,watch')).toThrow(/Unknown device\(s\): watch/);
+  });
+});
+
+describe('deviceContextOptions', () => {
+  test('carries touch, DPR and user agent from the Playwright descriptor', () => {
+    const phone = deviceContextOptions('phone');
+    expect(phone).toMatchObject({ isMobile: true, hasTouch: true, deviceScaleFactor: 3 });
+    expect(phone.userAgent).toMatch(/iPhone/);
+    expect(phone).not.toHaveProperty('defaultBrowserType');
+    expect(deviceContextOptions('laptop').viewport).toEqual({ width: 1366, height: 768 });
+  });
+
+  test('drops the mobile flag that Firefox does not support', () => {
+    expect(deviceContextOptions('large-tablet', 'firefox')).not.toHaveProperty('isMobile');
+    expect(deviceContextOptions('large-tablet', 'firefox').hasTouch).toBe(true);
+  });
+});
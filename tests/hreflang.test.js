@@ -0,0 +1,71 @@
+// Unit tests for TC-23 hreflang clusters: locale matching, reciprocity and status problems
+import { pathLocale, hreflangMatchesPath, alternateStatusProblem, buildClusters, clusterProblems } from '../utils/hreflang.js';
+import { afterRun } from '../test-cases/tc-23.js';
+
+const BASE = 'https://www.gehealthcare.com';
+const alt = (hreflang, locale, problem = null) => ({ hreflang, href: `${BASE}/${locale}/products`, status: problem ? 404 : 200, problem });
+const entry = (index, locale, alternates) => ({
+  index,
+  url: `${BASE}/${locale}/products`,
+  details: { pageUrl: `${BASE}/${locale}/products`, alternates },
+});
+
+describe('locale matching', () => {
+  test('reads the /xx-yy path segment', () => {
+    expect(pathLocale(`${BASE}/de-DE/products`)).toBe('de-de');
+    expect(pathLocale(`${BASE}/products`)).toBeNull();
+  });
+
+  test('matches full tags, language-only tags and x-default', () => {
+    expect(hreflangMatchesPath('de-DE', `${BASE}/de-de/products`)).toBe(true);
+    expect(hreflangMatchesPath('de', `${BASE}/de-de/products`)).toBe(true);
+    expect(hreflangMatchesPath('x-default', `${BASE}/products`)).toBe(true);
+    expect(hreflangMatchesPath('fr-fr', `${BASE}/de-de/products`)).toBe(false);
+    expect(hreflangMatchesPath('en', `${BASE}/products`)).toBe(false);
+  });
+});
+
+test('alternateStatusProblem requires a direct 200', () => {
+  expect(alternateStatusProblem({ status: 200, redirects: 0, problem: null })).toBeNull();
+  expect(alternateStatusProblem({ status: 200, redirects: 1, finalUrl: `${BASE}/en-us`, problem: null })).toBe(`redirects to ${BASE}/en-us`);
+  expect(alternateStatusProblem({ status: 404, redirects: 0, problem: 'HTTP 404' })).toBe('HTTP 404');
+});
+
+describe('clusters', () => {
+  const full = ['en-us', 'de-de', 'fr-fr'].map(locale => alt(locale, locale));
+
+  test('groups pages linked through their alternates and finds no problems in a healthy cluster', () => {
+    const entries = [entry(0, 'en-us', full), entry(1, 'de-de', full), entry(2, 'fr-fr', full), entry(3, 'en-in', [])];
+    const clusters = buildClusters(entries);
+    expect(clusters.map(cluster => cluster.map(e => e.index))).toEqual([[0, 1, 2], [3]]);
+    expect(clusters.map(clusterProblems)).toEqual([[], []]);
+    expect(afterRun(entries)).toEqual({
+      amendments: [],
+      summary: {
+        hreflangClusters: [
+          { pages: [`${BASE}/en-us/products`, `${BASE}/de-de/products`, `${BASE}/fr-fr/products`], ok: true, problems: [] },
+          { pages: [`${BASE}/en-in/products`], ok: true, problems: [] },
+        ],
+      },
+    });
+  });
+
+  test('reports missing return links, bad statuses and mismatched locales for the whole cluster', () => {
+    const entries = [
+      entry(0, 'en-us', [alt('en-us', 'en-us'), alt('de-de', 'de-de'), alt('fr-fr', 'de-de')]),
+      entry(1, 'de-de', [alt('de-de', 'de-de'), alt('en-in', 'en-in', 'HTTP 404')]),
+    ];
+    expect(clusterProblems(buildClusters(entries)[0])).toEqual([
+      `${BASE}/de-de/products does not link back to ${BASE}/en-us/products`,
+      `hreflang="fr-fr" points at ${BASE}/de-de/products (path locale de-de)`,
+      `${BASE}/en-in/products (en-in): HTTP 404`,
+    ]);
+    const { amendments, summary } = afterRun(entries);
+    expect(summary.hreflangClusters).toEqual([{ pages: [`${BASE}/en-us/products`, `${BASE}/de-de/products`], ok: false, problems: expect.any(Array) }]);
+    expect(summary.hreflangClusters[0].problems).toHaveLength(3);
+    expect(amendments.map(a => a.index)).toEqual([0, 1]);
+    expect(amendments[0].pass).toBe(false);
+    expect(amendments[0].errorDetails).toMatch(/^hreflang cluster of 2 page\(s\) is broken: /);
+    expect(amendments[1].errorDetails).toBe(amendments[0].errorDetails);
+  });
+});
@@ -0,0 +1,89 @@
+// Unit tests for the run-wide link checker (fake fetch; no network)
+import { createLinkChecker, normalizeLink, isRetiredLink } from '../utils/link-checker.js';
+
+// fetch stand-in answering from a { url: { status, location, headStatus } } table and counting calls
+function fakeFetch(routes) {
+  const calls = [];
+  const impl = async (url, { method }) => {
+    calls.push(`${method} ${url}`);
+    const route = routes[url] || { status: 404 };
+    const status = method === 'HEAD' && route.headStatus ? route.headStatus : route.status;
+    return {
+      status,
+      headers: new Headers(route.location ? { location: route.location } : {}),
+      body: null,
+    };
+  };
+  return { impl, calls };
+}
+
+describe('normalizeLink', () => {
+  test('resolves relative links, drops fragments and skips non-http schemes', () => {
+    expect(normalizeLink('/en-us/about#team', 'https://www.gehealthcare.com/en-us')).toBe('https://www.gehealthcare.com/en-us/about');
+    expect(normalizeLink('mailto:info@example.com', 'https://a.example')).toBeNull();
+    expect(normalizeLink('javascript:void(0)', 'https://a.example')).toBeNull();
+    expect(normalizeLink('', 'https://a.example')).toBeNull();
+  });
+});
+
+describe('isRetiredLink', () => {
+  test('matches the configured pre-migration patterns', () => {
+    expect(isRetiredLink('https://www3.gehealthcare.com/en/products')).toBe(true);
+    expect(isRetiredLink('https://www.gehealthcare.com/products/default.aspx?id=1')).toBe(true);
+    expect(isRetiredLink('https://www.gehealthcare.com/en-us/products')).toBe(false);
+  });
+});
+
+describe('createLinkChecker', () => {
+  test('checks each URL once per run, even when requested concurrently', async () => {
+    const { impl, calls } = fakeFetch({ 'https://a.example/ok': { status: 200 } });
+    const checker = createLinkChecker({ fetchImpl: impl, intervalMs: 0 });
+
+    const results = await Promise.all([checker.check('https://a.example/ok'), checker.check('https://a.example/ok')]);
+    await checker.check('https://a.example/ok');
+
+    expect(results[0]).toMatchObject({ status: 200, problem: null });
+    expect(calls).toEqual(['HEAD https://a.example/ok']);
+    expect(checker.size()).toBe(1);
+  });
+
+  test('falls back to GET when HEAD is rejected and reports 4xx/5xx', async () => {
+    const { impl, calls } = fakeFetch({
+      'https://a.example/no-head': { headStatus: 405, status: 200 },
+      'https://a.example/gone': { status: 410 },
+    });
+    const checker = createLinkChecker({ fetchImpl: impl, intervalMs: 0 });
+
+    expect(await checker.check('https://a.example/no-head')).toMatchObject({ status: 200, problem: null });
+    expect(await checker.check('https://a.example/gone')).toMatchObject({ status: 410, problem: 'HTTP 410' });
+    expect(calls).toContain('GET https://a.example/no-head');
+  });
+
+  test('follows redirects and flags loops and retired targets', async () => {
+    const { impl } = fakeFetch({
+      'https://a.example/a': { status: 301, location: '/b' },
+      'https://a.example/b': { status: 302, location: 'https://a.example/a' },
+      'https://a.example/old': { status: 301, location: 'https://www3.gehealthcare.com/page' },
+      'https://www3.gehealthcare.com/page': { status: 200 },
+    });
+    const checker = createLinkChecker({ fetchImpl: impl, intervalMs: 0 });
+
+    expect(await checker.check('https://a.example/a')).toMatchObject({ problem: 'redirect loop', finalUrl: 'https://a.example/a' });
+    expect(await checker.check('https://a.example/old')).toMatchObject({ status: 200, redirects: 1, problem: 'retired path' });
+  });
+
+  test('spaces request starts by the shared interval', async () => {
+    const { impl } = fakeFetch({ 'https://a.example/1': { status: 200 }, 'https://a.example/2': { status: 200 }, 'https://a.example/3': { status: 200 } });
+    const checker = createLinkChecker({ fetchImpl: impl, intervalMs: 40 });
+    const t0 = Date.now();
+
+    await Promise.all(['https://a.example/1', 'https://a.example/2', 'https://a.example/3'].map(url => checker.check(url)));
+
+    expect(Date.now() - t0).toBeGreaterThanOrEqual(75);
+  });
+
+  test('reports network errors as problems instead of throwing', async () => {
+    const checker = createLinkChecker({ fetchImpl: async () => { throw new Error('ECONNRESET'); }, intervalMs: 0 });
+    expect(await checker.check('https://a.example/down')).toMatchObject({ status: null, problem: 'network error: ECONNRESET' });
+  });
+});
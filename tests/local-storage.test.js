@@ -0,0 +1,90 @@
+// Unit tests for the local JSON storage backend
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorage } from '../utils/storage/index.js';
+
+describe('local storage backend', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-local-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records a run, its progress and test results with Supabase column names', async () => {
+    const storage = createStorage({ backend: 'local', dir });
+    await storage.createRun({ runId: 'run-1', initiatedBy: 'jest', environment: 'test' });
+    await storage.startProgress({ runId: 'run-1', totalUrls: 2, startedAt: '2026-10-19T00:00:00Z', environment: 'test' });
+    await storage.insertTestResult({ runId: 'run-1', url: 'https://a.example', region: 'en-us', testId: 'TC-01', result: 'fail', errorDetails: 'boom', environment: 'test' });
+    await storage.insertTestResult({ runId: 'run-1', url: 'https://a.example', region: 'en-us', testId: 'TC-03', result: 'pass', errorDetails: '', environment: 'test' });
+    await storage.attachMedia({ runId: 'run-1', url: 'https://a.example', testIds: ['TC-01'], screenshotUrl: 'shot.png', videoUrl: null });
+    await storage.updateProgress({ runId: 'run-1', completed: 1, estimatedDone: null, statusSummary: '1 of 2 done' });
+    await storage.completeProgress({ runId: 'run-1' });
+
+    expect(storage.select('test_runs')).toEqual([expect.objectContaining({ id: 1, run_id: 'run-1', initiated_by: 'jest' })]);
+    expect(storage.select('crawl_progress')[0]).toMatchObject({ urls_completed: 1, status: 'completed', total_urls: 2 });
+    const results = storage.select('test_results');
+    expect(results.map(r => r.id)).toEqual([1, 2]);
+    expect(results[0]).toMatchObject({ test_id: 'TC-01', region_code: 'en-us', result: 'fail', screenshot_path: 'shot.png' });
+    expect(results[1].screenshot_path).toBeUndefined();
+
+    // A second sink on the same directory sees earlier runs
+    expect(createStorage({ backend: 'local', dir }).select('test_results', r => r.result === 'fail')).toHaveLength(1);
+  });
+
+  test('checkpoints finished URLs and discards partial results for resume', async () => {
+    const storage = createStorage({ backend: 'local', dir });
+    const row = { url: 'https://a.example', 'TC-01': 'Pass', 'Page Pass?': 'Pass' };
+    await storage.saveCheckpoint({ runId: 'run-1', index: 0, url: row.url, row: { ...row, 'Page Pass?': 'Fail' }, screenshotUrl: null, videoUrl: null });
+    await storage.saveCheckpoint({ runId: 'run-1', index: 0, url: row.url, row, screenshotUrl: 'shot.png', videoUrl: null });
+    await storage.saveCheckpoint({ runId: 'run-2', index: 0, url: row.url, row, screenshotUrl: null, videoUrl: null });
+
+    expect(await storage.loadCheckpoint('run-1')).toEqual([{ index: 0, url: row.url, row, screenshotUrl: 'shot.png', videoUrl: null }]);
+
+    await storage.insertTestResult({ runId: 'run-1', url: 'https://a.example', testId: 'TC-01', result: 'pass' });
+    await storage.insertTestResult({ runId: 'run-1', url: 'https://b.example', testId: 'TC-01', result: 'fail' });
+    await storage.discardTestResults({ runId: 'run-1', urls: ['https://b.example'] });
+    expect(storage.select('test_results').map(r => r.url)).toEqual(['https://a.example']);
+  });
+
+  test('stores one page_metrics row per numeric metric and discards them with their URL', async () => {
+    const storage = createStorage({ backend: 'local', dir });
+    await storage.insertMetrics({ runId: 'run-1', url: 'https://a.example', region: 'en-us', testId: 'TC-21', metrics: { lcp: 2100, cls: 0.02, inp: null }, environment: 'test' });
+
+    expect(storage.select('page_metrics').map(({ metric, value }) => [metric, value])).toEqual([['lcp', 2100], ['cls', 0.02]]);
+    await storage.discardTestResults({ runId: 'run-1', urls: ['https://a.example'] });
+    expect(storage.select('page_metrics')).toEqual([]);
+  });
+
+  test('keys browser-matrix results by browser', async () => {
+    const storage = createStorage({ backend: 'local', dir });
+    for (const browser of ['chromium', 'webkit']) {
+      await storage.insertTestResult({ runId: 'run-1', url: 'https://a.example', testId: 'TC-01', result: 'pass', browser });
+    }
+    await storage.updateTestResult({ runId: 'run-1', url: 'https://a.example', testId: 'TC-01', result: 'fail', errorDetails: 'boom', browser: 'webkit' });
+    expect(storage.select('test_results').map(r => [r.browser, r.result])).toEqual([['chromium', 'pass'], ['webkit', 'fail']]);
+
+    await storage.discardTestResults({ runId: 'run-1', urls: ['https://a.example'], browser: 'webkit' });
+    expect(storage.select('test_results').map(r => r.browser)).toEqual(['chromium']);
+  });
+
+  test('keys device-profile results by device, with null for the plain run', async () => {
+    const storage = createStorage({ backend: 'local', dir });
+    for (const device of [null, 'phone']) {
+      await storage.insertTestResult({ runId: 'run-1', url: 'https://a.example', testId: 'TC-03', result: 'fail', device });
+    }
+    await storage.attachMedia({ runId: 'run-1', url: 'https://a.example', testIds: ['TC-03'], screenshotUrl: 'phone.png', videoUrl: null, device: 'phone' });
+    expect(storage.select('test_results').map(r => [r.device, r.screenshot_path])).toEqual([[undefined, undefined], ['phone', 'phone.png']]);
+
+    await storage.discardTestResults({ runId: 'run-1', urls: ['https://a.example'], device: null });
+    expect(storage.select('test_results').map(r => r.device)).toEqual(['phone']);
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => createStorage({ backend: 'mongo' })).toThrow(/Unknown storage backend "mongo"/);
+  });
+});
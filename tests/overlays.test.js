@@ -0,0 +1,153 @@
+// Unit tests for the declarative overlay rules (validation, ordering, button keywords, applying them to a fake page)
+import { validateOverlayRules, phaseRules, buttonKeywords, applyOverlayRules } from '../utils/overlays.js';
+import { logger } from '../utils/logger.js';
+import { overlayRules } from '../config.js';
+
+// Fake element: visible unless told otherwise; clicking runs `onClick`
+function element({ text = '', visible = true, buttons = [], onClick } = {}) {
+  return {
+    style: {},
+    removed: false,
+    clicked: 0,
+    async isVisible() { return visible; },
+    async textContent() { return text; },
+    async $$() { return buttons; },
+    async click() { this.clicked++; onClick?.(); },
+    remove() { this.removed = true; },
+  };
+}
+
+// Fake page over a selector -> elements map; a joined selector list matches any of its selectors
+function fakePage(dom) {
+  const query = selectorList => selectorList.split(', ').flatMap(selector => dom[selector] || []).filter(el => !el.removed);
+  return {
+    url: () => 'https://a.example/en-us',
+    async $(selector) { return query(selector)[0] || null; },
+    async waitForSelector(selector) {
+      if (!query(selector).length) throw new Error('timeout');
+      return query(selector)[0];
+    },
+    async $$eval(selector, fn, arg) { return fn(query(selector), arg); },
+    async waitForFunction(fn, selector) {
+      if (query(selector).length) throw new Error('timeout');
+    },
+    async waitForLoadState() {},
+    async waitForTimeout() {},
+  };
+}
+
+describe('validateOverlayRules', () => {
+  test('accepts the configured rules', () => {
+    expect(validateOverlayRules(overlayRules)).toBe(overlayRules);
+  });
+
+  test('lists every invalid rule', () => {
+    const rules = [
+      { name: 'onetrust', phase: 'consent', action: 'click', detect: ['#onetrust-banner-sdk'] },
+      { name: 'onetrust', phase: 'popup', action: 'hide', detect: ['#x'] },
+      { name: 'early', phase: 'init', action: 'click' },
+      { name: 'slow', phase: 'survey', action: 'hide', detect: ['.s'], after: 'later', fallback: 'click' },
+    ];
+    expect(() => validateOverlayRules(rules)).toThrow(
+      'Invalid overlay rules: onetrust: click rules need click selectors or buttonText; ' +
+      'onetrust: duplicate name; onetrust: phase must be one of init, gatekeeper, consent, survey; ' +
+      'early: init rules can only hide or remove; early: init rules need detect, keywords or iframeNames; ' +
+      "slow: after must be 'navigation', 'gone' or a number of ms; slow: fallback must be 'hide' or 'remove'"
+    );
+  });
+
+  test('rejects detect selectors that do not parse', () => {
+    const rules = [
+      { name: 'early', phase: 'init', action: 'hide', detect: ['div[id*="cookie"', '#qa-ok'] },
+      { name: 'banner', phase: 'consent', action: 'hide', detect: ['..banner', ' '] },
+    ];
+    expect(() => validateOverlayRules(rules)).toThrow(
+      'Invalid overlay rules: early: detect selector "div[id*="cookie"" does not parse ("]" is expected); ' +
+      'banner: detect selector "..banner" does not parse (Identifier is expected); banner: detect selector " " does not parse (empty selector)'
+    );
+  });
+});
+
+describe('phaseRules', () => {
+  test('returns one phase by order, keeping list order for ties', () => {
+    const rules = [
+      { name: 'generic', phase: 'consent', order: 100 },
+      { name: 'survey', phase: 'survey', order: 1 },
+      { name: 'evidon', phase: 'consent', order: 10 },
+      { name: 'onetrust', phase: 'consent', order: 10 },
+    ];
+    expect(phaseRules('consent', rules).map(rule => rule.name)).toEqual(['evidon', 'onetrust', 'generic']);
+    expect(phaseRules('consent').map(rule => rule.name)).toEqual(['evidon', 'generic-consent']);
+  });
+});
+
+describe('buttonKeywords', () => {
+  test('flattens the keywords of every language in lower case', () => {
+    expect(buttonKeywords({ buttonText: { en: ['Accept all'], de: ['Alle akzeptieren'] } })).toEqual(['accept all', 'alle akzeptieren']);
+    expect(buttonKeywords({})).toEqual([]);
+  });
+});
+
+describe('applyOverlayRules', () => {
+  let info;
+  beforeEach(() => {
+    info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+  });
+  afterEach(() => info.mockRestore());
+
+  test('applies only the first matching rule of the phase and logs it with the page URL', async () => {
+    const banner = element({ buttons: [element({ text: ' Settings ' }), element({ text: 'Accept all cookies' })] });
+    const page = fakePage({ '#onetrust-banner-sdk': [banner], '.cookie-bar': [element()] });
+    const rules = [
+      { name: 'hidden-banner', phase: 'consent', action: 'hide', detect: ['#evidon'] },
+      { name: 'onetrust', phase: 'consent', action: 'click', detect: ['#onetrust-banner-sdk'], buttonText: { en: ['Accept all'] } },
+      { name: 'generic', phase: 'consent', action: 'remove', detect: ['.cookie-bar'] },
+      { name: 'survey', phase: 'survey', action: 'remove', detect: ['#onetrust-banner-sdk'] },
+    ];
+
+    expect(await applyOverlayRules(page, 'consent', rules)).toBe('onetrust');
+    const [, accept] = await banner.$$();
+    expect(accept.clicked).toBe(1);
+    expect(await page.$('.cookie-bar')).not.toBeNull();
+    expect(info.mock.calls).toEqual([['[OVERLAY] https://a.example/en-us: onetrust (consent) clicked "accept all cookies"']]);
+  });
+
+  test('clicks a click selector before looking for button text', async () => {
+    const accept = element();
+    const page = fakePage({ '#banner': [element({ buttons: [element({ text: 'Accept all' })] })], '#accept': [accept] });
+    const rule = { name: 'banner', phase: 'consent', action: 'click', detect: ['#banner'], click: ['#missing', '#accept'], buttonText: { en: ['Accept all'] } };
+
+    await applyOverlayRules(page, 'consent', [rule]);
+    expect(accept.clicked).toBe(1);
+    expect(info).toHaveBeenCalledWith('[OVERLAY] https://a.example/en-us: banner (consent) clicked #accept');
+  });
+
+  test("falls back when an after: 'gone' banner stays, or there is nothing to click", async () => {
+    const stays = element();
+    const goes = element();
+    const dom = { '#stays': [stays], '#goes': [goes], '#stays-button': [element()], '#goes-button': [element({ onClick: () => goes.remove() })] };
+    const rule = (name, detect) => ({ name, phase: 'gatekeeper', action: 'click', detect: [detect], click: [`${detect}-button`], after: 'gone', fallback: 'hide' });
+
+    await applyOverlayRules(fakePage(dom), 'gatekeeper', [rule('gone', '#goes')]);
+    await applyOverlayRules(fakePage(dom), 'gatekeeper', [rule('stays', '#stays')]);
+    await applyOverlayRules(fakePage({ '#empty': [element()] }), 'survey',
+      [{ name: 'survey', phase: 'survey', action: 'click', detect: ['#empty'], buttonText: { en: ['Close'] }, fallback: 'remove' }]);
+
+    expect(stays.style.display).toBe('none');
+    expect(info.mock.calls.map(([message]) => message)).toEqual([
+      '[OVERLAY] https://a.example/en-us: gone (gatekeeper) clicked #goes-button',
+      '[OVERLAY] https://a.example/en-us: stays (gatekeeper) clicked #stays-button, still shown, hid 1 element(s)',
+      '[OVERLAY] https://a.example/en-us: survey (survey) nothing to click, removed 1 element(s)',
+    ]);
+  });
+
+  test('hides or removes every match, and skips hidden elements', async () => {
+    const bars = [element(), element()];
+    const page = fakePage({ '.bar': bars, '.popup': [element({ visible: false })] });
+
+    expect(await applyOverlayRules(page, 'consent', [{ name: 'popup', phase: 'consent', action: 'remove', detect: ['.popup'] }])).toBeNull();
+    expect(await applyOverlayRules(page, 'consent', [{ name: 'bars', phase: 'consent', action: 'remove', detect: ['.bar'] }])).toBe('bars');
+    expect(bars.every(bar => bar.removed)).toBe(true);
+    expect(info.mock.calls).toEqual([['[OVERLAY] https://a.example/en-us: bars (consent) removed 2 element(s)']]);
+  });
+});
@@ -0,0 +1,57 @@
+// Unit tests for per-page console/page-error capture (fake page emitter; no browser)
+import { EventEmitter } from 'events';
+import { capturePageErrors, isAllowlisted, hasPageErrors, MAX_CAPTURED } from '../utils/page-errors.js';
+
+// Minimal stand-ins for Playwright's ConsoleMessage and Request
+const consoleMessage = (type, text, location = {}) => ({ type: () => type, text: () => text, location: () => location });
+const failedRequest = (url, errorText) => ({ url: () => url, method: () => 'GET', failure: () => ({ errorText }) });
+
+describe('capturePageErrors', () => {
+  test('records console errors, uncaught exceptions and failed requests', () => {
+    const page = new EventEmitter();
+    const captured = capturePageErrors(page, { ignoreRequest: url => url.includes('gtm.js') });
+
+    page.emit('console', consoleMessage('log', 'hello'));
+    page.emit('console', consoleMessage('error', 'Failed to load resource', { url: 'https://a.example/app.js', lineNumber: 12 }));
+    page.emit('pageerror', new Error('x is not defined'));
+    page.emit('requestfailed', failedRequest('https://a.example/api', 'net::ERR_CONNECTION_RESET'));
+    page.emit('requestfailed', failedRequest('https://www.googletagmanager.com/gtm.js', 'net::ERR_FAILED'));
+
+    expect(captured).toEqual({
+      console: ['Failed to load resource (https://a.example/app.js:12)'],
+      pageErrors: ['x is not defined'],
+      requestFailures: ['GET https://a.example/api net::ERR_CONNECTION_RESET'],
+    });
+    expect(hasPageErrors(captured)).toBe(true);
+  });
+
+  test('drops the console errors of requests the runner blocked', () => {
+    const page = new EventEmitter();
+    const blocked = 'https://www.googletagmanager.com/gtm.js?id=GTM-1';
+    const captured = capturePageErrors(page, { ignoreRequest: url => url.includes('gtm.js') });
+
+    page.emit('console', consoleMessage('error', 'Failed to load resource: net::ERR_FAILED', { url: blocked, lineNumber: 0 }));
+    page.emit('requestfailed', failedRequest(blocked, 'net::ERR_FAILED'));
+    page.emit('console', consoleMessage('error', 'Failed to load resource: net::ERR_FAILED', { url: 'https://a.example/app.js', lineNumber: 0 }));
+
+    expect(captured.console).toEqual(['Failed to load resource: net::ERR_FAILED (https://a.example/app.js:0)']);
+    expect(captured.requestFailures).toEqual([]);
+  });
+
+  test('caps each kind of entry', () => {
+    const page = new EventEmitter();
+    const captured = capturePageErrors(page);
+    for (let i = 0; i < MAX_CAPTURED + 10; i++) page.emit('pageerror', new Error(`boom ${i}`));
+    expect(captured.pageErrors).toHaveLength(MAX_CAPTURED);
+    expect(hasPageErrors({ console: [], pageErrors: [], requestFailures: [] })).toBe(false);
+  });
+});
+
+describe('isAllowlisted', () => {
+  test('matches substrings and regular expressions', () => {
+    expect(isAllowlisted('ResizeObserver loop completed with undelivered notifications.')).toBe(true);
+    expect(isAllowlisted('Script error.')).toBe(true);
+    expect(isAllowlisted("Cannot read properties of undefined (reading 'init')", ['reading \'init\''])).toBe(true);
+    expect(isAllowlisted('x is not defined')).toBe(false);
+  });
+});
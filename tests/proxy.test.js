@@ -0,0 +1,103 @@
+// Tests for region proxies: env resolution, egress parsing and the pre-flight through a local forward proxy
+import http from 'http';
+import net from 'net';
+import { proxyEnvName, resolveProxy, parseEgressCountry, checkEgressCountry, checkRegionProxies } from '../utils/proxy.js';
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = server => new Promise(resolve => server.close(resolve));
+
+describe('resolveProxy', () => {
+  test('reads the server and credentials from QA_PROXY_<REGION>', () => {
+    expect(proxyEnvName('de-de')).toBe('QA_PROXY_DE_DE');
+    const env = { QA_PROXY_DE_DE: 'http://de.proxy:3128', QA_PROXY_DE_DE_USERNAME: 'qa', QA_PROXY_DE_DE_PASSWORD: 'secret' };
+    expect(resolveProxy('de-de', { server: 'http://old:1', bypass: 'localhost' }, env))
+      .toEqual({ server: 'http://de.proxy:3128', bypass: 'localhost', username: 'qa', password: 'secret' });
+  });
+
+  test('falls back to the configured server and returns null without one', () => {
+    expect(resolveProxy('benelux', { server: 'http://nl.proxy:8080' }, {})).toEqual({ server: 'http://nl.proxy:8080' });
+    expect(resolveProxy('fr-fr', undefined, {})).toBeNull();
+  });
+});
+
+describe('parseEgressCountry', () => {
+  test('accepts a bare code or the common JSON fields', () => {
+    expect(parseEgressCountry('de\n')).toBe('DE');
+    expect(parseEgressCountry('{"ip":"1.2.3.4","country":"DE"}')).toBe('DE');
+    expect(parseEgressCountry('{"country_code":"gb"}')).toBe('GB');
+    expect(parseEgressCountry('{"countryCode":"FR"}')).toBe('FR');
+    expect(parseEgressCountry('{"country":"Germany"}')).toBeNull();
+    expect(parseEgressCountry('<html>')).toBeNull();
+  });
+});
+
+describe('checkEgressCountry', () => {
+  let geoServer;
+  let proxyServer;
+  let geoUrl;
+  let proxyUrl;
+  const proxyAuth = [];
+
+  // Geo endpoint standing in for egressCheckUrl: the proxy "egresses" in Germany
+  beforeAll(async () => {
+    geoServer = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ ip: '127.0.0.1', country: 'DE' }));
+    });
+    geoUrl = `http://127.0.0.1:${await listen(geoServer)}/json`;
+
+    // Forward-proxy stand-in: tunnels CONNECT requests and records Proxy-Authorization
+    proxyServer = http.createServer((req, res) => res.writeHead(405).end());
+    proxyServer.on('connect', (req, socket, head) => {
+      proxyAuth.push(req.headers['proxy-authorization'] || null);
+      const [host, port] = req.url.split(':');
+      const upstream = net.connect(Number(port), host, () => {
+        socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        upstream.write(head);
+        upstream.pipe(socket);
+        socket.pipe(upstream);
+      });
+      upstream.on('error', () => socket.destroy());
+      socket.on('error', () => upstream.destroy());
+    });
+    proxyUrl = `http://127.0.0.1:${await listen(proxyServer)}`;
+  });
+
+  afterAll(async () => {
+    proxyServer.closeAllConnections?.();
+    geoServer.closeAllConnections?.();
+    await close(proxyServer);
+    await close(geoServer);
+  });
+
+  test('passes when the proxy egresses in the expected country', async () => {
+    const check = await checkEgressCountry({ proxy: { server: proxyUrl }, expectedCountry: 'de', url: geoUrl });
+    expect(check).toEqual({ ok: true, country: 'DE', problem: null });
+  });
+
+  test('reports a different egress country', async () => {
+    const check = await checkEgressCountry({ proxy: { server: proxyUrl }, expectedCountry: 'GB', url: geoUrl });
+    expect(check).toEqual({ ok: false, country: 'DE', problem: 'egress country is DE, expected GB' });
+  });
+
+  test('sends the proxy credentials', async () => {
+    proxyAuth.length = 0;
+    await checkEgressCountry({ proxy: { server: proxyUrl, username: 'qa', password: 'secret' }, expectedCountry: 'DE', url: geoUrl });
+    expect(proxyAuth).toContain(`Basic ${Buffer.from('qa:secret').toString('base64')}`);
+  });
+
+  test('reports an unreachable proxy instead of throwing', async () => {
+    const dead = net.createServer();
+    const port = await listen(dead);
+    await close(dead);
+    const check = await checkEgressCountry({ proxy: { server: `http://127.0.0.1:${port}` }, expectedCountry: 'DE', url: geoUrl, timeout: 5000 });
+    expect(check.ok).toBe(false);
+    expect(check.problem).toMatch(/^proxy unreachable/);
+  });
+
+  test('checkRegionProxies checks each region with a proxy once', async () => {
+    const profile = key => ({ key, geoIp: { countryCode: key.slice(3).toUpperCase() }, proxy: { server: proxyUrl } });
+    const checks = await checkRegionProxies([profile('de-de'), profile('de-de'), profile('en-gb'), { key: 'fr-fr', geoIp: {} }], { url: geoUrl });
+    expect(checks.map(({ key, ok }) => [key, ok])).toEqual([['de-de', true], ['en-gb', false]]);
+  });
+});
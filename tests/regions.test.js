@@ -0,0 +1,64 @@
+// Unit tests for region profiles (locale, geolocation and GeoIP stub per Region column)
+import { resolveRegionProfile, regionContextOptions, geoIpResponse } from '../utils/regions.js';
+
+const profiles = {
+  'de-de': { timezoneId: 'Europe/Berlin', geolocation: { latitude: 52.52, longitude: 13.405 }, geoIp: { countryName: 'Germany' } },
+  benelux: { locale: 'nl-NL', geoIp: { countryCode: 'NL', websiteCountryCode: 'nl-nl' }, proxy: { server: 'http://nl.proxy:8080' } },
+};
+
+describe('resolveRegionProfile', () => {
+  test('merges a configured profile over the fields derived from the region code', () => {
+    expect(resolveRegionProfile('DE-DE', 'https://www.gehealthcare.com/en-us', profiles)).toEqual({
+      key: 'de-de',
+      locale: 'de-DE',
+      acceptLanguage: 'de-DE,de;q=0.9',
+      timezoneId: 'Europe/Berlin',
+      geolocation: { latitude: 52.52, longitude: 13.405 },
+      geoIp: { countryCode: 'DE', countryName: 'Germany', websiteCountryCode: 'de-de' },
+    });
+  });
+
+  test('falls back to the URL locale, then the default region', () => {
+    expect(resolveRegionProfile('N/A', 'https://www.gehealthcare.com/fr-fr/products', profiles).key).toBe('fr-fr');
+    expect(resolveRegionProfile('', 'https://www.gehealthcare.com/', profiles)).toMatchObject({ key: 'en-us', locale: 'en-US' });
+  });
+
+  test('supports named profiles that are not language-region codes', () => {
+    expect(resolveRegionProfile('Benelux', 'https://www.gehealthcare.com/', profiles)).toMatchObject({
+      key: 'benelux',
+      locale: 'nl-NL',
+      acceptLanguage: 'nl-NL,nl;q=0.9',
+      proxy: { server: 'http://nl.proxy:8080' },
+    });
+  });
+
+  test('takes the proxy server and credentials from QA_PROXY_<REGION> env vars', () => {
+    const env = { QA_PROXY_DE_DE: 'http://de.proxy:3128', QA_PROXY_DE_DE_USERNAME: 'qa', QA_PROXY_DE_DE_PASSWORD: 'secret' };
+    expect(resolveRegionProfile('de-de', 'https://www.gehealthcare.com/de-de', profiles, env).proxy)
+      .toEqual({ server: 'http://de.proxy:3128', username: 'qa', password: 'secret' });
+    expect(resolveRegionProfile('fr-fr', 'https://www.gehealthcare.com/fr-fr', profiles, env)).not.toHaveProperty('proxy');
+  });
+});
+
+describe('regionContextOptions', () => {
+  test('maps a profile to Playwright context options', () => {
+    const profile = resolveRegionProfile('de-de', 'https://www.gehealthcare.com/de-de', profiles);
+    expect(regionContextOptions(profile)).toEqual({
+      locale: 'de-DE',
+      timezoneId: 'Europe/Berlin',
+      extraHTTPHeaders: { 'Accept-Language': 'de-DE,de;q=0.9' },
+      geolocation: { latitude: 52.52, longitude: 13.405 },
+      permissions: ['geolocation'],
+    });
+  });
+});
+
+describe('geoIpResponse', () => {
+  test('answers GetClientCountry with the profile country and no redirect', () => {
+    const profile = resolveRegionProfile('benelux', 'https://www.gehealthcare.com/', profiles);
+    expect(geoIpResponse(profile)).toEqual({
+      data: { status: 'Success', countryCode: 'NL', countryName: '', websiteCountryCode: 'nl-nl', redirectUrl: '' },
+      status: 'ok',
+    });
+  });
+});
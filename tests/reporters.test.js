@@ -0,0 +1,197 @@
+// Unit tests for the JUnit XML, TAP and HTML reporters
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { renderJUnit } from '../utils/reporters/junit.js';
+import { renderTap } from '../utils/reporters/tap.js';
+import { renderHtml } from '../utils/reporters/html.js';
+import { writeReports } from '../utils/reporters/index.js';
+
+const allTestIds = ['TC-01', 'TC-03', 'TC-07', 'TC-13'];
+const summary = {
+  runId: 'run-1',
+  crawlName: 'QA Run',
+  date: '2026-10-19T00:00:00.000Z',
+  testCases: [
+    { id: 'TC-01', title: 'Hero Overlay on Desktop' },
+    { id: 'TC-03', title: 'Header Presence' },
+    { id: 'TC-07', title: 'Main Video & Carousel' },
+    { id: 'TC-13', title: 'DE Nav Redirect' },
+  ],
+};
+const results = [
+  {
+    url: 'https://a.example/en-us?x=1&y=2',
+    region: 'en-us',
+    'HTTP Status': 200,
+    'TC-01': 'Fail',
+    'TC-03': 'Pass',
+    'TC-07': 'Flaky',
+    'TC-13': 'NA',
+    attempts: { 'TC-07': 2 },
+    errorDetails: { 'TC-01': 'Hero <div> not found' },
+    screenshotUrl: 'https://blob.example/shot.png',
+    videoUrl: null,
+    thumbnail: 'data:image/jpeg;base64,AAAA',
+    geoMismatch: null,
+  },
+  {
+    url: 'https://a.example/de-de',
+    region: 'de-de',
+    'HTTP Status': 200,
+    'TC-01': 'NA',
+    'TC-03': 'NA',
+    'TC-07': 'NA',
+    'TC-13': 'Known Issue',
+    attempts: {},
+    errorDetails: { 'TC-13': 'Geo-redirected' },
+    screenshotUrl: null,
+    videoUrl: null,
+    thumbnail: null,
+    geoMismatch: 'requested de-de -> landed https://a.example/en-us (lang=en-US)',
+  },
+];
+
+describe('renderJUnit', () => {
+  test('emits one testcase per assigned URL × test with failures, skips and attachments', () => {
+    const xml = renderJUnit({ results, allTestIds, summary });
+
+    expect(xml).toContain('<testsuites name="QA Run run-1" tests="4" failures="1" errors="0" skipped="1"');
+    expect(xml).toContain('<testsuite name="https://a.example/en-us?x=1&amp;y=2" tests="3" failures="1"');
+    expect(xml).toContain('<failure message="Hero &lt;div&gt; not found">');
+    expect(xml).toContain('[[ATTACHMENT|https://blob.example/shot.png]]');
+    expect(xml).toContain('<testcase classname="https://a.example/de-de" name="TC-13 DE Nav Redirect">\n      <skipped message="Geo-redirected"/>');
+    expect(xml).toContain('<property name="attempts" value="2"/>');
+    expect(xml).not.toContain('TC-13 DE Nav Redirect">\n      <failure');
+    expect((xml.match(/<testcase /g) || []).length).toBe(4);
+  });
+});
+
+describe('renderTap', () => {
+  test('numbers test points and adds YAML diagnostics for failures', () => {
+    const tap = renderTap({ results, allTestIds, summary });
+    const lines = tap.split('\n');
+
+    expect(lines.slice(0, 4)).toEqual([
+      'TAP version 13',
+      '# QA Run run-1',
+      '1..4',
+      'not ok 1 - https://a.example/en-us?x=1&y=2 TC-01 Hero Overlay on Desktop',
+    ]);
+    expect(tap).toContain('  message: "Hero <div> not found"\n  screenshot: "https://blob.example/shot.png"');
+    expect(tap).toContain('ok 2 - https://a.example/en-us?x=1&y=2 TC-03 Header Presence\nok 3');
+    expect(tap).toContain('  flaky: true\n  attempts: 2');
+    expect(tap).toContain('not ok 4 - https://a.example/de-de TC-13 DE Nav Redirect # TODO Known Issue');
+  });
+});
+
+describe('rows whose page never ran its tests', () => {
+  const untested = (url, httpStatus, pagePass) => ({
+    ...Object.fromEntries(allTestIds.map(id => [id, 'NA'])),
+    url, region: 'en-us', 'HTTP Status': httpStatus, 'Page Pass?': pagePass, attempts: {}, errorDetails: {},
+  });
+  const rows = [
+    untested('https://a.example/slow', 'Timeout/Error', 'Fail'),
+    untested('not a url', 'Invalid URL', 'Not Run'),
+    untested('https://a.example/none', '-', 'NA'),
+  ];
+
+  test('get a JUnit error testcase instead of being dropped', () => {
+    const xml = renderJUnit({ results: rows, allTestIds, summary });
+
+    expect(xml).toContain('tests="2" failures="0" errors="2" skipped="0"');
+    expect(xml).toContain('<testcase classname="https://a.example/slow" name="Page">\n' +
+      '      <error message="Page did not run its tests (HTTP Status: Timeout/Error)">');
+    expect(xml).toContain('<error message="Invalid URL: not a url">');
+    expect(xml).not.toContain('https://a.example/none');
+  });
+
+  test('get a TAP not ok point instead of being dropped', () => {
+    const tap = renderTap({ results: rows, allTestIds, summary });
+
+    expect(tap).toContain('1..2\nnot ok 1 - https://a.example/slow Page\n  ---\n' +
+      '  message: "Page did not run its tests (HTTP Status: Timeout/Error)"\n  http_status: "Timeout/Error"');
+    expect(tap).toContain('not ok 2 - not a url Page\n  ---\n  message: "Invalid URL: not a url"');
+    expect(tap).not.toContain('https://a.example/none');
+  });
+});
+
+describe('renderHtml', () => {
+  test('renders a self-contained matrix with statuses, details, thumbnails and geo warnings', () => {
+    const html = renderHtml({ results, allTestIds, summary: { ...summary, failureCount: 1, flakyCount: 0 } });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).not.toMatch(/<(script|link)\b/);
+    expect(html).toContain('<td class="fail" title="Hero &lt;div&gt; not found">Fail</td>');
+    expect(html).toContain('<td class="known" title="Geo-redirected">Known Issue</td>');
+    expect(html).toContain('<td class="flaky" title="Passed on attempt 2">Flaky</td>');
+    expect(html).toContain('<a href="https://blob.example/shot.png"><img src="data:image/jpeg;base64,AAAA"');
+    expect(html).toContain('[GEO-MISMATCH]</strong> https://a.example/de-de: requested de-de -&gt; landed');
+    expect(html).toContain('https://a.example/en-us?x=1&amp;y=2');
+    expect(html).toContain('<span class="fail">Failed: 1</span>');
+  });
+});
+
+describe('browser matrix and device rows', () => {
+  // The de-de row once more, from WebKit on a phone profile
+  const matrixResults = [results[1], { ...results[1], browser: 'webkit', device: 'iphone-13' }];
+
+  test('keep the JUnit suites and testcases of each browser and device apart', () => {
+    const xml = renderJUnit({ results: matrixResults, allTestIds, summary });
+    expect(xml).toContain('<testsuite name="https://a.example/de-de" tests="1"');
+    expect(xml).toContain('<testsuite name="https://a.example/de-de [webkit, iphone-13]" tests="1"');
+    expect(xml).toContain('<testcase classname="https://a.example/de-de [webkit, iphone-13]" name="TC-13 DE Nav Redirect">');
+  });
+
+  test('suffix the TAP description with the browser and device', () => {
+    const tap = renderTap({ results: matrixResults, allTestIds, summary });
+    expect(tap).toContain('not ok 1 - https://a.example/de-de TC-13 DE Nav Redirect # TODO');
+    expect(tap).toContain('not ok 2 - https://a.example/de-de TC-13 DE Nav Redirect [webkit, iphone-13] # TODO');
+  });
+
+  test('add Browser and Device columns to the HTML table only when a row needs them', () => {
+    const html = renderHtml({ results: matrixResults, allTestIds, summary });
+    expect(html).toContain('<th>Region</th><th>Browser</th><th>Device</th>');
+    expect(html).toContain('<td>de-de</td><td>webkit</td><td>iphone-13</td>');
+    expect(html).toContain('https://a.example/de-de</strong> <span class="muted">(webkit, iphone-13)</span>');
+    expect(renderHtml({ results, allTestIds, summary })).not.toContain('<th>Browser</th>');
+  });
+});
+
+describe('writeReports', () => {
+  test('adds an Accessibility sheet with one row per violation when TC-18 ran', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-reporters-'));
+    try {
+      const a11yResults = [{
+        ...results[0],
+        'TC-18': 'Fail',
+        details: { 'TC-18': { threshold: 'serious', violations: [{ rule: 'image-alt', impact: 'critical', selector: 'img.hero', help: 'Images must have alternate text', helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/image-alt' }] } },
+      }];
+      const [file] = await writeReports(['excel'], path.join(dir, 'results-1.xlsx'), { results: a11yResults, allTestIds: [...allTestIds, 'TC-18'], summary });
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(file);
+      const sheet = workbook.getWorksheet('Accessibility');
+      expect(sheet.getRow(2).values.slice(1, 8)).toEqual(['https://a.example/en-us?x=1&y=2', 'en-us', 'TC-18', 'Fail', 'image-alt', 'critical', 'img.hero']);
+
+      const [plain] = await writeReports(['excel'], path.join(dir, 'results-2.xlsx'), { results, allTestIds, summary });
+      const plainWorkbook = new ExcelJS.Workbook();
+      await plainWorkbook.xlsx.readFile(plain);
+      expect(plainWorkbook.getWorksheet('Accessibility')).toBeUndefined();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('writes each reporter next to the output path and rejects unknown names', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-reporters-'));
+    try {
+      const written = await writeReports(['junit', 'tap'], path.join(dir, 'results-1.xlsx'), { results, allTestIds, summary });
+      expect(written.map(file => path.basename(file))).toEqual(['results-1.xml', 'results-1.tap']);
+      expect(fs.readFileSync(written[0], 'utf8')).toMatch(/^<\?xml/);
+      await expect(writeReports(['html5'], path.join(dir, 'x.xlsx'), { results, allTestIds, summary })).rejects.toThrow(/Unknown reporter/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
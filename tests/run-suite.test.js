@@ -0,0 +1,171 @@
+// Unit tests for the programmatic runner API (no browser launched)
+import path from 'path';
+import { runSuite, buildSummary, retriesFor, testStatus } from '../api/run-suite.js';
+import { loadTestRegistry } from '../utils/test-registry.js';
+
+// Storage sink that records each call as [method, payload]
+function recordingStorage() {
+  const calls = [];
+  const record = method => async payload => { calls.push([method, payload]); };
+  return {
+    calls,
+    storage: {
+      name: 'recording',
+      ...Object.fromEntries(['createRun', 'startProgress', 'updateProgress', 'completeProgress', 'insertTestResult', 'saveCheckpoint'].map(method => [method, record(method)])),
+      async loadCheckpoint() { return []; },
+    },
+  };
+}
+
+describe('runSuite', () => {
+  test('can be imported without Supabase env vars', async () => {
+    const saved = { url: process.env.SUPABASE_URL, key: process.env.SUPABASE_SERVICE_ROLE_KEY };
+    delete process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+    try {
+      await jest.isolateModulesAsync(async () => {
+        const isolated = await import('../api/run-suite.js');
+        expect(typeof isolated.runSuite).toBe('function');
+      });
+    } finally {
+      if (saved.url !== undefined) process.env.SUPABASE_URL = saved.url;
+      if (saved.key !== undefined) process.env.SUPABASE_SERVICE_ROLE_KEY = saved.key;
+    }
+  });
+
+  test('validates its input', async () => {
+    await expect(runSuite({ urls: [] })).rejects.toThrow(/non-empty urls array/);
+  });
+
+  test('requires a run ID to resume', async () => {
+    await expect(runSuite({ urls: ['https://a.example'], options: { resume: true } })).rejects.toThrow(/options.runId/);
+  });
+
+  test('records an invalid URL row through the sinks without launching a browser', async () => {
+    const { calls, storage } = recordingStorage();
+    const { runId, results, summary } = await runSuite({
+      urls: [{ url: 'not a url', testIds: 'TC-01' }],
+      options: { runId: 'run-invalid', initiatedBy: 'jest', environment: 'test' },
+      sinks: { storage },
+    });
+
+    expect(runId).toBe('run-invalid');
+    expect(results[0]).toMatchObject({ url: 'not a url', 'HTTP Status': 'Invalid URL', 'TC-01': 'NA', 'Page Pass?': 'Not Run' });
+    expect(calls.map(([method]) => method)).toEqual(['createRun', 'startProgress', 'saveCheckpoint', 'updateProgress', 'completeProgress']);
+    expect(calls[0][1]).toEqual({ runId: 'run-invalid', initiatedBy: 'jest', environment: 'test' });
+    expect(calls[2][1]).toMatchObject({ runId: 'run-invalid', index: 0, url: 'not a url' });
+    expect(calls[3][1]).toMatchObject({ runId: 'run-invalid', completed: 1 });
+    expect(summary).toMatchObject({ runId: 'run-invalid', totalUrls: 1, successCount: 0, failedUrls: [] });
+  });
+});
+
+describe('retry policy', () => {
+  const tc07 = { id: 'TC-07', retries: 1 };
+  const tc01 = { id: 'TC-01', retries: 0 };
+
+  test('retriesFor takes a number for every test, else the per-ID map, else the module default', () => {
+    expect(retriesFor(tc07, 3)).toBe(3);
+    expect(retriesFor(tc07, 0)).toBe(0);
+    expect(retriesFor(tc07, { 'TC-07': 2 })).toBe(2);
+    expect(retriesFor(tc01, { 'TC-07': 2 })).toBe(0);
+    expect(retriesFor(tc07, { 'TC-01': 2 })).toBe(1);
+    expect(retriesFor(tc07, undefined)).toBe(1);
+  });
+
+  test('the registry gives TC-07, TC-08 and TC-13 one retry by default', async () => {
+    const registry = await loadTestRegistry(path.resolve(__dirname, '../test-cases'));
+    expect(registry.list().filter(tc => retriesFor(tc) > 0).map(tc => [tc.id, retriesFor(tc)]))
+      .toEqual([['TC-07', 1], ['TC-08', 1], ['TC-13', 1]]);
+  });
+
+  test('testStatus records a pass on a retry as Flaky and a failure after retries as Fail', () => {
+    expect(testStatus({ pass: true })).toBe('Pass');
+    expect(testStatus({ pass: true, attempts: 2 })).toBe('Flaky');
+    expect(testStatus({ pass: false, attempts: 2 })).toBe('Fail');
+    expect(testStatus({ pass: false })).toBe('Fail');
+    expect(testStatus({ pass: false, knownIssue: true, attempts: 2 })).toBe('Known Issue');
+  });
+});
+
+describe('buildSummary', () => {
+  test('counts page statuses and per-test failures from the registry', async () => {
+    const registry = await loadTestRegistry(path.resolve(__dirname, '../test-cases'));
+    const base = Object.fromEntries(registry.allTestIds.map(id => [id, 'NA']));
+    const results = [
+      { ...base, url: 'https://a.example', 'TC-01': 'Pass', 'Page Pass?': 'Pass' },
+      { ...base, url: 'https://b.example', 'TC-01': 'Fail', 'TC-03': 'Fail', 'Page Pass?': 'Fail' },
+      {
+        ...base,
+        url: 'https://c.example',
+        'TC-13': 'Known Issue',
+        'Page Pass?': 'Known Issue',
+        pageErrors: { console: ['Failed to load resource (https://c.example/app.js:1)'], pageErrors: ['x is not defined'], requestFailures: [] },
+      },
+      { ...base, url: 'https://d.example', 'TC-07': 'Flaky', 'TC-03': 'Pass', 'Page Pass?': 'Flaky', attempts: { 'TC-07': 2 } },
+    ];
+
+    const summary = buildSummary(results, { runId: 'run-1', initiatedBy: 'jest', environment: 'test', registry });
+
+    expect(summary).toMatchObject({
+      runId: 'run-1',
+      totalUrls: 4,
+      successCount: 1,
+      failureCount: 1,
+      knownIssueCount: 1,
+      flakyCount: 1,
+      testFailureSummary: { 'TC-01': 1, 'TC-03': 1 },
+      knownIssueSummary: { 'TC-13': 1 },
+      flakySummary: { 'TC-07': 1 },
+      failedUrls: [{ url: 'https://b.example', failedTests: ['TC-01', 'TC-03'] }],
+      flakyUrls: [{ url: 'https://d.example', flakyTests: [{ id: 'TC-07', attempts: 2 }] }],
+    });
+    expect(summary.urlResults[3]).toMatchObject({ passed: true, flaky: true });
+    expect(summary.testCases[0]).toEqual({ id: 'TC-01', title: 'Hero Overlay on Desktop' });
+    expect(summary.pageErrors).toEqual([{
+      url: 'https://c.example',
+      console: ['Failed to load resource (https://c.example/app.js:1)'],
+      pageErrors: ['x is not defined'],
+      requestFailures: [],
+    }]);
+  });
+
+  test('keys failures by browser for browser-matrix runs', async () => {
+    const registry = await loadTestRegistry(path.resolve(__dirname, '../test-cases'));
+    const base = Object.fromEntries(registry.allTestIds.map(id => [id, 'NA']));
+    const results = [
+      { ...base, url: 'https://a.example', browser: 'chromium', 'TC-01': 'Pass', 'Page Pass?': 'Pass' },
+      { ...base, url: 'https://a.example', browser: 'webkit', 'TC-01': 'Fail', 'Page Pass?': 'Fail' },
+    ];
+
+    const summary = buildSummary(results, { runId: 'run-1', initiatedBy: 'jest', environment: 'test', registry });
+
+    expect(summary.browsers).toEqual(['chromium', 'webkit']);
+    expect(summary.testFailureSummaryByBrowser).toEqual({ chromium: {}, webkit: { 'TC-01': 1 } });
+    expect(summary.failedUrls).toEqual([{ url: 'https://a.example', browser: 'webkit', failedTests: ['TC-01'] }]);
+    expect(summary).not.toHaveProperty('devices');
+  });
+
+  test('keys failures by device for device-profile rows', async () => {
+    const registry = await loadTestRegistry(path.resolve(__dirname, '../test-cases'));
+    const base = Object.fromEntries(registry.allTestIds.map(id => [id, 'NA']));
+    const results = [
+      { ...base, url: 'https://a.example', browser: 'chromium', device: null, 'TC-04': 'Pass', 'Page Pass?': 'Pass' },
+      { ...base, url: 'https://a.example', browser: 'chromium', device: 'phone', 'TC-04': 'Fail', 'Page Pass?': 'Fail' },
+    ];
+
+    const summary = buildSummary(results, { runId: 'run-1', initiatedBy: 'jest', environment: 'test', registry });
+
+    expect(summary.devices).toEqual(['phone']);
+    expect(summary.testFailureSummaryByDevice).toEqual({ phone: { 'TC-04': 1 } });
+    expect(summary.failedUrls).toEqual([{ url: 'https://a.example', browser: 'chromium', device: 'phone', failedTests: ['TC-04'] }]);
+  });
+
+  test('adds the lists run-level checks report', async () => {
+    const registry = await loadTestRegistry(path.resolve(__dirname, '../test-cases'));
+    const hreflangClusters = [{ pages: ['https://a.example/en-us', 'https://a.example/de-de'], ok: true, problems: [], browser: 'chromium' }];
+
+    const summary = buildSummary([], { runId: 'run-1', initiatedBy: 'jest', environment: 'test', registry, runLevel: { hreflangClusters } });
+
+    expect(summary.hreflangClusters).toBe(hreflangClusters);
+  });
+});
@@ -0,0 +1,93 @@
+// Unit tests for TC-22 SEO metadata checks and run-wide duplicate detection
+import { lengthProblem, canonicalProblem, isNonProductionHost, hasNoindex, seoProblems, findDuplicates } from '../utils/seo.js';
+import { afterRun } from '../test-cases/tc-22.js';
+
+const PAGE = 'https://www.gehealthcare.com/en-us/products/ultrasound';
+const goodMeta = {
+  title: 'Ultrasound Systems | GE HealthCare',
+  description: 'Explore GE HealthCare ultrasound systems for every clinical need, from point of care to radiology.',
+  canonical: PAGE,
+  robots: ['index, follow'],
+  h1Count: 1,
+};
+
+describe('lengthProblem', () => {
+  test('reports missing, short and long text', () => {
+    const bounds = { min: 5, max: 10 };
+    expect(lengthProblem('title', '  ', bounds)).toBe('title missing');
+    expect(lengthProblem('title', 'abc', bounds)).toBe('title too short (3 < 5 chars)');
+    expect(lengthProblem('title', 'abcdefghijk', bounds)).toBe('title too long (11 > 10 chars)');
+    expect(lengthProblem('title', ' abc \n def ', bounds)).toBeNull();
+  });
+});
+
+describe('canonicalProblem', () => {
+  test('accepts a self-referencing canonical, ignoring query and trailing slash', () => {
+    expect(canonicalProblem(`${PAGE}/`, `${PAGE}?utm_source=x`)).toBeNull();
+  });
+
+  test('rejects missing, relative and foreign canonicals', () => {
+    expect(canonicalProblem(null, PAGE)).toBe('canonical missing');
+    expect(canonicalProblem('/en-us/products/ultrasound', PAGE)).toMatch(/not absolute/);
+    expect(canonicalProblem('https://www.gehealthcare.com/en-us', PAGE)).toMatch(/does not point at the page/);
+  });
+
+  test('compares against the expected canonical when one is given', () => {
+    const expected = 'https://www.gehealthcare.com/en-us/products/ultrasound-systems';
+    expect(canonicalProblem(expected, PAGE, expected)).toBeNull();
+    expect(canonicalProblem(PAGE, PAGE, expected)).toMatch(/does not match expected/);
+  });
+});
+
+describe('noindex', () => {
+  test('detects noindex and none directives', () => {
+    expect(hasNoindex(['index, follow'])).toBe(false);
+    expect(hasNoindex(['NOINDEX, nofollow'])).toBe(true);
+    expect(hasNoindex([null, 'none'])).toBe(true);
+  });
+
+  test('recognises non-production hosts', () => {
+    expect(isNonProductionHost('stage.gehealthcare.com')).toBe(true);
+    expect(isNonProductionHost('www-uat.gehealthcare.com')).toBe(true);
+    expect(isNonProductionHost('www.gehealthcare.com')).toBe(false);
+  });
+});
+
+describe('seoProblems', () => {
+  test('passes well-formed metadata', () => {
+    expect(seoProblems(goodMeta, { pageUrl: PAGE })).toEqual([]);
+  });
+
+  test('flags noindex on production only, and a missing or repeated <h1>', () => {
+    const meta = { ...goodMeta, robots: ['noindex'], h1Count: 2 };
+    expect(seoProblems(meta, { pageUrl: PAGE })).toEqual(['noindex on a production page', 'expected one <h1>, found 2']);
+    const stagePage = PAGE.replace('www.', 'stage.');
+    expect(seoProblems({ ...meta, canonical: stagePage, h1Count: 1 }, { pageUrl: stagePage })).toEqual([]);
+  });
+});
+
+describe('duplicate detection', () => {
+  const entries = [
+    { index: 0, url: 'https://a.test/1', details: { title: 'Same  title', description: 'One', problems: [] } },
+    { index: 1, url: 'https://a.test/2', details: { title: 'Same title', description: 'Two', problems: ['expected one <h1>, found 0'] } },
+    { index: 2, url: 'https://a.test/3', details: { title: 'Other', description: 'Two', problems: [] } },
+    { index: 3, url: 'https://a.test/1', details: { title: 'Unique', description: 'Three', problems: [] } },
+  ];
+
+  test('groups values shared by distinct URLs', () => {
+    expect(findDuplicates(entries, 'title')).toEqual(new Map([['Same title', ['https://a.test/1', 'https://a.test/2']]]));
+    expect(findDuplicates(entries.slice(0, 1).concat(entries[3]), 'title').size).toBe(0);
+  });
+
+  test('afterRun fails every page sharing a title or description, keeping page problems', () => {
+    expect(afterRun(entries)).toEqual([
+      { index: 0, pass: false, errorDetails: 'duplicate title (also on https://a.test/2)' },
+      {
+        index: 1,
+        pass: false,
+        errorDetails: 'expected one <h1>, found 0; duplicate title (also on https://a.test/1); duplicate meta description (also on https://a.test/3)',
+      },
+      { index: 2, pass: false, errorDetails: 'duplicate meta description (also on https://a.test/2)' },
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+// Unit tests for sitemap parsing, expansion and URL selection used by /api/trigger-crawl
+import zlib from 'zlib';
+import { parseSitemap, expandSitemap, globToRegExp, selectSitemapUrls } from '../utils/sitemap.js';
+
+const BASE = 'https://www.gehealthcare.com';
+const urlset = paths => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+  paths.map(p => `<url><loc>${BASE}${p}</loc><lastmod>2026-10-01</lastmod></url>`).join('')}</urlset>`;
+const index = locs => `<sitemapindex>${locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('')}</sitemapindex>`;
+
+// fetch stand-in serving a map of URL -> body (string or Buffer)
+function fakeFetch(bodies) {
+  const calls = [];
+  const fetchImpl = async url => {
+    calls.push(url);
+    if (!(url in bodies)) return { ok: false, status: 404 };
+    return { ok: true, status: 200, arrayBuffer: async () => Buffer.from(bodies[url]) };
+  };
+  return { fetchImpl, calls };
+}
+
+describe('parseSitemap', () => {
+  test('reads url sets and sitemap indexes, decoding CDATA and entities', () => {
+    const xml = '<urlset><url><loc><![CDATA[https://a.test/x?a=1&b=2]]></loc></url><url><loc>https://a.test/y?a=1&amp;b=2</loc></url></urlset>';
+    expect(parseSitemap(xml)).toEqual({ type: 'urlset', locs: ['https://a.test/x?a=1&b=2', 'https://a.test/y?a=1&b=2'] });
+    expect(parseSitemap(index(['https://a.test/s1.xml']))).toEqual({ type: 'sitemapindex', locs: ['https://a.test/s1.xml'] });
+  });
+
+  test('rejects documents that are not sitemaps', () => {
+    expect(() => parseSitemap('<html></html>')).toThrow(/Not a sitemap/);
+  });
+});
+
+describe('expandSitemap', () => {
+  test('follows an index into gzipped and plain child sitemaps, de-duplicating URLs', async () => {
+    const { fetchImpl, calls } = fakeFetch({
+      [`${BASE}/sitemap.xml`]: index([`${BASE}/en-us.xml.gz`, `${BASE}/de-de.xml`, `${BASE}/en-us.xml.gz`]),
+      [`${BASE}/en-us.xml.gz`]: zlib.gzipSync(urlset(['/en-us', '/en-us/products'])),
+      [`${BASE}/de-de.xml`]: urlset(['/de-de', '/en-us']),
+    });
+    const urls = await expandSitemap({ url: `${BASE}/sitemap.xml`, fetchImpl });
+    expect(urls).toEqual([`${BASE}/en-us`, `${BASE}/en-us/products`, `${BASE}/de-de`]);
+    expect(calls).toHaveLength(3);
+  });
+
+  test('accepts uploaded contents and reports unreachable sitemaps', async () => {
+    const { fetchImpl } = fakeFetch({});
+    expect(await expandSitemap({ xml: urlset(['/fr-fr']), fetchImpl })).toEqual([`${BASE}/fr-fr`]);
+    await expect(expandSitemap({ xml: index([`${BASE}/missing.xml`]), fetchImpl })).rejects.toThrow(/returned HTTP 404/);
+  });
+
+  test('gives up on the whole expansion once its deadline passes', async () => {
+    // A sitemap host that never answers; only the shared deadline's abort ends the fetch
+    const fetchImpl = (url, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    await expect(expandSitemap({ url: `${BASE}/sitemap.xml`, timeoutMs: 50, fetchImpl }))
+      .rejects.toThrow('Sitemap discovery did not finish within 0.05s (1 sitemap(s) requested)');
+  });
+});
+
+describe('selectSitemapUrls', () => {
+  const urls = ['/en-us', '/en-us/products/ultrasound', '/en-us/products/ultrasound/vivid', '/en-us/insights/article', '/de-de/products/mr']
+    .map(p => `${BASE}${p}`);
+
+  test('globs match one segment with * and anything with **', () => {
+    expect(globToRegExp('/*/products/**').test('/en-us/products')).toBe(true);
+    expect(globToRegExp('/*/products/**').test('/en-us/products/a/b')).toBe(true);
+    expect(globToRegExp('/*/products/*').test('/en-us/products/a/b')).toBe(false);
+  });
+
+  test('filters by region prefix and include/exclude globs, taking the region from the path', () => {
+    const rows = selectSitemapUrls(urls, { include: ['/*/products/**'], exclude: ['/**/vivid'], testIdRules: [] });
+    expect(rows).toEqual([
+      { url: `${BASE}/en-us/products/ultrasound`, testIds: '', region: 'en-us' },
+      { url: `${BASE}/de-de/products/mr`, testIds: '', region: 'de-de' },
+    ]);
+    expect(selectSitemapUrls(urls, { region: 'de-de', testIdRules: [] }).map(row => row.url)).toEqual([`${BASE}/de-de/products/mr`]);
+  });
+
+  test('assigns test IDs from the first matching rule and caps the list', () => {
+    const testIdRules = [
+      { pattern: '/*/products/**', testIds: ['TC-01', 'TC-24'] },
+      { pattern: '/**', testIds: ['TC-14'] },
+    ];
+    const rows = selectSitemapUrls(urls, { testIdRules, maxUrls: 3 });
+    expect(rows.map(row => row.testIds)).toEqual(['TC-14', 'TC-01,TC-24', 'TC-01,TC-24']);
+  });
+});
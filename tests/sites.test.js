@@ -0,0 +1,47 @@
+// Unit tests for site profiles (selectors and URL patterns per brand site)
+import { resolveSiteProfile, hostMatches } from '../utils/sites.js';
+import { siteProfiles } from '../config.js';
+
+const profiles = {
+  ge: siteProfiles.ge,
+  vet: {
+    hosts: ['vet.example.com', '*.vet-brand.example'],
+    heroSelectors: ['.vet-hero h1'],
+    contact: { text: /get in touch/i },
+    regionPathPattern: /vet\.example\.com\/([a-z]{2}-[a-z]{2})(?:\/|$|\?)/i,
+  },
+};
+
+describe('hostMatches', () => {
+  test('matches exact names and "*." subdomain patterns', () => {
+    expect(hostMatches('www.gehealthcare.com', '*.gehealthcare.com')).toBe(true);
+    expect(hostMatches('gehealthcare.com', 'gehealthcare.com')).toBe(true);
+    expect(hostMatches('notgehealthcare.com', '*.gehealthcare.com')).toBe(false);
+  });
+});
+
+describe('resolveSiteProfile', () => {
+  test('picks the profile by hostname, falling back to the default site', () => {
+    expect(resolveSiteProfile('', 'https://shop.vet-brand.example/en-us', profiles).key).toBe('vet');
+    expect(resolveSiteProfile('', 'https://www.gehealthcare.com/en-us', profiles).key).toBe('ge');
+    expect(resolveSiteProfile('', 'https://unknown.example', profiles).key).toBe('ge');
+    expect(resolveSiteProfile('', 'not a url', profiles).key).toBe('ge');
+  });
+
+  test('lets the Site column override the hostname', () => {
+    expect(resolveSiteProfile(' VET ', 'https://www.gehealthcare.com/en-us', profiles).key).toBe('vet');
+  });
+
+  test('fills fields the profile leaves out from the default site, group by group', () => {
+    const vet = resolveSiteProfile('vet', '', profiles);
+    expect(vet.heroSelectors).toEqual(['.vet-hero h1']);
+    expect(vet.contact.text).toEqual(/get in touch/i);
+    expect(vet.contact.buttons).toBe(siteProfiles.ge.contact.buttons);
+    expect(vet.login).toEqual(siteProfiles.ge.login);
+    expect('https://vet.example.com/de-de/x'.match(vet.regionPathPattern)[1]).toBe('de-de');
+  });
+
+  test('rejects a Site column that names no profile', () => {
+    expect(() => resolveSiteProfile('acme', 'https://acme.example', profiles)).toThrow('Unknown site profile "acme". Available: ge, vet');
+  });
+});
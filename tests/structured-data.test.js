@@ -0,0 +1,51 @@
+// Unit tests for TC-24 JSON-LD parsing and schema.org shape validation
+import { shapeFor, parseJsonLd, missingProperties, validateJsonLd } from '../utils/structured-data.js';
+
+describe('shapeFor', () => {
+  test('maps types, schema.org URLs, subtypes and type arrays to bundled shapes', () => {
+    expect(shapeFor('Product')).toBe('Product');
+    expect(shapeFor('https://schema.org/BreadcrumbList')).toBe('BreadcrumbList');
+    expect(shapeFor('NewsArticle')).toBe('Article');
+    expect(shapeFor(['Thing', 'Organization'])).toBe('Organization');
+    expect(shapeFor('WebPage')).toBeNull();
+  });
+});
+
+describe('parseJsonLd', () => {
+  test('flattens top-level arrays and @graph', () => {
+    const text = JSON.stringify([{ '@type': 'Organization' }, { '@context': 'https://schema.org', '@graph': [{ '@type': 'WebPage' }, { '@type': 'Product' }] }]);
+    expect(parseJsonLd(text).nodes.map(node => node['@type'])).toEqual(['Organization', 'WebPage', 'Product']);
+  });
+
+  test('reports invalid JSON', () => {
+    expect(parseJsonLd('{"@type": "Product",}').error).toMatch(/^invalid JSON/);
+  });
+});
+
+describe('missingProperties', () => {
+  test('checks required and any-of properties, ignoring blank values', () => {
+    expect(missingProperties({ '@type': 'Product', name: ' ' })).toEqual(['name', 'offers|review|aggregateRating']);
+    expect(missingProperties({ '@type': 'Organization', name: 'GE HealthCare', url: 'https://www.gehealthcare.com' })).toEqual([]);
+  });
+
+  test('validates nested shapes with their property paths', () => {
+    const product = { '@type': 'Product', name: 'Vivid', offers: [{ '@type': 'Offer', price: '0', priceCurrency: 'USD' }, { '@type': 'Offer', price: '1' }] };
+    expect(missingProperties(product)).toEqual(['offers[1].priceCurrency']);
+    const breadcrumbs = { '@type': 'BreadcrumbList', itemListElement: [{ position: 1, name: 'Home' }, { position: 2 }] };
+    expect(missingProperties(breadcrumbs)).toEqual(['itemListElement[1].name']);
+  });
+});
+
+test('validateJsonLd numbers blocks and lists problems per node', () => {
+  const blocks = [
+    JSON.stringify({ '@type': 'Article', headline: 'Insight', author: { name: 'GE' }, datePublished: '2026-01-01' }),
+    'not json',
+    JSON.stringify({ '@type': 'WebSite', name: 'GE HealthCare' }),
+  ];
+  const { nodes, problems } = validateJsonLd(blocks);
+  expect(nodes).toEqual([
+    { block: 1, type: 'Article', missing: ['image'] },
+    { block: 3, type: 'WebSite', missing: [] },
+  ]);
+  expect(problems).toEqual(['block 1 Article: missing image', expect.stringMatching(/^block 2: invalid JSON/)]);
+});
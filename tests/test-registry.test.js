@@ -0,0 +1,62 @@
+// Unit tests for test-case discovery in the registry
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadTestRegistry, TEST_CASES_DIR } from '../utils/test-registry.js';
+
+function fixtureDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-registry-'));
+  for (const [name, source] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), source);
+  }
+  return dir;
+}
+
+describe('loadTestRegistry', () => {
+  test('discovers the built-in test cases in numeric order', async () => {
+    const registry = await loadTestRegistry(path.resolve(__dirname, '../test-cases'));
+    expect(registry.allTestIds[0]).toBe('TC-01');
+    expect(registry.allTestIds).toContain('TC-16');
+    expect(registry.get('TC-02').requires.viewport).toBe('mobile');
+    expect(registry.get('TC-10').requires.incognito).toBe(true);
+    expect(registry.list().filter(tc => tc.requires.landedPage).map(tc => tc.id)).toEqual(['TC-18', 'TC-19', 'TC-22', 'TC-23', 'TC-24']);
+    expect(registry.get('TC-01').requires.landedPage).toBe(false);
+    expect(registry.list().filter(tc => tc.requires.freshPage).map(tc => tc.id)).toEqual(['TC-21']);
+    expect(registry.get('TC-07').timeout).toBe(15000);
+    expect(registry.get('TC-17').optIn).toBe(true);
+    expect(registry.list().filter(tc => tc.perDevice).map(tc => tc.id)).toEqual(['TC-02', 'TC-03', 'TC-04']);
+    expect(typeof registry.get('TC-22').afterRun).toBe('function');
+    expect(typeof registry.get('TC-23').afterRun).toBe('function');
+    expect(registry.get('TC-03').afterRun).toBeNull();
+    expect(registry.defaultTestIds).not.toContain('TC-17');
+    expect(registry.defaultTestIds).toContain('TC-16');
+  });
+
+  test('finds test-cases/ next to the module, not under the working directory', async () => {
+    expect(TEST_CASES_DIR).toBe(path.resolve(__dirname, '../test-cases'));
+    expect((await loadTestRegistry()).allTestIds).toContain('TC-01');
+  });
+
+  test('sorts TC-100 after TC-99 and fills defaults', async () => {
+    const dir = fixtureDir({
+      'a.js': "export const id = 'TC-100'; export async function run() { return { pass: true }; }",
+      'b.js': "export const id = 'TC-99'; export const title = 'Ninety-nine'; export async function run() { return { pass: true }; }",
+    });
+    const registry = await loadTestRegistry(dir);
+    expect(registry.allTestIds).toEqual(['TC-99', 'TC-100']);
+    expect(registry.get('TC-100').title).toBe('TC-100');
+    expect(registry.get('TC-100').requires).toEqual({ incognito: false, viewport: 'desktop', landedPage: false, freshPage: false });
+    expect(registry.has('TC-01')).toBe(false);
+  });
+
+  test('rejects modules without a run function or with a duplicate ID', async () => {
+    const noRun = fixtureDir({ 'a.js': "export const id = 'TC-01';" });
+    await expect(loadTestRegistry(noRun)).rejects.toThrow(/must export an id and a run/);
+
+    const dup = fixtureDir({
+      'a.js': "export const id = 'TC-01'; export async function run() {}",
+      'b.js': "export const id = 'TC-01'; export async function run() {}",
+    });
+    await expect(loadTestRegistry(dup)).rejects.toThrow(/Duplicate test ID TC-01/);
+  });
+});
@@ -0,0 +1,101 @@
+// Unit tests for visual regression: pixel diff and TC-17 baselines (generated PNGs; no browser)
+import { PNG } from 'pngjs';
+import { compareScreenshots, diffThreshold, screenshotKey } from '../utils/visual.js';
+import { VIEWPORTS } from '../utils/viewports.js';
+import { run } from '../test-cases/tc-17.js';
+
+// Solid-colour PNG, optionally with a block of `changed` pixels painted black at the top left
+function png(width, height, changed = 0) {
+  const image = new PNG({ width, height });
+  for (let i = 0; i < width * height; i++) {
+    const black = i % width < changed && Math.floor(i / width) < changed;
+    image.data.set(black ? [0, 0, 0, 255] : [255, 255, 255, 255], i * 4);
+  }
+  return PNG.sync.write(image);
+}
+
+describe('compareScreenshots', () => {
+  test('reports no difference for identical images', () => {
+    const { diffPixels, diffRatio, sizeChanged } = compareScreenshots(png(20, 20), png(20, 20));
+    expect(diffPixels).toBe(0);
+    expect(diffRatio).toBe(0);
+    expect(sizeChanged).toBe(false);
+  });
+
+  test('measures changed pixels as a share of the image and returns a diff PNG', () => {
+    const { diffPixels, diffRatio, diffPng } = compareScreenshots(png(20, 20), png(20, 20, 4));
+    expect(diffPixels).toBe(16);
+    expect(diffRatio).toBeCloseTo(16 / 400);
+    expect(PNG.sync.read(diffPng).width).toBe(20);
+  });
+
+  test('counts the extra area of a taller page as changed', () => {
+    const { diffRatio, sizeChanged } = compareScreenshots(png(10, 10), png(10, 20));
+    expect(sizeChanged).toBe(true);
+    expect(diffRatio).toBeCloseTo(0.5);
+  });
+});
+
+describe('screenshotKey', () => {
+  test('is stable across query strings and trailing slashes', () => {
+    expect(screenshotKey('https://www.gehealthcare.com/en-us/products/?utm=1', 'hero', 'mobile'))
+      .toBe('www.gehealthcare.com_en-us_products--hero--mobile.png');
+    expect(screenshotKey('https://www.gehealthcare.com/', 'full', 'desktop'))
+      .toBe('www.gehealthcare.com--full--desktop.png');
+  });
+
+  test('keeps separate baselines for non-Chromium browsers', () => {
+    expect(screenshotKey('https://www.gehealthcare.com/', 'full', 'desktop', 'chromium'))
+      .toBe('www.gehealthcare.com--full--desktop.png');
+    expect(screenshotKey('https://www.gehealthcare.com/', 'full', 'desktop', 'webkit'))
+      .toBe('www.gehealthcare.com--full--desktop--webkit.png');
+  });
+});
+
+describe('diffThreshold', () => {
+  test('accepts ratios and percentages and rejects nonsense', () => {
+    expect(diffThreshold(undefined)).toBe(0.01);
+    expect(diffThreshold('0.05')).toBe(0.05);
+    expect(diffThreshold('2%')).toBeCloseTo(0.02);
+    expect(() => diffThreshold('lots')).toThrow(/QA_VISUAL_THRESHOLD/);
+  });
+});
+
+describe('TC-17', () => {
+  // Page stand-in that screenshots as a blank 4×4 PNG and has no hero; artifacts held in memory
+  function fixtures(baselines = {}) {
+    const viewports = [];
+    const page = {
+      setViewportSize: async viewport => viewports.push(viewport),
+      waitForTimeout: async () => {},
+      screenshot: async () => png(4, 4),
+      $: async () => null,
+      locator: selector => ({ selector }),
+    };
+    const stored = { ...baselines };
+    const artifacts = {
+      put: async (key, body) => { stored[key] = body; return `mem://${key}`; },
+      get: async key => stored[key] || null,
+    };
+    const ctx = { url: 'https://a.example/en-us', runId: 'run-1', artifacts, browser: 'chromium', site: { heroSelectors: ['.hero'], visualMaskSelectors: ['video'] } };
+    return { page, ctx, stored, viewports };
+  }
+
+  test('reports a missing baseline as a Known Issue, not a pass, and stores it', async () => {
+    const { page, ctx, stored, viewports } = fixtures();
+    expect(await run(page, ctx)).toEqual({
+      pass: false,
+      knownIssue: true,
+      errorDetails: 'Baseline created for full@desktop, full@mobile; nothing compared yet',
+    });
+    expect(Object.keys(stored)).toContain('visual/baselines/a.example_en-us--full--mobile.png');
+    expect(viewports).toEqual([VIEWPORTS.desktop, VIEWPORTS.mobile, VIEWPORTS.desktop]);
+  });
+
+  test('passes once the screenshots match their baselines', async () => {
+    const baselines = Object.fromEntries(['desktop', 'mobile']
+      .map(viewport => [`visual/baselines/${screenshotKey('https://a.example/en-us', 'full', viewport)}`, png(4, 4)]));
+    const { page, ctx } = fixtures(baselines);
+    expect(await run(page, ctx)).toEqual({ pass: true, errorDetails: '' });
+  });
+});
@@ -0,0 +1,62 @@
+// Unit tests for TC-21 page typing and performance budget checks
+import { pageTypeFor, budgetFor, overBudget, webVitalsInitScript, collectWebVitals } from '../utils/web-vitals.js';
+
+describe('webVitalsInitScript and collectWebVitals', () => {
+  const realObserver = global.PerformanceObserver;
+  // Runs the init script against a PerformanceObserver that only knows `supported` entry types
+  function collectIn(supported) {
+    global.window = {};
+    global.PerformanceObserver = class {
+      observe({ type }) {
+        if (!supported.includes(type)) throw new TypeError(`unsupported entry type ${type}`);
+      }
+    };
+    webVitalsInitScript();
+    const page = { keyboard: { press: async () => {} }, waitForTimeout: async () => {}, evaluate: async fn => fn() };
+    return collectWebVitals(page);
+  }
+
+  afterEach(() => {
+    delete global.window;
+    global.PerformanceObserver = realObserver;
+  });
+
+  test('reports CLS and TBT as not measured where layout-shift and longtask are unsupported', async () => {
+    const metrics = await collectIn(['largest-contentful-paint', 'paint', 'event']);
+    expect(metrics).toMatchObject({ cls: null, tbt: null });
+    expect(window.__qaVitals).toMatchObject({ cls: null, longTasks: null });
+    expect(overBudget(metrics, { cls: 0.1, tbt: 200 })).toEqual([]);
+  });
+
+  test('starts CLS and TBT at zero once their observers register', async () => {
+    const metrics = await collectIn(['largest-contentful-paint', 'paint', 'event', 'longtask', 'layout-shift']);
+    expect(metrics).toMatchObject({ cls: 0, tbt: 0 });
+  });
+});
+
+describe('pageTypeFor', () => {
+  test('classifies URLs by path using config.js pageTypes', () => {
+    expect(pageTypeFor('https://www.gehealthcare.com/en-us')).toBe('home');
+    expect(pageTypeFor('https://www.gehealthcare.com/')).toBe('home');
+    expect(pageTypeFor('https://www.gehealthcare.com/en-us/products/ultrasound')).toBe('product');
+    expect(pageTypeFor('https://www.gehealthcare.com/en-us/insights/article/x')).toBe('article');
+    expect(pageTypeFor('https://www.gehealthcare.com/en-us/about')).toBe('default');
+  });
+});
+
+describe('budgetFor', () => {
+  test('layers page-type overrides on the default budget', () => {
+    const budgets = { default: { lcp: 4000, cls: 0.25 }, home: { lcp: 4500 } };
+    expect(budgetFor('home', budgets)).toEqual({ lcp: 4500, cls: 0.25 });
+    expect(budgetFor('unknown', budgets)).toEqual({ lcp: 4000, cls: 0.25 });
+  });
+});
+
+describe('overBudget', () => {
+  test('lists metrics over budget and skips missing data', () => {
+    const budget = { lcp: 4000, cls: 0.25, inp: 500, tbt: 600, ttfb: 1800, dcl: 4000 };
+    const metrics = { lcp: 5200, cls: 0.31, inp: null, tbt: 200, ttfb: 1800, dcl: 3000 };
+    expect(overBudget(metrics, budget)).toEqual(['lcp 5200ms > 4000ms', 'cls 0.31 > 0.25']);
+    expect(overBudget({ lcp: 100 }, {})).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+// Unit tests for the URL worker pool (fake workers, short real timers)
+import { createWorkerPool, hostOf } from '../utils/worker-pool.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Worker that records start order and the peak number of items running per host
+function tracker(durations = {}) {
+  const running = {};
+  const peak = {};
+  const started = [];
+  const worker = async url => {
+    const host = hostOf(url);
+    started.push(url);
+    running[host] = (running[host] || 0) + 1;
+    peak[host] = Math.max(peak[host] || 0, running[host]);
+    await sleep(durations[url] ?? 20);
+    running[host]--;
+  };
+  return { worker, peak, started };
+}
+
+describe('createWorkerPool', () => {
+  test('respects global and per-host concurrency', async () => {
+    const urls = [
+      ...Array.from({ length: 6 }, (_, i) => `https://a.example/${i}`),
+      ...Array.from({ length: 6 }, (_, i) => `https://b.example/${i}`),
+    ];
+    const { worker, peak, started } = tracker();
+    let globalPeak = 0;
+    let running = 0;
+    const pool = createWorkerPool({ concurrency: 3, hostConcurrency: { 'a.example': 1, '*': 2 } });
+
+    await pool.run(urls, async url => {
+      globalPeak = Math.max(globalPeak, ++running);
+      await worker(url);
+      running--;
+    });
+
+    expect(started).toHaveLength(12);
+    expect(globalPeak).toBe(3);
+    expect(peak).toEqual({ 'a.example': 1, 'b.example': 2 });
+  });
+
+  test('starts the next item as soon as a slot frees up', async () => {
+    const urls = ['https://a.example/slow', 'https://a.example/1', 'https://a.example/2', 'https://a.example/3'];
+    const pool = createWorkerPool({ concurrency: 2, hostConcurrency: 2 });
+    const startedAt = {};
+    const t0 = Date.now();
+
+    await pool.run(urls, async url => {
+      startedAt[url] = Date.now() - t0;
+      await sleep(url.endsWith('/slow') ? 300 : 20);
+    });
+
+    // With fixed batches of two, /2 and /3 would wait for the slow item to finish
+    expect(startedAt['https://a.example/3']).toBeLessThan(150);
+  });
+
+  test('runs items enqueued by workers before resolving', async () => {
+    const pool = createWorkerPool({ concurrency: 2, hostConcurrency: 2 });
+    const started = [];
+
+    await pool.run(['https://a.example/0'], async (url, enqueue) => {
+      started.push(url);
+      await sleep(5);
+      const depth = Number(url.split('/').pop());
+      if (depth < 2) enqueue(`https://a.example/${depth + 1}`);
+    });
+
+    expect(started).toEqual(['https://a.example/0', 'https://a.example/1', 'https://a.example/2']);
+  });
+
+  test('backs off a throttled host without slowing other hosts', async () => {
+    const pool = createWorkerPool({ concurrency: 4, hostConcurrency: 2, initialBackoffMs: 150 });
+    const startedAt = {};
+    const t0 = Date.now();
+    const urls = ['https://a.example/1', 'https://a.example/2', 'https://a.example/3', 'https://b.example/1', 'https://b.example/2'];
+
+    await pool.run(urls, async url => {
+      startedAt[url] = Date.now() - t0;
+      await sleep(10);
+      pool.reportStatus(url, url === 'https://a.example/1' ? 429 : 200);
+    });
+
+    expect(startedAt['https://b.example/1']).toBeLessThan(50);
+    expect(startedAt['https://b.example/2']).toBeLessThan(50);
+    expect(startedAt['https://a.example/3']).toBeGreaterThanOrEqual(140);
+  });
+
+  test('halves the host limit on 403/429 and restores it on success', () => {
+    const pool = createWorkerPool({ hostConcurrency: 4, initialBackoffMs: 1000 });
+    pool.reportStatus('https://a.example/x', 403);
+    expect(pool.hostStatus('a.example')).toMatchObject({ limit: 2, backoffMs: 1000 });
+    pool.reportStatus('https://a.example/x', 429, '5');
+    expect(pool.hostStatus('a.example')).toMatchObject({ limit: 1, backoffMs: 5000 });
+
+    pool.reportStatus('https://a.example/y', 200);
+    pool.reportStatus('https://a.example/y', 200);
+    pool.reportStatus('https://a.example/y', 200);
+    expect(pool.hostStatus('a.example')).toMatchObject({ limit: 4, backoffMs: 0 });
+  });
+
+  test('keeps raising the limit after the backoff is gone until it is fully restored', () => {
+    const pool = createWorkerPool({ hostConcurrency: 8, initialBackoffMs: 1000 });
+    pool.reportStatus('https://a.example/x', 429);
+    expect(pool.hostStatus('a.example')).toMatchObject({ limit: 4, backoffMs: 1000 });
+
+    pool.reportStatus('https://a.example/y', 200);
+    expect(pool.hostStatus('a.example')).toMatchObject({ limit: 5, backoffMs: 0 });
+    for (let i = 0; i < 5; i++) pool.reportStatus('https://a.example/y', 200);
+    expect(pool.hostStatus('a.example')).toMatchObject({ limit: 8, backoffMs: 0 });
+  });
+
+  test('rethrows the first worker error after every item has run', async () => {
+    const pool = createWorkerPool({ concurrency: 2 });
+    const seen = [];
+    await expect(pool.run(['https://a.example/1', 'https://a.example/2', 'https://a.example/3'], async url => {
+      seen.push(url);
+      if (url.endsWith('/1')) throw new Error('boom');
+    })).rejects.toThrow('boom');
+    expect(seen).toHaveLength(3);
+  });
+
+  test('rejects a limit below 1 instead of never starting that host', () => {
+    expect(() => createWorkerPool({ hostConcurrency: 0 })).toThrow('Worker pool hostConcurrency must be an integer of at least 1, got 0');
+    expect(() => createWorkerPool({ hostConcurrency: { 'a.example': 2, '*': 0 } }))
+      .toThrow('Worker pool hostConcurrency for * must be an integer of at least 1, got 0');
+    expect(() => createWorkerPool({ hostConcurrency: { 'a.example': NaN } })).toThrow(/for a\.example .* got NaN/);
+    expect(() => createWorkerPool({ concurrency: 0 })).toThrow('Worker pool concurrency must be an integer of at least 1, got 0');
+  });
+});
@@ -0,0 +1,54 @@
+// Accessibility helpers: axe-core impact levels and flattening of scan results
+export const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+// Impact from which a violation fails the page (QA_A11Y_IMPACT overrides)
+export const DEFAULT_IMPACT_THRESHOLD = 'serious';
+
+// Selectors kept per rule; a broken template can repeat one violation hundreds of times
+export const MAX_NODES_PER_RULE = 25;
+
+// Validated impact threshold from QA_A11Y_IMPACT, falling back to the default
+export function impactThreshold(value = process.env.QA_A11Y_IMPACT) {
+  if (!value) return DEFAULT_IMPACT_THRESHOLD;
+  const level = String(value).trim().toLowerCase();
+  if (!IMPACT_LEVELS.includes(level)) {
+    throw new Error(`Invalid QA_A11Y_IMPACT "${value}" (expected one of: ${IMPACT_LEVELS.join(', ')})`);
+  }
+  return level;
+}
+
+// True when `impact` is at or above `threshold`; unknown impacts are treated as minor
+export function meetsImpact(impact, threshold) {
+  return Math.max(0, IMPACT_LEVELS.indexOf(impact)) >= IMPACT_LEVELS.indexOf(threshold);
+}
+
+/**
+ * Turns axe-core `violations` into one entry per affected node: rule, impact,
+ * CSS selector (frames joined with " >>> "), plus the rule's help text and link.
+ * Each rule keeps at most MAX_NODES_PER_RULE nodes.
+ *
+ * @param {Object[]} violations - `results.violations` from axe.run().
+ * @returns {Array<{ rule: string, impact: string, selector: string, help: string, helpUrl: string }>}
+ */
+export function flattenViolations(violations = []) {
+  return violations.flatMap(violation =>
+    violation.nodes.slice(0, MAX_NODES_PER_RULE).map(node => ({
+      rule: violation.id,
+      impact: node.impact || violation.impact || 'minor',
+      selector: node.target.map(part => (Array.isArray(part) ? part.join(' ') : part)).join(' >>> '),
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+    }))
+  );
+}
+
+// "color-contrast (serious) ×3, image-alt (critical) ×1" for error_details
+export function describeViolations(violations) {
+  const byRule = new Map();
+  for (const { rule, impact } of violations) {
+    const entry = byRule.get(rule) || { impact, count: 0 };
+    entry.count++;
+    byRule.set(rule, entry);
+  }
+  return [...byRule].map(([rule, { impact, count }]) => `${rule} (${impact}) ×${count}`).join(', ');
+}
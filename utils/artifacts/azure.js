@@ -0,0 +1,46 @@
+// Azure Blob Storage artifact backend (also works against the Azurite emulator)
+import { logger } from '../logger.js';
+
+/**
+ * Creates a backend that uploads artifacts as block blobs. The container is
+ * created on first use if missing; it needs public blob read access for
+ * dashboard links to open without a SAS token.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.connectionString] - Defaults to AZURE_STORAGE_CONNECTION_STRING.
+ * @param {string} [config.container] - Defaults to AZURE_STORAGE_CONTAINER or qa-artifacts.
+ * @returns {{ name: string, put: Function, get: (destPath: string) => Promise<Buffer|null> }}
+ */
+export function createAzureBlobBackend({
+  connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING,
+  container = process.env.AZURE_STORAGE_CONTAINER || 'qa-artifacts',
+} = {}) {
+  if (!connectionString) throw new Error('Azure artifact store requires AZURE_STORAGE_CONNECTION_STRING to be set');
+
+  let containerClient;
+  const getContainer = async () => {
+    if (!containerClient) {
+      const { BlobServiceClient } = await import('@azure/storage-blob');
+      containerClient = BlobServiceClient.fromConnectionString(connectionString).getContainerClient(container);
+      await containerClient.createIfNotExists();
+    }
+    return containerClient;
+  };
+
+  return {
+    name: 'azure',
+
+    async put(destPath, body, { contentType } = {}) {
+      logger.info(`[AZURE] Uploading to container: ${container}`);
+      const blob = (await getContainer()).getBlockBlobClient(destPath);
+      await blob.uploadData(body, { blobHTTPHeaders: { blobContentType: contentType } });
+      return blob.url;
+    },
+
+    async get(destPath) {
+      const blob = (await getContainer()).getBlockBlobClient(destPath);
+      if (!(await blob.exists())) return null;
+      return blob.downloadToBuffer();
+    },
+  };
+}
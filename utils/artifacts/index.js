@@ -0,0 +1,93 @@
+// Artifact store: screenshots, videos and input workbooks, on a configurable backend
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../logger.js';
+import { createVercelBlobBackend } from './vercel-blob.js';
+import { createLocalArtifactBackend } from './local.js';
+import { createS3Backend } from './s3.js';
+import { createAzureBlobBackend } from './azure.js';
+
+export const ARTIFACT_BACKENDS = ['vercel-blob', 'local', 's3', 'azure'];
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.webm': 'video/webm',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.json': 'application/json',
+  '.html': 'text/html',
+};
+
+function createBackend(backend, config) {
+  switch (backend) {
+    case 'vercel-blob':
+      return createVercelBlobBackend(config);
+    case 'local':
+      return createLocalArtifactBackend(config);
+    case 's3':
+      return createS3Backend(config);
+    case 'azure':
+      return createAzureBlobBackend(config);
+    default:
+      throw new Error(`Unknown artifact backend "${backend}" (expected one of: ${ARTIFACT_BACKENDS.join(', ')})`);
+  }
+}
+
+// input.xlsx -> input-1a2b3c4d.xlsx, so concurrent uploads never overwrite each other
+function withRandomSuffix(destPath) {
+  const { dir, name, ext } = path.posix.parse(destPath);
+  return path.posix.join(dir, `${name}-${crypto.randomBytes(4).toString('hex')}${ext}`);
+}
+
+/**
+ * Creates the artifact store passed to runSuite as `sinks.artifacts` and used
+ * by the trigger endpoints for input workbooks.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.backend] - One of ARTIFACT_BACKENDS (defaults to QA_ARTIFACTS, then 'vercel-blob').
+ * @returns {{
+ *   name: string,
+ *   put: (destPath: string, body: Buffer, options?: { addRandomSuffix?: boolean, contentType?: string }) => Promise<string>,
+ *   get: (destPath: string) => Promise<Buffer|null>,
+ *   upload: (filePath: string, destPath: string, retries?: number) => Promise<string>
+ * }}
+ */
+export function createArtifactStore({ backend = process.env.QA_ARTIFACTS || 'vercel-blob', ...backendConfig } = {}) {
+  const store = createBackend(backend, backendConfig);
+
+  return {
+    name: store.name,
+
+    // Store an in-memory buffer and return its URL
+    async put(destPath, body, { addRandomSuffix = false, contentType } = {}) {
+      const key = addRandomSuffix ? withRandomSuffix(destPath) : destPath;
+      return store.put(key, body, { contentType: contentType || CONTENT_TYPES[path.extname(key).toLowerCase()] });
+    },
+
+    // Read an artifact back (e.g. a visual baseline); null when it does not exist
+    async get(destPath) {
+      return store.get(destPath);
+    },
+
+    // Upload a local file with retries; the local copy is deleted once stored
+    async upload(filePath, destPath, retries = 3) {
+      if (!fs.existsSync(filePath)) throw new Error(`File not found for upload: ${filePath}`);
+      let lastError;
+      for (let attempt = 1; attempt <= retries; attempt++) {
+        try {
+          const url = await this.put(destPath, fs.readFileSync(filePath));
+          fs.unlinkSync(filePath);
+          logger.info(`Uploaded ${destPath} to ${store.name}: ${url}`);
+          return url;
+        } catch (error) {
+          lastError = error;
+          if (attempt < retries) {
+            logger.warn(`Attempt ${attempt} failed to upload ${filePath}: ${error.message}. Retrying...`);
+            await new Promise(resolve => setTimeout(resolve, 2000));
+          }
+        }
+      }
+      throw new Error(`Failed to upload ${filePath} after ${retries} attempts: ${lastError.message}`);
+    },
+  };
+}
@@ -0,0 +1,43 @@
+// Local filesystem artifact backend: copies artifacts into a directory on disk
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Creates a backend that writes artifacts under `dir`. Returned URLs are
+ * `<baseUrl>/<destPath>` when a base URL is configured (e.g. a static file
+ * server in front of the directory), otherwise the absolute file path.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.dir] - Target directory (defaults to QA_ARTIFACTS_DIR or qa-artifacts).
+ * @param {string} [config.baseUrl] - Public base URL (defaults to QA_ARTIFACTS_BASE_URL).
+ * @returns {{ name: string, put: Function, get: (destPath: string) => Promise<Buffer|null> }}
+ */
+export function createLocalArtifactBackend({
+  dir = process.env.QA_ARTIFACTS_DIR || 'qa-artifacts',
+  baseUrl = process.env.QA_ARTIFACTS_BASE_URL,
+} = {}) {
+  // Absolute path of an artifact, refusing anything outside `dir`
+  const resolve = destPath => {
+    const target = path.resolve(dir, destPath);
+    if (!target.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Artifact path escapes the artifact directory: ${destPath}`);
+    }
+    return target;
+  };
+
+  return {
+    name: 'local',
+
+    async put(destPath, body) {
+      const target = resolve(destPath);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, body);
+      return baseUrl ? `${baseUrl.replace(/\/+$/, '')}/${destPath}` : target;
+    },
+
+    async get(destPath) {
+      const target = resolve(destPath);
+      return fs.existsSync(target) ? fs.readFileSync(target) : null;
+    },
+  };
+}
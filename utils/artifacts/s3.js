@@ -0,0 +1,71 @@
+// S3-compatible artifact backend (AWS S3, MinIO, R2, ...)
+import { logger } from '../logger.js';
+
+/**
+ * Creates a backend that uploads artifacts with PutObject. Setting an endpoint
+ * (e.g. http://localhost:9000 for MinIO) switches to path-style addressing.
+ * Objects must be publicly readable (bucket policy) for dashboard links to work;
+ * set S3_PUBLIC_URL when they are served from a CDN or custom domain.
+ *
+ * @param {Object} [config] - Defaults come from the S3_* environment variables.
+ * @returns {{ name: string, put: Function, get: (destPath: string) => Promise<Buffer|null> }}
+ */
+export function createS3Backend({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  publicUrl = process.env.S3_PUBLIC_URL,
+} = {}) {
+  if (!bucket) throw new Error('S3 artifact store requires S3_BUCKET to be set');
+
+  // Public URL of an uploaded object
+  const objectUrl = key => {
+    if (publicUrl) return `${publicUrl.replace(/\/+$/, '')}/${key}`;
+    if (endpoint) return `${endpoint.replace(/\/+$/, '')}/${bucket}/${key}`;
+    return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+  };
+
+  // The SDK is only loaded when this backend is actually used
+  let client;
+  const getClient = async () => {
+    if (!client) {
+      const { S3Client } = await import('@aws-sdk/client-s3');
+      client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle: !!endpoint,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 's3',
+
+    async put(destPath, body, { contentType } = {}) {
+      logger.info(`[S3] Uploading to bucket: ${bucket}${endpoint ? ` at ${endpoint}` : ''}`);
+      const { PutObjectCommand } = await import('@aws-sdk/client-s3');
+      await (await getClient()).send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: destPath,
+        Body: body,
+        ContentType: contentType,
+      }));
+      return objectUrl(destPath);
+    },
+
+    async get(destPath) {
+      const { GetObjectCommand } = await import('@aws-sdk/client-s3');
+      try {
+        const object = await (await getClient()).send(new GetObjectCommand({ Bucket: bucket, Key: destPath }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+  };
+}
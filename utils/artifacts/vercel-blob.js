@@ -0,0 +1,55 @@
+// Vercel Blob artifact backend (the default); STORAGE_BUCKET is used as a path prefix
+import { logger } from '../logger.js';
+
+// Environment-aware Blob config: preview deployments use the TEST_* bucket and token
+export function getBlobConfig() {
+  const isPreview = process.env.VERCEL_ENV === 'preview';
+  return {
+    bucket: isPreview ? process.env.TEST_STORAGE_BUCKET : process.env.STORAGE_BUCKET,
+    token: isPreview ? process.env.TEST_BLOB_READ_WRITE_TOKEN : process.env.BLOB_READ_WRITE_TOKEN,
+    envLabel: isPreview ? 'PREVIEW' : 'PRODUCTION',
+  };
+}
+
+/**
+ * Creates a Vercel Blob backend for the artifact store.
+ *
+ * @param {Object} [config] - Overrides for getBlobConfig() (bucket, token, envLabel).
+ * @returns {{ name: string, put: Function, get: (destPath: string) => Promise<Buffer|null> }}
+ */
+export function createVercelBlobBackend(config = {}) {
+  const { bucket, token, envLabel } = { ...getBlobConfig(), ...config };
+  return {
+    name: 'vercel-blob',
+
+    async put(destPath, body, { contentType } = {}) {
+      logger.info(`[${envLabel}] Uploading to bucket: ${bucket}, using token: ${token ? 'SET' : 'NOT SET'}`);
+      if (!token) throw new Error('Blob storage token is not set in the environment');
+      const { put } = await import('@vercel/blob');
+      const fullDestPath = bucket ? `${bucket}/${destPath}` : destPath;
+      const blob = await put(fullDestPath, body, {
+        access: 'public',
+        token,
+        contentType,
+        allowOverwrite: true,
+      });
+      return blob.url;
+    },
+
+    async get(destPath) {
+      if (!token) throw new Error('Blob storage token is not set in the environment');
+      const { head, BlobNotFoundError } = await import('@vercel/blob');
+      const fullDestPath = bucket ? `${bucket}/${destPath}` : destPath;
+      let blob;
+      try {
+        blob = await head(fullDestPath, { token });
+      } catch (error) {
+        if (error instanceof BlobNotFoundError) return null;
+        throw error;
+      }
+      const response = await fetch(blob.url);
+      if (!response.ok) throw new Error(`Failed to download ${fullDestPath}: HTTP ${response.status}`);
+      return Buffer.from(await response.arrayBuffer());
+    },
+  };
+}
@@ -0,0 +1,31 @@
+// Browser matrix: Playwright engines a URL row can run in
+export const BROWSERS = ['chromium', 'firefox', 'webkit'];
+export const DEFAULT_BROWSER = 'chromium';
+
+// Browser and device of a result row for report labels ('webkit, iphone-13'); empty for a plain Chromium row
+export function variantLabel({ browser, device }) {
+  return [browser && browser !== DEFAULT_BROWSER && browser, device].filter(Boolean).join(', ');
+}
+
+/**
+ * Parses a browser list — an array or a comma list such as "chromium, webkit"
+ * from the input workbook's Browsers column. "all" selects every engine; an
+ * empty value gives `fallback`.
+ *
+ * @param {string|string[]} value
+ * @param {string[]} [fallback]
+ * @returns {string[]} Engine names in BROWSERS order.
+ * @throws {Error} For names Playwright does not ship.
+ */
+export function parseBrowsers(value, fallback = [DEFAULT_BROWSER]) {
+  const names = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  if (!names.length) return fallback;
+  if (names.includes('all')) return [...BROWSERS];
+  const unknown = names.filter(name => !BROWSERS.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown browser(s): ${unknown.join(', ')}. Available: ${BROWSERS.join(', ')}`);
+  }
+  return BROWSERS.filter(name => names.includes(name));
+}
@@ -0,0 +1,172 @@
+// Spider crawl mode: URL normalization, robots.txt rules and the bounded same-host frontier
+import { logger } from './logger.js';
+import { normalizeLink } from './link-checker.js';
+
+export const DEFAULT_CRAWL_DEPTH = 2;
+export const DEFAULT_CRAWL_MAX_PAGES = 100;
+const ROBOTS_TIMEOUT_MS = 10000;
+
+// Links to files rather than pages are never crawled
+const NON_PAGE_EXTENSIONS = /\.(?:pdf|jpe?g|png|gif|svg|webp|ico|zip|docx?|xlsx?|pptx?|mp3|mp4|webm|mov|ics|xml|json|css|js|txt)$/i;
+
+// Query parameters that only track the visit; dropped so tagged links de-duplicate
+const TRACKING_PARAMS = /^(?:utm_\w+|gclid|fbclid|msclkid|mc_cid|mc_eid|_ga)$/i;
+
+/**
+ * Crawl key of a link: absolute http(s) URL without #fragment, tracking
+ * parameters or trailing slash, remaining query parameters sorted. Returns null
+ * for non-page targets (mailto:, files such as .pdf, anything unparsable).
+ *
+ * @param {string} href
+ * @param {string} [baseUrl] - Page the link was found on.
+ * @returns {string|null}
+ */
+export function normalizeCrawlUrl(href, baseUrl) {
+  const absolute = normalizeLink(href, baseUrl);
+  if (!absolute) return null;
+  const url = new URL(absolute);
+  if (NON_PAGE_EXTENSIONS.test(url.pathname)) return null;
+  const params = [...url.searchParams].filter(([name]) => !TRACKING_PARAMS.test(name)).sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+  if (url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, '');
+  return url.toString();
+}
+
+/**
+ * Allow/Disallow rules that apply to every crawler (`User-agent: *` groups).
+ *
+ * @param {string} text - robots.txt contents.
+ * @returns {Array<{ allow: boolean, pattern: string }>}
+ */
+export function parseRobots(text) {
+  const rules = [];
+  let agents = [];
+  let inRules = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const [, field, value] = match;
+    const name = field.toLowerCase();
+    if (name === 'user-agent') {
+      // A user-agent line after rules starts a new group
+      if (inRules) {
+        agents = [];
+        inRules = false;
+      }
+      agents.push(value.toLowerCase());
+    } else if (name === 'allow' || name === 'disallow') {
+      inRules = true;
+      if (agents.includes('*') && value) rules.push({ allow: name === 'allow', pattern: value });
+    }
+  }
+  return rules;
+}
+
+// RegExp for a robots.txt path pattern: `*` matches anything, a trailing `$` anchors the end
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Whether a path (with query) may be crawled: the longest matching rule wins, Allow on a tie
+export function isAllowedByRobots(rules, pathWithQuery) {
+  let best = null;
+  for (const rule of rules) {
+    if (!robotsPatternToRegExp(rule.pattern).test(pathWithQuery)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+/**
+ * Creates the frontier of a crawl run. Seed URLs are always visited; links
+ * found on a page are followed when they stay on a seed's host, were not seen
+ * before (after normalizeCrawlUrl), the page is above `maxDepth` and robots.txt
+ * allows them, until the run holds `maxPages` pages. robots.txt is fetched once
+ * per origin; an unreachable one allows everything.
+ *
+ * @param {Object} config
+ * @param {string[]} config.seeds - Seed URLs (depth 0).
+ * @param {number} [config.maxDepth] - Link hops from a seed.
+ * @param {number} [config.maxPages] - Pages in the run, seeds included.
+ * @param {boolean} [config.respectRobots=true]
+ * @param {string} [config.userAgent] - Sent when fetching robots.txt.
+ * @param {Function} [config.fetchImpl] - fetch implementation (for tests).
+ * @returns {{ add: Function, size: () => number }}
+ */
+export function createCrawlFrontier({
+  seeds,
+  maxDepth = DEFAULT_CRAWL_DEPTH,
+  maxPages = DEFAULT_CRAWL_MAX_PAGES,
+  respectRobots = true,
+  userAgent,
+  fetchImpl = fetch,
+}) {
+  const hosts = new Set(seeds.map(seed => new URL(seed).hostname.toLowerCase()));
+  const seen = new Set(seeds.map(seed => normalizeCrawlUrl(seed) || seed));
+  const robotsByOrigin = new Map();
+  let accepted = seen.size;
+
+  async function loadRobots(origin) {
+    try {
+      const response = await fetchImpl(`${origin}/robots.txt`, {
+        headers: userAgent ? { 'User-Agent': userAgent } : {},
+        signal: AbortSignal.timeout(ROBOTS_TIMEOUT_MS),
+      });
+      if (!response.ok) return [];
+      return parseRobots(await response.text());
+    } catch (err) {
+      logger.warn(`[CRAWL] robots.txt for ${origin} unreachable (${err.message}); crawling without it`);
+      return [];
+    }
+  }
+
+  async function allowed(url) {
+    if (!respectRobots) return true;
+    const { origin, pathname, search } = new URL(url);
+    if (!robotsByOrigin.has(origin)) robotsByOrigin.set(origin, loadRobots(origin));
+    return isAllowedByRobots(await robotsByOrigin.get(origin), pathname + search);
+  }
+
+  return {
+    /**
+     * Offers the links found on a page; resolves to the URLs accepted into the
+     * run as `{ url, depth, foundOn }`.
+     *
+     * @param {string[]} hrefs - Raw href values.
+     * @param {{ baseUrl: string, depth: number }} from - Page they were found on and its depth.
+     * @returns {Promise<Array<{ url: string, depth: number, foundOn: string }>>}
+     */
+    async add(hrefs, { baseUrl, depth }) {
+      if (depth >= maxDepth || accepted >= maxPages) return [];
+      const candidates = [];
+      for (const href of hrefs) {
+        const url = normalizeCrawlUrl(href, baseUrl);
+        if (!url || seen.has(url) || !hosts.has(new URL(url).hostname)) continue;
+        seen.add(url);
+        candidates.push(url);
+      }
+      const permitted = await Promise.all(candidates.map(allowed));
+      const added = [];
+      candidates.forEach((url, i) => {
+        if (!permitted[i]) {
+          logger.info(`[CRAWL] robots.txt disallows ${url}`);
+        } else if (accepted < maxPages) {
+          accepted++;
+          added.push({ url, depth: depth + 1, foundOn: baseUrl });
+        }
+      });
+      return added;
+    },
+
+    // Pages accepted into the run so far, seeds included
+    size: () => accepted,
+  };
+}
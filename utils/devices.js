@@ -0,0 +1,51 @@
+// Device emulation profiles a URL row can request, built on Playwright's device descriptors
+import { devices } from 'playwright';
+
+// Profile name -> Playwright descriptor, plus any overrides of it
+export const DEVICE_PROFILES = {
+  phone: { descriptor: 'iPhone 13' },
+  'small-tablet': { descriptor: 'iPad Mini' },
+  'large-tablet': { descriptor: 'iPad Pro 11' },
+  laptop: { descriptor: 'Desktop Chrome HiDPI', viewport: { width: 1366, height: 768 } },
+};
+export const DEVICES = Object.keys(DEVICE_PROFILES);
+
+/**
+ * Parses a device list — an array or a comma list such as "phone, laptop" from
+ * the input workbook's Devices column. "all" selects every profile; an empty
+ * value gives `fallback`.
+ *
+ * @param {string|string[]} value
+ * @param {string[]} [fallback=[]]
+ * @returns {string[]} Profile names in DEVICES order.
+ * @throws {Error} For unknown profile names.
+ */
+export function parseDevices(value, fallback = []) {
+  const names = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  if (!names.length) return fallback;
+  if (names.includes('all')) return [...DEVICES];
+  const unknown = names.filter(name => !DEVICES.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown device(s): ${unknown.join(', ')}. Available: ${DEVICES.join(', ')}`);
+  }
+  return DEVICES.filter(name => names.includes(name));
+}
+
+/**
+ * Context options for a device profile: viewport, screen, device scale factor,
+ * touch, mobile flag and user agent from its Playwright descriptor. Firefox
+ * has no mobile emulation, so `isMobile` is left out there.
+ *
+ * @param {string} name - Profile name from DEVICES.
+ * @param {string} [browser='chromium'] - Engine the context is created in.
+ * @returns {Object} Options for browser.newContext().
+ */
+export function deviceContextOptions(name, browser = 'chromium') {
+  const { descriptor, ...overrides } = DEVICE_PROFILES[name];
+  const options = { ...devices[descriptor], ...overrides };
+  delete options.defaultBrowserType; // descriptors name an engine; the row's browser decides
+  if (browser === 'firefox') delete options.isMobile;
+  return options;
+}
@@ -1,7 +1,7 @@
 // Utility that checks if hero section text is visible on a page
-import { heroSelectors as defaultSelectors } from '../config.js';
+import { siteProfiles, defaultSite } from '../config.js';
 
-export async function heroTextVisible(page, selectors = defaultSelectors) {
+export async function heroTextVisible(page, selectors = siteProfiles[defaultSite].heroSelectors) {
   for (const sel of selectors) {
     const el = await page.$(sel);
     if (el && await el.isVisible()) {
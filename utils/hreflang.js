@@ -0,0 +1,94 @@
+// hreflang helpers for TC-23: locale path segments and run-wide alternate clusters
+import { canonicalKey } from './seo.js';
+
+const MAX_REPORTED = 10;
+
+// The /xx-yy locale segment of a URL's path (lower-cased), or null when it has none
+export function pathLocale(url) {
+  const segment = new URL(url).pathname.split('/').find(part => /^[a-z]{2}-[a-z]{2}$/i.test(part));
+  return segment ? segment.toLowerCase() : null;
+}
+
+// True when an hreflang value fits the target's locale segment; "de" matches /de-de, x-default anything
+export function hreflangMatchesPath(hreflang, url) {
+  const lang = hreflang.toLowerCase();
+  if (lang === 'x-default') return true;
+  const locale = pathLocale(url);
+  if (!locale) return false;
+  return lang.includes('-') ? locale === lang : locale.split('-')[0] === lang;
+}
+
+// Problem with an alternate's HTTP check (link-checker result), or null when it answered 200 directly
+export function alternateStatusProblem(result) {
+  if (result.problem) return result.problem;
+  if (result.redirects > 0) return `redirects to ${result.finalUrl}`;
+  if (result.status !== 200) return `HTTP ${result.status}`;
+  return null;
+}
+
+/**
+ * Groups pages into hreflang clusters: pages joined (directly or through other
+ * pages) by their alternate links. Only pages that ran TC-23 count as members;
+ * alternates outside the run still join the pages that reference them.
+ *
+ * @param {Array<{ index: number, url: string, details: { pageUrl: string, alternates: Object[] } }>} entries
+ * @returns {Array<Object[]>} Clusters of entries.
+ */
+export function buildClusters(entries) {
+  const parent = new Map();
+  const find = key => {
+    if (!parent.has(key)) parent.set(key, key);
+    while (parent.get(key) !== key) key = parent.get(key);
+    return key;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+
+  for (const { details } of entries) {
+    const pageKey = canonicalKey(details.pageUrl);
+    find(pageKey);
+    details.alternates.forEach(alt => union(pageKey, canonicalKey(alt.href)));
+  }
+  const clusters = new Map();
+  for (const entry of entries) {
+    const root = find(canonicalKey(entry.details.pageUrl));
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(entry);
+  }
+  return [...clusters.values()];
+}
+
+/**
+ * Problems across one cluster: alternates whose page in the run does not link
+ * back (reciprocity), alternates that do not answer 200 directly, and hreflang
+ * values that disagree with the target's /xx-yy path segment.
+ *
+ * @param {Object[]} cluster - Entries from buildClusters.
+ * @returns {string[]}
+ */
+export function clusterProblems(cluster) {
+  const byKey = new Map(cluster.map(entry => [canonicalKey(entry.details.pageUrl), entry]));
+  const problems = new Set();
+  for (const { details } of cluster) {
+    const pageKey = canonicalKey(details.pageUrl);
+    for (const alt of details.alternates) {
+      const altKey = canonicalKey(alt.href);
+      const target = byKey.get(altKey);
+      if (target && altKey !== pageKey && !target.details.alternates.some(back => canonicalKey(back.href) === pageKey)) {
+        problems.add(`${alt.href} does not link back to ${details.pageUrl}`);
+      }
+      if (alt.problem) problems.add(`${alt.href} (${alt.hreflang}): ${alt.problem}`);
+      if (!hreflangMatchesPath(alt.hreflang, alt.href)) {
+        problems.add(`hreflang="${alt.hreflang}" points at ${alt.href} (path locale ${pathLocale(alt.href) || 'missing'})`);
+      }
+    }
+  }
+  return [...problems];
+}
+
+// One line for error_details: the first problems plus a count of the rest
+export function describeClusterProblems(cluster, problems) {
+  const listed = problems.slice(0, MAX_REPORTED);
+  if (problems.length > MAX_REPORTED) listed.push(`and ${problems.length - MAX_REPORTED} more`);
+  const pages = new Set(cluster.map(entry => entry.url)).size;
+  return `hreflang cluster of ${pages} page(s) is broken: ${listed.join('; ')}`;
+}
@@ -0,0 +1,53 @@
+// Reads the URL list (URL / Test IDs / Region / Canonical / Browsers / Devices / Site columns) from an input.xlsx workbook
+import fs from 'fs';
+import ExcelJS from 'exceljs';
+
+/**
+ * Parses the "URLs" sheet of an input workbook into runner rows.
+ *
+ * @param {string} inputFile - Path to the .xlsx file.
+ * @returns {Promise<Array<{ url: string, testIds: string[], region: string, canonical: string, browsers: string, devices: string, site: string }>>}
+ */
+export async function readUrlsFromWorkbook(inputFile) {
+  if (!fs.existsSync(inputFile)) {
+    throw new Error(`Input file not found: ${inputFile}`);
+  }
+  const inputWorkbook = new ExcelJS.Workbook();
+  await inputWorkbook.xlsx.readFile(inputFile);
+
+  const urlSheet = inputWorkbook.getWorksheet('URLs');
+  if (!urlSheet) {
+    throw new Error('Sheet "URLs" not found in input.xlsx.');
+  }
+
+  const headerRow = urlSheet.getRow(1);
+  const headers = headerRow.values.map(h => h ? h.toString().trim().toLowerCase() : '').filter(Boolean);
+
+  if (!headers.includes('url') || !headers.includes('test ids')) {
+    throw new Error('Required columns "URL" or "Test IDs" not found in URLs sheet.');
+  }
+
+  // Parse URL data from Excel into a structured format
+  const rows = [];
+  urlSheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return; // Skip header row
+    const rowData = {};
+    headers.forEach((header, index) => {
+      const cellValue = row.getCell(index + 1).value;
+      rowData[header] = cellValue && typeof cellValue === 'object' && cellValue.richText ?
+        cellValue.richText.map(rt => rt.text).join('') :
+        (cellValue === null || cellValue === undefined ? '' : cellValue.toString());
+    });
+    rows.push(rowData);
+  });
+
+  return rows.map(row => ({
+    url: row['url'],
+    testIds: (row['test ids'] || '').split(',').map(id => id.trim()).filter(Boolean),
+    region: row['region'] || 'N/A',
+    canonical: row['canonical'] || '', // optional: expected canonical URL for TC-22
+    browsers: row['browsers'] || '', // optional: e.g. "chromium, webkit" or "all"; blank uses the run default
+    devices: row['devices'] || '', // optional: e.g. "phone, large-tablet" or "all"; blank uses the run default
+    site: row['site'] || '' // optional: site profile key from config.js; blank picks it by hostname
+  }));
+}
@@ -0,0 +1,150 @@
+// Run-wide link checker: HEAD/GET with a shared rate limit, redirect tracing and a per-run cache
+import { logger } from './logger.js';
+import { retiredLinkPatterns } from '../config.js';
+
+export const DEFAULT_LINK_CONCURRENCY = 6;
+export const DEFAULT_LINK_INTERVAL_MS = 50;
+const MAX_REDIRECTS = 10;
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_RETRY_AFTER_MS = 10000;
+
+// Absolute http(s) URL of an href without its #fragment, or null for mailto:, tel:, javascript:, in-page anchors
+export function normalizeLink(href, baseUrl) {
+  if (!href) return null;
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+// True when a URL points at a retired pre-migration path (config.js retiredLinkPatterns)
+export function isRetiredLink(url, patterns = retiredLinkPatterns) {
+  return patterns.some(pattern => pattern.test(url));
+}
+
+/**
+ * Creates the link checker shared by every page of a run. Each distinct URL is
+ * requested once (the promise is cached, so the header/footer links every page
+ * repeats are checked a single time, even concurrently). Requests go through one
+ * queue: at most `concurrency` in flight and starts spaced `intervalMs` apart.
+ *
+ * A link is tried with HEAD, and with GET when HEAD answers 4xx/5xx (plenty of
+ * servers reject HEAD). Redirects are followed by hand to spot loops. The result's
+ * `problem` is null for a healthy link, otherwise e.g. "HTTP 404", "redirect loop",
+ * "too many redirects", "retired path" or "network error: ...".
+ *
+ * @param {Object} [config]
+ * @param {number} [config.concurrency] - Requests in flight across the run.
+ * @param {number} [config.intervalMs] - Minimum gap between request starts.
+ * @param {string} [config.userAgent] - Sent with every request (the runner passes its browser UA).
+ * @param {RegExp[]} [config.retiredPatterns] - Retired-path patterns (defaults to config.js).
+ * @param {Function} [config.fetchImpl] - fetch implementation (for tests).
+ * @returns {{ check: (url: string) => Promise<Object>, size: () => number }}
+ */
+export function createLinkChecker({
+  concurrency = DEFAULT_LINK_CONCURRENCY,
+  intervalMs = DEFAULT_LINK_INTERVAL_MS,
+  userAgent,
+  retiredPatterns = retiredLinkPatterns,
+  fetchImpl = fetch,
+} = {}) {
+  const cache = new Map();
+  const queue = [];
+  let active = 0;
+  let nextStartAt = 0;
+
+  // Start queued requests while there is a free slot, respecting the start interval
+  function pump() {
+    while (active < concurrency && queue.length) {
+      const wait = nextStartAt - Date.now();
+      if (wait > 0) {
+        setTimeout(pump, wait);
+        return;
+      }
+      nextStartAt = Date.now() + intervalMs;
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      task().then(resolve, reject).finally(() => {
+        active--;
+        pump();
+      });
+    }
+  }
+
+  // Run one HTTP request through the shared rate limit
+  function limited(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      pump();
+    });
+  }
+
+  async function request(url, method) {
+    const response = await limited(() => fetchImpl(url, {
+      method,
+      redirect: 'manual',
+      headers: userAgent ? { 'User-Agent': userAgent } : {},
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    }));
+    // The body is never needed; release the connection
+    if (method === 'GET') await response.body?.cancel?.().catch(() => {});
+    return response;
+  }
+
+  // HEAD first, GET when HEAD is rejected; one polite retry on 429
+  async function probe(url) {
+    let response = await request(url, 'HEAD');
+    if (response.status >= 400) response = await request(url, 'GET');
+    if (response.status === 429) {
+      const retryAfterMs = Math.min(MAX_RETRY_AFTER_MS, (parseInt(response.headers.get('retry-after'), 10) || 1) * 1000);
+      await new Promise(resolve => setTimeout(resolve, retryAfterMs));
+      response = await request(url, 'GET');
+    }
+    return response;
+  }
+
+  async function follow(url) {
+    const visited = [url];
+    let current = url;
+    try {
+      for (;;) {
+        const response = await probe(current);
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+          const next = new URL(location, current).toString();
+          if (visited.includes(next)) {
+            return { url, status: response.status, finalUrl: next, redirects: visited.length, problem: 'redirect loop' };
+          }
+          if (visited.length > MAX_REDIRECTS) {
+            return { url, status: response.status, finalUrl: next, redirects: visited.length, problem: 'too many redirects' };
+          }
+          visited.push(next);
+          current = next;
+          continue;
+        }
+        const problem = response.status >= 400
+          ? `HTTP ${response.status}`
+          : (isRetiredLink(url, retiredPatterns) || isRetiredLink(current, retiredPatterns) ? 'retired path' : null);
+        return { url, status: response.status, finalUrl: current, redirects: visited.length - 1, problem };
+      }
+    } catch (err) {
+      logger.warn(`[LINKS] ${url}: ${err.message}`);
+      return { url, status: null, finalUrl: current, redirects: visited.length - 1, problem: `network error: ${err.message}` };
+    }
+  }
+
+  return {
+    // Check a normalized URL; repeated calls share one request
+    check(url) {
+      if (!cache.has(url)) cache.set(url, follow(url));
+      return cache.get(url);
+    },
+
+    // Distinct URLs checked (or in flight) so far
+    size: () => cache.size,
+  };
+}
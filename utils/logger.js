@@ -0,0 +1,11 @@
+// Shared Winston logger used by the QA runner and its test-case modules
+import winston from 'winston';
+
+export const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => `${timestamp} [${level.toUpperCase()}] ${message}`)
+  ),
+  transports: [new winston.transports.Console()]
+});
@@ -0,0 +1,216 @@
+// Dismisses interstitials pages show before content (gatekeeper, cookie banners, surveys) from config.js `overlayRules`
+import { parse } from 'css-tree';
+import { logger } from './logger.js';
+import { overlayRules } from '../config.js';
+
+const NAVIGATION_TIMEOUT = 45000;
+const GONE_TIMEOUT = 5000;
+export const OVERLAY_PHASES = ['init', 'gatekeeper', 'consent', 'survey'];
+const ACTIONS = ['click', 'hide', 'remove'];
+const BUTTONS = 'button, [role="button"], a';
+
+/**
+ * Checks the overlay rules so a typo fails the run up front instead of
+ * silently leaving a banner over every page.
+ *
+ * @param {Array<Object>} [rules] - Defaults to config.js `overlayRules`.
+ * @returns {Array<Object>} The same rules.
+ * @throws {Error} Listing every invalid rule.
+ */
+export function validateOverlayRules(rules = overlayRules) {
+  const problems = [];
+  const names = new Set();
+  rules.forEach((rule, i) => {
+    const name = rule.name || `#${i + 1}`;
+    if (!rule.name) problems.push(`${name}: missing name`);
+    else if (names.has(rule.name)) problems.push(`${name}: duplicate name`);
+    names.add(rule.name);
+    if (!OVERLAY_PHASES.includes(rule.phase)) problems.push(`${name}: phase must be one of ${OVERLAY_PHASES.join(', ')}`);
+    if (!ACTIONS.includes(rule.action)) problems.push(`${name}: action must be one of ${ACTIONS.join(', ')}`);
+    if (rule.phase === 'init') {
+      if (rule.action === 'click') problems.push(`${name}: init rules can only hide or remove`);
+      if (!rule.detect?.length && !rule.keywords?.length && !rule.iframeNames?.length) {
+        problems.push(`${name}: init rules need detect, keywords or iframeNames`);
+      }
+    } else if (!rule.detect?.length) {
+      problems.push(`${name}: missing detect selectors`);
+    }
+    for (const selector of rule.detect || []) {
+      const error = selectorError(selector);
+      if (error) problems.push(`${name}: detect selector "${selector}" does not parse (${error})`);
+    }
+    if (rule.action === 'click' && rule.phase !== 'init' && !rule.click?.length && !buttonKeywords(rule).length) {
+      problems.push(`${name}: click rules need click selectors or buttonText`);
+    }
+    if (rule.after !== undefined && !['navigation', 'gone'].includes(rule.after) && typeof rule.after !== 'number') {
+      problems.push(`${name}: after must be 'navigation', 'gone' or a number of ms`);
+    }
+    if (rule.fallback !== undefined && !['hide', 'remove'].includes(rule.fallback)) {
+      problems.push(`${name}: fallback must be 'hide' or 'remove'`);
+    }
+  });
+  if (problems.length) throw new Error(`Invalid overlay rules: ${problems.join('; ')}`);
+  return rules;
+}
+
+// Syntax error of a CSS selector, or null: the init script's node.matches() throws on one and stops hiding
+function selectorError(selector) {
+  if (!String(selector).trim()) return 'empty selector';
+  let error = null;
+  try {
+    parse(selector, { context: 'selectorList', positions: false, onParseError: e => { error = error || e.message; } });
+  } catch (e) {
+    error = e.message;
+  }
+  return error;
+}
+
+// Rules of one phase in application order (equal `order` keeps list order)
+export function phaseRules(phase, rules = overlayRules) {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => rule.phase === phase)
+    .sort((a, b) => (a.rule.order ?? 0) - (b.rule.order ?? 0) || a.index - b.index)
+    .map(({ rule }) => rule);
+}
+
+// Lower-cased button text keywords of a rule across all its languages
+export function buttonKeywords(rule) {
+  return Object.values(rule.buttonText || {}).flat().map(keyword => keyword.toLowerCase());
+}
+
+/**
+ * Init script (runs in the page before any of its scripts) that applies the
+ * `init` rules to nodes as they are added, and records the names of the rules
+ * that fired in `window.__qaOverlays`. Registered on every browser context by
+ * the runner with the rules as its argument.
+ */
+export function overlayInitScript(rules) {
+  const applied = [];
+  window.__qaOverlays = applied;
+  const act = (rule, el) => {
+    if (rule.action === 'remove') el.remove();
+    else if (el.style) el.style.display = 'none';
+    if (!applied.includes(rule.name)) applied.push(rule.name);
+  };
+  new MutationObserver(muts => {
+    muts.forEach(m => {
+      m.addedNodes.forEach(node => {
+        if (node.nodeType !== 1) return;
+        const txt = (node.innerText || '').toLowerCase();
+        const id = (node.id || '').toLowerCase();
+        for (const rule of rules) {
+          if ((rule.detect?.length && node.matches(rule.detect.join(', '))) ||
+              (rule.keywords || []).some(k => txt.includes(k) || id.includes(k))) {
+            act(rule, node);
+            return;
+          }
+          if (node.tagName === 'IFRAME' && (rule.iframeNames || []).some(n => node.getAttribute('name')?.includes(n))) {
+            act(rule, node.closest('[role="dialog"]') || node);
+            return;
+          }
+        }
+      });
+    });
+  }).observe(document.documentElement, { childList: true, subtree: true });
+}
+
+// First element matching the rule's detect selectors (visible unless state: 'attached'), or null
+async function detect(page, rule) {
+  const selector = rule.detect.join(', ');
+  const state = rule.state || 'visible';
+  if (rule.timeout) return page.waitForSelector(selector, { state, timeout: rule.timeout }).catch(() => null);
+  const el = await page.$(selector);
+  if (!el || (state === 'visible' && !(await el.isVisible()))) return null;
+  return el;
+}
+
+// Hide or remove every element matching the rule's detect selectors
+async function hideMatches(page, rule, action) {
+  const count = await page.$$eval(rule.detect.join(', '), (els, remove) => {
+    els.forEach(el => (remove ? el.remove() : (el.style.display = 'none')));
+    return els.length;
+  }, action === 'remove');
+  return `${action === 'remove' ? 'removed' : 'hid'} ${count} element(s)`;
+}
+
+// The element a click rule should click: a `click` selector, else a keyword button inside the match
+async function clickTarget(page, rule, match) {
+  for (const selector of rule.click || []) {
+    const el = rule.clickTimeout
+      ? await page.waitForSelector(selector, { timeout: rule.clickTimeout }).catch(() => null)
+      : await page.$(selector);
+    if (el) return { el, label: selector };
+  }
+  const keywords = buttonKeywords(rule);
+  if (!keywords.length) return null;
+  for (const button of await match.$$(BUTTONS)) {
+    const text = ((await button.textContent()) || '').trim().toLowerCase();
+    if (keywords.some(keyword => text.includes(keyword))) return { el: button, label: `"${text}"` };
+  }
+  return null;
+}
+
+// Apply one detected rule; returns what was done, for the log
+async function applyRule(page, rule, match) {
+  if (rule.action !== 'click') return hideMatches(page, rule, rule.action);
+
+  const target = await clickTarget(page, rule, match);
+  if (!target) {
+    return rule.fallback ? `nothing to click, ${await hideMatches(page, rule, rule.fallback)}` : 'nothing to click';
+  }
+  await target.el.click();
+  if (rule.after === 'navigation') {
+    await page.waitForLoadState('domcontentloaded', { timeout: NAVIGATION_TIMEOUT });
+  } else if (rule.after === 'gone') {
+    const gone = await page.waitForFunction(selector => !document.querySelector(selector), rule.detect.join(', '), { timeout: GONE_TIMEOUT })
+      .then(() => true, () => false);
+    if (!gone && rule.fallback) return `clicked ${target.label}, still shown, ${await hideMatches(page, rule, rule.fallback)}`;
+  } else if (typeof rule.after === 'number') {
+    await page.waitForTimeout(rule.after);
+  }
+  return `clicked ${target.label}`;
+}
+
+/**
+ * Applies the first rule of a phase whose detect selectors match the page, and
+ * logs it with the page URL.
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} phase - 'gatekeeper', 'consent' or 'survey'.
+ * @param {Array<Object>} [rules] - Defaults to config.js `overlayRules`.
+ * @returns {Promise<string|null>} Name of the applied rule, or null when none matched.
+ */
+export async function applyOverlayRules(page, phase, rules = overlayRules) {
+  for (const rule of phaseRules(phase, rules)) {
+    const match = await detect(page, rule).catch(() => null);
+    if (!match) continue;
+    try {
+      logger.info(`[OVERLAY] ${page.url()}: ${rule.name} (${phase}) ${await applyRule(page, rule, match)}`);
+    } catch (error) {
+      logger.info(`[OVERLAY] ${page.url()}: ${rule.name} (${phase}) detected, action failed: ${error.message}`);
+    }
+    return rule.name;
+  }
+  return null;
+}
+
+// Handle Gatekeeper interstitial if present (US React site or AEM global-gateway)
+export async function handleGatekeeper(page, url, rules = overlayRules) {
+  const applied = await applyOverlayRules(page, 'gatekeeper', rules);
+  logger.info(`Gatekeeper detection result for ${url}: ${!!applied}`);
+  return !!applied;
+}
+
+// Handle overlays (e.g., cookie banners), and log the init rules that already hid nodes
+export async function handleOverlays(page, rules = overlayRules) {
+  logger.info('Checking for overlays (cookie banners or interstitials)...');
+  const hiddenBy = await page.evaluate(() => window.__qaOverlays || []).catch(() => []);
+  for (const name of hiddenBy) logger.info(`[OVERLAY] ${page.url()}: ${name} (init) hid nodes as they appeared`);
+  return !!(await applyOverlayRules(page, 'consent', rules));
+}
+
+// Handle survey pop-up if present
+export async function handleSurvey(page, rules = overlayRules) {
+  return !!(await applyOverlayRules(page, 'survey', rules));
+}
@@ -0,0 +1,46 @@
+// Captures browser console errors, uncaught page exceptions and failed requests per page
+import { jsErrorAllowlist } from '../config.js';
+
+// Entries kept per kind; a page stuck in an error loop should not flood the results
+export const MAX_CAPTURED = 50;
+
+/**
+ * Attaches `console`, `pageerror` and `requestfailed` listeners to a page and
+ * returns the live capture they fill in. Attach before navigating so errors
+ * thrown while the page loads are included.
+ *
+ * @param {import('playwright').Page} page
+ * @param {Object} [options]
+ * @param {(url: string) => boolean} [options.ignoreRequest] - Skip failures of requests the runner aborted itself,
+ *   and the console errors the browser logs for them ("Failed to load resource: net::ERR_FAILED").
+ * @returns {{ console: string[], pageErrors: string[], requestFailures: string[] }}
+ */
+export function capturePageErrors(page, { ignoreRequest = () => false } = {}) {
+  const captured = { console: [], pageErrors: [], requestFailures: [] };
+  const push = (list, entry) => {
+    if (list.length < MAX_CAPTURED) list.push(entry);
+  };
+
+  page.on('console', msg => {
+    if (msg.type() !== 'error') return;
+    const { url, lineNumber } = msg.location() || {};
+    if (url && ignoreRequest(url)) return;
+    push(captured.console, url ? `${msg.text()} (${url}:${lineNumber})` : msg.text());
+  });
+  page.on('pageerror', err => push(captured.pageErrors, err.message || String(err)));
+  page.on('requestfailed', request => {
+    if (ignoreRequest(request.url())) return;
+    push(captured.requestFailures, `${request.method()} ${request.url()} ${request.failure()?.errorText || 'failed'}`);
+  });
+  return captured;
+}
+
+// True when a message matches one of the known-noisy patterns (config.js jsErrorAllowlist)
+export function isAllowlisted(message, allowlist = jsErrorAllowlist) {
+  return allowlist.some(pattern => (pattern instanceof RegExp ? pattern.test(message) : message.includes(pattern)));
+}
+
+// True when a capture holds anything worth reporting
+export function hasPageErrors(captured) {
+  return !!captured && (captured.console.length > 0 || captured.pageErrors.length > 0 || captured.requestFailures.length > 0);
+}
@@ -0,0 +1,36 @@
+// Playwright page helpers shared by the QA runner and its test-case modules
+
+// Scroll page to find elements and return the first matching selector
+export async function scrollAndFind(page, selectors, maxScreens = 5) {
+  const viewH = await page.evaluate(() => window.innerHeight);
+  for (let pass = 0; pass < maxScreens; pass++) {
+    for (const sel of selectors) {
+      if (await page.$(sel)) return sel;
+    }
+    await page.evaluate(vh => window.scrollBy(0, vh), viewH);
+    await page.waitForTimeout(500);
+  }
+  return null;
+}
+
+// Perform a JavaScript click on an element using Playwright locator
+export async function jsClick(page, selector) {
+  const locator = typeof selector === 'string' ? page.locator(selector) : selector;
+  if (await locator.count() === 0) return false;
+  await locator.scrollIntoViewIfNeeded();
+  await locator.click();
+  return true;
+}
+
+// Advance the video carousel to the next slide if one of its next-arrow selectors is found
+export async function clickNextCarouselButton(page, nextSelectors) {
+  for (const sel of nextSelectors) {
+    const btn = await page.$(sel);
+    if (btn) {
+      await btn.click();
+      await page.waitForTimeout(1000);
+      return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,95 @@
+// Region proxies: credentials from env, and the pre-flight check of each proxy's egress country
+import { request } from 'playwright';
+import { egressCheckUrl } from '../config.js';
+
+const EGRESS_TIMEOUT_MS = 15000;
+
+// Env var prefix for a region's proxy, e.g. QA_PROXY_DE_DE for "de-de"
+export function proxyEnvName(regionKey) {
+  return `QA_PROXY_${regionKey.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+/**
+ * Proxy settings for a region. QA_PROXY_<REGION> (e.g. QA_PROXY_DE_DE) sets or
+ * overrides the server from the profile's `proxy`; QA_PROXY_<REGION>_USERNAME
+ * and _PASSWORD supply the credentials, so none live in config.js.
+ *
+ * @param {string} regionKey - Region profile key.
+ * @param {Object} [configured] - The profile's `proxy` ({ server, bypass? }).
+ * @param {Object} [env] - Environment (defaults to process.env).
+ * @returns {{ server: string, username?: string, password?: string, bypass?: string }|null}
+ */
+export function resolveProxy(regionKey, configured = {}, env = process.env) {
+  const name = proxyEnvName(regionKey);
+  const server = env[name] || configured?.server;
+  if (!server) return null;
+  const username = env[`${name}_USERNAME`];
+  const password = env[`${name}_PASSWORD`];
+  return {
+    server,
+    ...(configured?.bypass && { bypass: configured.bypass }),
+    ...(username && { username }),
+    ...(password && { password }),
+  };
+}
+
+// Two-letter country from an egress check response (JSON field or bare code), or null
+export function parseEgressCountry(body) {
+  const text = String(body || '').trim();
+  if (/^[a-z]{2}$/i.test(text)) return text.toUpperCase();
+  try {
+    const data = JSON.parse(text);
+    const country = data.country || data.country_code || data.countryCode;
+    return typeof country === 'string' && /^[a-z]{2}$/i.test(country) ? country.toUpperCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetches `url` through the proxy and compares the country it reports with the
+ * expected one. Never throws; the result says what went wrong.
+ *
+ * @param {Object} params
+ * @param {Object} params.proxy - Playwright proxy settings (see resolveProxy).
+ * @param {string} params.expectedCountry - Two-letter country code, e.g. "DE".
+ * @param {string} [params.url] - Egress check endpoint (defaults to config.js `egressCheckUrl`).
+ * @param {number} [params.timeout=15000]
+ * @returns {Promise<{ ok: boolean, country: string|null, problem: string|null }>}
+ */
+export async function checkEgressCountry({ proxy, expectedCountry, url = egressCheckUrl, timeout = EGRESS_TIMEOUT_MS }) {
+  const context = await request.newContext({ proxy });
+  try {
+    const response = await context.get(url, { timeout });
+    if (!response.ok()) return { ok: false, country: null, problem: `egress check answered HTTP ${response.status()}` };
+    const country = parseEgressCountry(await response.text());
+    if (!country) return { ok: false, country: null, problem: 'egress check returned no country' };
+    const expected = String(expectedCountry || '').toUpperCase();
+    return country === expected
+      ? { ok: true, country, problem: null }
+      : { ok: false, country, problem: `egress country is ${country}, expected ${expected}` };
+  } catch (err) {
+    return { ok: false, country: null, problem: `proxy unreachable: ${err.message.split('\n')[0]}` };
+  } finally {
+    await context.dispose();
+  }
+}
+
+/**
+ * Pre-flight for a run: checks the egress country of each region profile with a
+ * proxy (once per region key), one at a time.
+ *
+ * @param {Array<Object>} profiles - Region profiles from resolveRegionProfile().
+ * @param {Object} [options]
+ * @param {string} [options.url] - Egress check endpoint (defaults to config.js `egressCheckUrl`).
+ * @returns {Promise<Array<{ key: string, expectedCountry: string, ok: boolean, country: string|null, problem: string|null }>>}
+ */
+export async function checkRegionProxies(profiles, { url = egressCheckUrl } = {}) {
+  const byKey = new Map(profiles.filter(p => p.proxy).map(p => [p.key, p]));
+  const checks = [];
+  for (const { key, proxy, geoIp } of byKey.values()) {
+    const expectedCountry = geoIp?.countryCode || '';
+    checks.push({ key, expectedCountry, ...await checkEgressCountry({ proxy, expectedCountry, url }) });
+  }
+  return checks;
+}
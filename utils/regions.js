@@ -0,0 +1,80 @@
+// Region profiles: locale, timezone, Accept-Language, geolocation, GeoIP stub and proxy per Region column value
+import { regionProfiles, defaultRegion } from '../config.js';
+import { pathLocale } from './hreflang.js';
+import { resolveProxy } from './proxy.js';
+
+const LANG_REGION = /^([a-z]{2})-([a-z]{2})$/;
+
+// Locale, Accept-Language and GeoIP country implied by an "xx-yy" region code; {} for anything else
+function derivedProfile(key) {
+  const m = key.match(LANG_REGION);
+  if (!m) return {};
+  const [, lang, country] = m;
+  const locale = `${lang}-${country.toUpperCase()}`;
+  return {
+    locale,
+    acceptLanguage: `${locale},${lang};q=0.9`,
+    geoIp: { countryCode: country.toUpperCase(), countryName: '', websiteCountryCode: key },
+  };
+}
+
+/**
+ * Resolves the region profile for a URL row. The Region column wins when it
+ * names a profile or an "xx-yy" code; otherwise the URL's /xx-yy path segment
+ * is used, then `defaultRegion`. Configured fields override the ones derived
+ * from the code. The proxy comes from the profile and/or QA_PROXY_<REGION> env
+ * vars (see utils/proxy.js).
+ *
+ * @param {string} region - The row's Region value (may be empty or "N/A").
+ * @param {string} url - The row's URL.
+ * @param {Object} [profiles] - Profiles by region key (defaults to config.js `regionProfiles`).
+ * @param {Object} [env] - Environment for proxy settings (defaults to process.env).
+ * @returns {{ key: string, locale: string, acceptLanguage: string, geoIp: Object, timezoneId?: string, geolocation?: Object, proxy?: Object }}
+ */
+export function resolveRegionProfile(region, url, profiles = regionProfiles, env = process.env) {
+  const fromColumn = String(region || '').trim().toLowerCase();
+  const usable = key => key && key !== 'n/a' && (profiles[key] || LANG_REGION.test(key));
+  let key = defaultRegion;
+  if (usable(fromColumn)) key = fromColumn;
+  else {
+    try {
+      key = pathLocale(url) || defaultRegion;
+    } catch {
+      // unparsable URL: keep the default region
+    }
+  }
+  const derived = derivedProfile(key);
+  const { proxy: configuredProxy, ...configured } = profiles[key] || {};
+  const proxy = resolveProxy(key, configuredProxy, env);
+  const profile = { key, ...derived, ...configured, geoIp: { ...derived.geoIp, ...configured.geoIp }, ...(proxy && { proxy }) };
+  if (configured.locale && !configured.acceptLanguage) {
+    profile.acceptLanguage = `${configured.locale},${configured.locale.split('-')[0]};q=0.9`;
+  }
+  return profile;
+}
+
+/**
+ * Playwright context options for a region profile: locale, timezone,
+ * Accept-Language header, granted geolocation and the optional proxy.
+ *
+ * @param {Object} profile - From resolveRegionProfile().
+ * @returns {Object} Options for browser.newContext().
+ */
+export function regionContextOptions(profile) {
+  return {
+    ...(profile.locale && { locale: profile.locale }),
+    ...(profile.timezoneId && { timezoneId: profile.timezoneId }),
+    ...(profile.acceptLanguage && { extraHTTPHeaders: { 'Accept-Language': profile.acceptLanguage } }),
+    ...(profile.geolocation && { geolocation: profile.geolocation, permissions: ['geolocation'] }),
+    ...(profile.proxy && { proxy: profile.proxy }),
+  };
+}
+
+// Body of GE's GeoIPLocator/GetClientCountry answer for the profile's country (no redirect)
+export function geoIpResponse(profile) {
+  const { countryCode = '', countryName = '', websiteCountryCode = profile.key } = profile.geoIp || {};
+  return {
+    data: { status: 'Success', countryCode, countryName, websiteCountryCode, redirectUrl: '' },
+    status: 'ok',
+  };
+}
@@ -0,0 +1,58 @@
+// Writes run results to the output.xlsx workbook (Results + Metadata sheets, plus Accessibility when TC-18 ran)
+import ExcelJS from 'exceljs';
+
+/**
+ * @param {string} outputFile - Destination .xlsx path.
+ * @param {Object} run
+ * @param {Object[]} run.results - Per-URL result rows keyed by column header.
+ * @param {string[]} run.allTestIds - Registered test IDs, one column each.
+ * @param {Object} run.summary - Summary payload returned by runSuite.
+ */
+export async function writeExcelReport(outputFile, { results, allTestIds, summary }) {
+  const outputWorkbook = new ExcelJS.Workbook();
+  const resultSheet = outputWorkbook.addWorksheet('Results');
+  const outputHeaders = ['url', 'region', 'browser', 'device', 'test ids', ...allTestIds, 'Page Pass?', 'HTTP Status', 'Attempts'];
+  resultSheet.getRow(1).values = outputHeaders;
+  results.forEach((result, index) => {
+    // Attempts lists retried checks only, e.g. "TC-07: 2, TC-13: 2"
+    const attempts = Object.entries(result.attempts || {}).map(([id, count]) => `${id}: ${count}`).join(', ');
+    const rowData = outputHeaders.map(header => (header === 'Attempts' ? attempts : result[header] || ''));
+    resultSheet.getRow(index + 2).values = rowData;
+  });
+
+  const { runId, initiatedBy, totalUrls, successCount, failureCount, knownIssueCount, flakyCount = 0, naCount } = summary;
+  const metaSheet = outputWorkbook.addWorksheet('Metadata');
+  metaSheet.getRow(1).values = ['Run ID', 'Run Date', 'Run Time', 'Initiated By', 'Total URLs', 'Passed', 'Failed', 'Known Issues', 'Flaky', 'N/A', 'Notes'];
+  metaSheet.getRow(2).values = [
+    runId,
+    new Date().toISOString().slice(0, 10),
+    new Date().toTimeString().slice(0, 8),
+    initiatedBy,
+    totalUrls,
+    successCount,
+    failureCount,
+    knownIssueCount,
+    flakyCount,
+    naCount,
+    `Completed run: ${successCount} passed, ${failureCount} failed, ${knownIssueCount} known issue, ${flakyCount} flaky`
+  ];
+
+  // Accessibility sheet: one row per violating node from tests that report `violations` (TC-18)
+  const scans = results.flatMap(result =>
+    Object.entries(result.details || {})
+      .filter(([, details]) => Array.isArray(details?.violations))
+      .map(([testId, details]) => ({ result, testId, violations: details.violations }))
+  );
+  if (scans.length) {
+    const a11ySheet = outputWorkbook.addWorksheet('Accessibility');
+    a11ySheet.getRow(1).values = ['url', 'region', 'test id', 'result', 'rule', 'impact', 'selector', 'help', 'help url'];
+    const a11yRows = scans.flatMap(({ result, testId, violations }) =>
+      violations.map(v => [result.url, result.region, testId, result[testId], v.rule, v.impact, v.selector, v.help, v.helpUrl])
+    );
+    a11yRows.forEach((rowData, index) => {
+      a11ySheet.getRow(index + 2).values = rowData;
+    });
+  }
+
+  await outputWorkbook.xlsx.writeFile(outputFile);
+}
@@ -0,0 +1,145 @@
+// Self-contained HTML reporter: one static page (inline CSS, embedded thumbnails) that opens offline
+import fs from 'fs';
+import { variantLabel } from '../browsers.js';
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Status → CSS class; colors follow the dashboard (green/red/yellow/purple)
+const STATUS_CLASS = {
+  Pass: 'pass',
+  Fail: 'fail',
+  'Known Issue': 'known',
+  Flaky: 'flaky',
+  NA: 'na',
+};
+
+const STYLES = `
+  body { font: 14px/1.4 -apple-system, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #1f2937; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; }
+  .meta { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; margin: 12px 0; }
+  .meta dt { color: #6b7280; }
+  .meta dd { margin: 0; }
+  .counts span { display: inline-block; padding: 2px 10px; border-radius: 999px; margin-right: 6px; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #e5e7eb; padding: 4px 8px; text-align: center; white-space: nowrap; }
+  th { background: #f3f4f6; position: sticky; top: 0; }
+  td.url { text-align: left; max-width: 480px; overflow: hidden; text-overflow: ellipsis; }
+  .pass { background: #dcfce7; color: #166534; }
+  .fail { background: #fee2e2; color: #991b1b; font-weight: 600; }
+  .known { background: #fef9c3; color: #854d0e; }
+  .flaky { background: #f3e8ff; color: #6b21a8; }
+  .na { color: #9ca3af; }
+  .warning { background: #fef9c3; border-left: 4px solid #eab308; padding: 8px 12px; margin: 4px 0; }
+  .detail { border: 1px solid #e5e7eb; border-radius: 6px; padding: 12px; margin: 12px 0; display: flex; gap: 16px; }
+  .detail ul { margin: 6px 0 0; padding-left: 18px; }
+  .detail img { width: 240px; border: 1px solid #d1d5db; }
+  .muted { color: #6b7280; }
+`;
+
+/**
+ * Renders the run as a single HTML document with no external assets: run
+ * metadata, geo-mismatch warnings, the URL × test matrix (cell tooltips carry
+ * error_details) and a details card per failing URL with its errors and an
+ * embedded screenshot thumbnail linking to the full screenshot.
+ *
+ * @param {Object} run - { results, allTestIds, summary } as passed to every reporter.
+ * @returns {string} HTML document.
+ */
+export function renderHtml({ results, allTestIds, summary }) {
+  const titles = Object.fromEntries((summary.testCases || []).map(tc => [tc.id, tc.title]));
+  const usedTestIds = allTestIds.filter(id => results.some(row => row[id] && row[id] !== 'NA'));
+  const title = `${summary.crawlName || 'QA Run'} ${summary.runId || ''}`.trim();
+
+  const meta = [
+    ['Run ID', summary.runId],
+    ['Date', summary.date],
+    ['Initiated by', summary.initiatedBy],
+    ['Environment', summary.environment],
+    ['Total URLs', summary.totalUrls],
+  ].map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('');
+
+  const counts = [
+    ['pass', 'Passed', summary.successCount],
+    ['fail', 'Failed', summary.failureCount],
+    ['known', 'Known Issues', summary.knownIssueCount],
+    ['flaky', 'Flaky', summary.flakyCount],
+    ['na', 'N/A', summary.naCount],
+  ].map(([cls, label, value]) => `<span class="${cls}">${label}: ${value || 0}</span>`).join('');
+
+  const warnings = results
+    .filter(row => row.geoMismatch)
+    .map(row => `<div class="warning"><strong>[GEO-MISMATCH]</strong> ${escapeHtml(row.url)}: ${escapeHtml(row.geoMismatch)}</div>`)
+    .join('\n');
+
+  // Browser and device columns once any row ran outside plain Chromium (browser matrix, device profiles)
+  const showVariant = results.some(row => variantLabel(row));
+  const header = ['URL', 'Region', ...(showVariant ? ['Browser', 'Device'] : []), ...usedTestIds.map(id => `<span title="${escapeHtml(titles[id] || id)}">${escapeHtml(id)}</span>`), 'Page', 'HTTP']
+    .map(cell => `<th>${cell}</th>`).join('');
+  const rows = results.map(row => {
+    const cells = usedTestIds.map(id => {
+      const status = row[id] || 'NA';
+      const tooltip = row.errorDetails?.[id] || (status === 'Flaky' ? `Passed on attempt ${row.attempts?.[id] || 2}` : '');
+      return `<td class="${STATUS_CLASS[status] || ''}"${tooltip ? ` title="${escapeHtml(tooltip)}"` : ''}>${escapeHtml(status)}</td>`;
+    }).join('');
+    const page = row['Page Pass?'];
+    return `<tr><td class="url"><a href="${escapeHtml(row.url)}">${escapeHtml(row.url)}</a></td><td>${escapeHtml(row.region)}</td>` +
+      `${showVariant ? `<td>${escapeHtml(row.browser)}</td><td>${escapeHtml(row.device)}</td>` : ''}${cells}` +
+      `<td class="${STATUS_CLASS[page] || ''}">${escapeHtml(page)}</td><td>${escapeHtml(row['HTTP Status'])}</td></tr>`;
+  }).join('\n');
+
+  const details = results
+    .filter(row => usedTestIds.some(id => ['Fail', 'Known Issue', 'Flaky'].includes(row[id])))
+    .map(row => {
+      const items = usedTestIds
+        .filter(id => ['Fail', 'Known Issue', 'Flaky'].includes(row[id]))
+        .map(id => {
+          const note = row[id] === 'Flaky' ? `passed on attempt ${row.attempts?.[id] || 2}` : row.errorDetails?.[id] || '';
+          return `<li><span class="${STATUS_CLASS[row[id]]}">${escapeHtml(id)} ${escapeHtml(row[id])}</span> ${escapeHtml(titles[id] || '')}` +
+            `${note ? ` — <span class="muted">${escapeHtml(note)}</span>` : ''}</li>`;
+        }).join('');
+      const thumbnail = row.thumbnail
+        ? `<a href="${escapeHtml(row.screenshotUrl || row.thumbnail)}"><img src="${escapeHtml(row.thumbnail)}" alt="Screenshot of ${escapeHtml(row.url)}"></a>`
+        : '';
+      const links = [
+        row.screenshotUrl && `<a href="${escapeHtml(row.screenshotUrl)}">Full screenshot</a>`,
+        row.videoUrl && `<a href="${escapeHtml(row.videoUrl)}">Video</a>`,
+      ].filter(Boolean).join(' · ');
+      const variant = variantLabel(row);
+      return `<div class="detail">${thumbnail}<div><strong>${escapeHtml(row.url)}</strong>${variant ? ` <span class="muted">(${escapeHtml(variant)})</span>` : ''}` +
+        `<div class="muted">HTTP ${escapeHtml(row['HTTP Status'])}${links ? ` · ${links}` : ''}</div><ul>${items}</ul></div></div>`;
+    }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<dl class="meta">${meta}</dl>
+<div class="counts">${counts}</div>
+${warnings ? `<h2>Geo-mismatch warnings</h2>\n${warnings}` : ''}
+<h2>Results</h2>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+${details ? `<h2>Failures and known issues</h2>\n${details}` : ''}
+</body>
+</html>
+`;
+}
+
+// Write the HTML report to outputFile
+export async function writeHtmlReport(outputFile, run) {
+  fs.writeFileSync(outputFile, renderHtml(run));
+}
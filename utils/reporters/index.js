@@ -0,0 +1,43 @@
+// Reporter registry: every output format the CLI can write for a run
+import { writeExcelReport } from './excel.js';
+import { writeJUnitReport } from './junit.js';
+import { writeTapReport } from './tap.js';
+import { writeHtmlReport } from './html.js';
+
+/**
+ * Each reporter takes the same run object — { results, allTestIds, summary }
+ * from runSuite — and writes one file. `extension` names that file next to the
+ * CLI's output path (results-123.xlsx → results-123.xml, results-123.tap, results-123.html).
+ */
+export const REPORTERS = {
+  excel: { extension: '.xlsx', write: writeExcelReport },
+  junit: { extension: '.xml', write: writeJUnitReport },
+  tap: { extension: '.tap', write: writeTapReport },
+  html: { extension: '.html', write: writeHtmlReport },
+};
+
+export const DEFAULT_REPORTERS = ['excel', 'html'];
+
+/**
+ * Writes the run with each named reporter.
+ *
+ * @param {string[]} names - Reporter names, e.g. ['excel', 'junit'].
+ * @param {string} outputFile - Output path; its extension is swapped per reporter.
+ * @param {Object} run - { results, allTestIds, summary }.
+ * @returns {Promise<string[]>} Paths written.
+ */
+export async function writeReports(names, outputFile, run) {
+  const unknown = names.filter(name => !REPORTERS[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown reporter(s) ${unknown.join(', ')} (expected: ${Object.keys(REPORTERS).join(', ')})`);
+  }
+  const base = outputFile.replace(/\.[^./\\]+$/, '');
+  const written = [];
+  for (const name of names) {
+    const { extension, write } = REPORTERS[name];
+    const file = `${base}${extension}`;
+    await write(file, run);
+    written.push(file);
+  }
+  return written;
+}
@@ -0,0 +1,112 @@
+// JUnit XML reporter: one <testsuite> per URL, one <testcase> per URL × test ID
+import fs from 'fs';
+import { variantLabel } from '../browsers.js';
+import { pageErrorOf } from './page-error.js';
+
+const escapeXml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Characters XML 1.0 cannot carry at all (control chars from page text)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+/**
+ * Renders the run as JUnit XML. Only tests assigned to a URL are emitted:
+ * Fail → <failure> with error_details as the message, Known Issue → <skipped>,
+ * Pass/Flaky → passing testcase (Flaky carries its attempt count as a property).
+ * A URL that never ran its tests (invalid URL, per-URL timeout) gets one "Page"
+ * testcase with an <error>, so CI does not count it as passed.
+ * Failure screenshots/videos are listed as [[ATTACHMENT|url]] lines in
+ * <system-out>, which Jenkins and GitLab pick up as attachments. Rows from other
+ * browsers or device profiles carry a `[webkit, iphone-13]` suffix on the suite
+ * name and classname, so CI tools do not merge them with the Chromium row's.
+ *
+ * @param {Object} run - { results, allTestIds, summary } as passed to every reporter.
+ * @returns {string} XML document.
+ */
+export function renderJUnit({ results, allTestIds, summary }) {
+  const titles = Object.fromEntries((summary.testCases || []).map(tc => [tc.id, tc.title]));
+  const suites = [];
+  let totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+
+  for (const row of results) {
+    const variant = variantLabel(row);
+    const suiteName = variant ? `${row.url} [${variant}]` : row.url;
+    const cases = [];
+    const counts = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+    const attachments = [row.screenshotUrl, row.videoUrl].filter(Boolean);
+
+    for (const id of allTestIds) {
+      const status = row[id];
+      if (!status || status === 'NA') continue;
+      counts.tests++;
+      const name = titles[id] ? `${id} ${titles[id]}` : id;
+      const message = row.errorDetails?.[id] || '';
+      const lines = [`    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(name)}">`];
+      if (status === 'Fail') {
+        counts.failures++;
+        lines.push(`      <failure message="${escapeXml(message || 'Test failed')}">${escapeXml(message)}</failure>`);
+        if (attachments.length) {
+          lines.push(`      <system-out>${attachments.map(url => `[[ATTACHMENT|${escapeXml(url)}]]`).join('\n')}</system-out>`);
+        }
+      } else if (status === 'Known Issue') {
+        counts.skipped++;
+        lines.push(`      <skipped message="${escapeXml(message || 'Known issue')}"/>`);
+      } else if (status === 'Flaky') {
+        lines.push('      <properties>');
+        lines.push(`        <property name="flaky" value="true"/>`);
+        lines.push(`        <property name="attempts" value="${row.attempts?.[id] || 2}"/>`);
+        lines.push('      </properties>');
+      }
+      lines.push('    </testcase>');
+      cases.push(lines.join('\n'));
+    }
+
+    const pageError = pageErrorOf(row, allTestIds);
+    if (pageError) {
+      counts.tests++;
+      counts.errors++;
+      cases.push([
+        `    <testcase classname="${escapeXml(suiteName)}" name="Page">`,
+        `      <error message="${escapeXml(pageError)}">${escapeXml(pageError)}</error>`,
+        '    </testcase>',
+      ].join('\n'));
+    }
+
+    if (!counts.tests) continue;
+    totals = {
+      tests: totals.tests + counts.tests,
+      failures: totals.failures + counts.failures,
+      errors: totals.errors + counts.errors,
+      skipped: totals.skipped + counts.skipped,
+    };
+    const properties = [
+      `      <property name="region" value="${escapeXml(row.region)}"/>`,
+      ...(row.browser ? [`      <property name="browser" value="${escapeXml(row.browser)}"/>`] : []),
+      ...(row.device ? [`      <property name="device" value="${escapeXml(row.device)}"/>`] : []),
+      `      <property name="http_status" value="${escapeXml(row['HTTP Status'])}"/>`,
+    ];
+    suites.push([
+      `  <testsuite name="${escapeXml(suiteName)}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}">`,
+      '    <properties>',
+      ...properties,
+      '    </properties>',
+      ...cases,
+      '  </testsuite>',
+    ].join('\n'));
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(summary.crawlName || 'QA Run')} ${escapeXml(summary.runId)}" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}" timestamp="${escapeXml(summary.date)}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+// Write the JUnit XML report to outputFile
+export async function writeJUnitReport(outputFile, run) {
+  fs.writeFileSync(outputFile, renderJUnit(run));
+}
@@ -0,0 +1,18 @@
+// Rows whose page never ran its tests (invalid URL, per-URL timeout or error), for the CI reporters
+
+/**
+ * Why a row has no test results although its page was meant to run: an invalid
+ * URL, or a per-URL timeout/error (`Page Pass?` Fail with every test still NA).
+ * The JUnit and TAP reporters emit a failing entry for it, so CI does not read
+ * an untested page as green.
+ *
+ * @param {Object} row - Result row from runSuite.
+ * @param {string[]} allTestIds
+ * @returns {string|null} The reason, or null when the row has results (or nothing failed).
+ */
+export function pageErrorOf(row, allTestIds) {
+  if (allTestIds.some(id => row[id] && row[id] !== 'NA')) return null;
+  if (row['HTTP Status'] === 'Invalid URL') return `Invalid URL: ${row.url}`;
+  if (row['Page Pass?'] === 'Fail') return `Page did not run its tests (HTTP Status: ${row['HTTP Status']})`;
+  return null;
+}
@@ -0,0 +1,68 @@
+// TAP version 13 reporter: one test point per URL × test ID
+import fs from 'fs';
+import { variantLabel } from '../browsers.js';
+import { pageErrorOf } from './page-error.js';
+
+// Single-line YAML scalar for a TAP diagnostic block
+const yamlString = value => JSON.stringify(String(value ?? ''));
+
+/**
+ * Renders the run as TAP 13. Fail → `not ok` with a YAML block (message,
+ * screenshot, video), Known Issue → `not ok ... # TODO`, Flaky → `ok` with its
+ * attempt count in the YAML block. Tests not assigned to a URL are omitted; a URL
+ * that never ran its tests (invalid URL, per-URL timeout) gets one `not ok` point.
+ * Rows from other browsers or device profiles get a `[webkit, iphone-13]` suffix.
+ *
+ * @param {Object} run - { results, allTestIds, summary } as passed to every reporter.
+ * @returns {string} TAP stream.
+ */
+export function renderTap({ results, allTestIds, summary }) {
+  const titles = Object.fromEntries((summary.testCases || []).map(tc => [tc.id, tc.title]));
+  const points = [];
+  let count = 0;
+
+  for (const row of results) {
+    const variant = variantLabel(row);
+    const pageError = pageErrorOf(row, allTestIds);
+    if (pageError) {
+      const description = `${row.url} Page${variant ? ` [${variant}]` : ''}`.replace(/#/g, '\\#');
+      points.push(`not ok ${++count} - ${description}`);
+      points.push('  ---', `  message: ${yamlString(pageError)}`, `  http_status: ${yamlString(row['HTTP Status'])}`, '  ...');
+    }
+    for (const id of allTestIds) {
+      const status = row[id];
+      if (!status || status === 'NA') continue;
+      const n = ++count;
+      const description = `${row.url} ${id}${titles[id] ? ` ${titles[id]}` : ''}${variant ? ` [${variant}]` : ''}`.replace(/#/g, '\\#');
+      const message = row.errorDetails?.[id] || '';
+      const yaml = [];
+
+      if (status === 'Fail') {
+        points.push(`not ok ${n} - ${description}`);
+        yaml.push(`message: ${yamlString(message || 'Test failed')}`);
+        if (row.screenshotUrl) yaml.push(`screenshot: ${yamlString(row.screenshotUrl)}`);
+        if (row.videoUrl) yaml.push(`video: ${yamlString(row.videoUrl)}`);
+      } else if (status === 'Known Issue') {
+        points.push(`not ok ${n} - ${description} # TODO Known Issue`);
+        if (message) yaml.push(`message: ${yamlString(message)}`);
+      } else if (status === 'Flaky') {
+        points.push(`ok ${n} - ${description}`);
+        yaml.push('flaky: true', `attempts: ${row.attempts?.[id] || 2}`);
+      } else {
+        points.push(`ok ${n} - ${description}`);
+      }
+
+      if (yaml.length) {
+        yaml.push(`http_status: ${yamlString(row['HTTP Status'])}`);
+        points.push('  ---', ...yaml.map(line => `  ${line}`), '  ...');
+      }
+    }
+  }
+
+  return ['TAP version 13', `# ${summary.crawlName || 'QA Run'} ${summary.runId}`, `1..${count}`, ...points, ''].join('\n');
+}
+
+// Write the TAP report to outputFile
+export async function writeTapReport(outputFile, run) {
+  fs.writeFileSync(outputFile, renderTap(run));
+}
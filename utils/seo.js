@@ -0,0 +1,100 @@
+// SEO metadata helpers for TC-22: length bounds, canonical checks, noindex and run-wide duplicates
+import { seoLengthBounds, nonProductionHostPatterns } from '../config.js';
+
+// Collapse whitespace so length checks count what a search result shows
+export function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// "title missing" / "title too long (84 > 70 chars)", or null when within bounds
+export function lengthProblem(label, text, { min, max }) {
+  const length = cleanText(text).length;
+  if (!length) return `${label} missing`;
+  if (length < min) return `${label} too short (${length} < ${min} chars)`;
+  if (length > max) return `${label} too long (${length} > ${max} chars)`;
+  return null;
+}
+
+// Host + path used to compare canonicals: lower-case host, no query/hash, no trailing slash
+export function canonicalKey(url) {
+  const { protocol, hostname, pathname } = new URL(url);
+  return `${protocol}//${hostname.toLowerCase()}${pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Problem with a page's canonical link, or null. The canonical must be an
+ * absolute http(s) URL that points at the page itself (query string and
+ * trailing slash ignored), or at `expected` when the input sheet supplies one.
+ *
+ * @param {string|null} canonical - href of link[rel=canonical] as written in the HTML.
+ * @param {string} pageUrl - URL the page ended up on.
+ * @param {string} [expected] - Expected canonical from the input sheet.
+ * @returns {string|null}
+ */
+export function canonicalProblem(canonical, pageUrl, expected = '') {
+  if (!canonical) return 'canonical missing';
+  if (!/^https?:\/\//i.test(canonical.trim())) return `canonical is not absolute (${canonical})`;
+  const target = expected || pageUrl;
+  try {
+    if (canonicalKey(canonical.trim()) !== canonicalKey(target)) {
+      return expected
+        ? `canonical ${canonical} does not match expected ${expected}`
+        : `canonical ${canonical} does not point at the page`;
+    }
+  } catch {
+    return `canonical is not a valid URL (${canonical})`;
+  }
+  return null;
+}
+
+// True for staging/preview hosts, where noindex is expected (config.js nonProductionHostPatterns)
+export function isNonProductionHost(hostname, patterns = nonProductionHostPatterns) {
+  return patterns.some(pattern => pattern.test(`${hostname}.`));
+}
+
+// True when any meta robots/googlebot content or X-Robots-Tag header value contains noindex
+export function hasNoindex(directives) {
+  return directives.some(value => /(?:^|[\s,])(?:noindex|none)(?:$|[\s,])/i.test(value || ''));
+}
+
+/**
+ * Per-page SEO problems for TC-22.
+ *
+ * @param {Object} meta - { title, description, canonical, robots: string[], h1Count } read from the page.
+ * @param {Object} ctx - { pageUrl, expectedCanonical }.
+ * @param {Object} [bounds] - Length bounds (defaults to config.js seoLengthBounds).
+ * @returns {string[]}
+ */
+export function seoProblems(meta, { pageUrl, expectedCanonical = '' }, bounds = seoLengthBounds) {
+  const problems = [
+    lengthProblem('title', meta.title, bounds.title),
+    lengthProblem('meta description', meta.description, bounds.description),
+    canonicalProblem(meta.canonical, pageUrl, expectedCanonical),
+  ];
+  if (hasNoindex(meta.robots) && !isNonProductionHost(new URL(pageUrl).hostname)) {
+    problems.push('noindex on a production page');
+  }
+  if (meta.h1Count !== 1) problems.push(`expected one <h1>, found ${meta.h1Count}`);
+  return problems.filter(Boolean);
+}
+
+/**
+ * Values of `field` shared by more than one distinct URL in the run, e.g.
+ * titles reused across pages. Empty values are ignored (reported per page).
+ *
+ * @param {Array<{ url: string, details: Object }>} entries - afterRun entries.
+ * @param {string} field - 'title' or 'description'.
+ * @returns {Map<string, string[]>} Value -> distinct URLs using it.
+ */
+export function findDuplicates(entries, field) {
+  const urlsByValue = new Map();
+  for (const { url, details } of entries) {
+    const value = cleanText(details[field]);
+    if (!value) continue;
+    if (!urlsByValue.has(value)) urlsByValue.set(value, new Set());
+    urlsByValue.get(value).add(url);
+  }
+  return new Map([...urlsByValue]
+    .filter(([, urls]) => urls.size > 1)
+    .map(([value, urls]) => [value, [...urls]]));
+}
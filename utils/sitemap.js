@@ -0,0 +1,154 @@
+// Sitemap discovery for /api/trigger-crawl: expand sitemap(s) into URL rows filtered by path and region
+import zlib from 'zlib';
+import { sitemapTestIdRules } from '../config.js';
+import { pathLocale } from './hreflang.js';
+
+export const DEFAULT_MAX_URLS = 500;
+const MAX_SITEMAPS = 50;
+// Whole discovery, however many sitemaps an index lists, so /api/trigger-crawl answers in time
+export const DISCOVERY_TIMEOUT_MS = 20000;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Text of a <loc>, with CDATA unwrapped and the XML entities decoded
+function locText(raw) {
+  return raw
+    .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name])
+    .trim();
+}
+
+/**
+ * Reads a sitemap or sitemap index. Namespace prefixes are ignored, so
+ * `<sm:loc>` works as well as `<loc>`.
+ *
+ * @param {string} xml
+ * @returns {{ type: 'urlset'|'sitemapindex', locs: string[] }}
+ */
+export function parseSitemap(xml) {
+  const type = /<(?:\w+:)?sitemapindex[\s>]/i.test(xml) ? 'sitemapindex' : 'urlset';
+  if (type === 'urlset' && !/<(?:\w+:)?urlset[\s>]/i.test(xml)) {
+    throw new Error('Not a sitemap (no <urlset> or <sitemapindex>)');
+  }
+  const entry = type === 'sitemapindex' ? 'sitemap' : 'url';
+  const entryPattern = new RegExp(`<(?:\\w+:)?${entry}[\\s>][\\s\\S]*?</(?:\\w+:)?${entry}>`, 'gi');
+  const locs = (xml.match(entryPattern) || [])
+    .map(block => block.match(/<(?:\w+:)?loc>([\s\S]*?)<\/(?:\w+:)?loc>/i))
+    .filter(Boolean)
+    .map(match => locText(match[1]))
+    .filter(Boolean);
+  return { type, locs };
+}
+
+// Sitemap body as text, gunzipping .xml.gz responses
+async function fetchSitemap(url, fetchImpl, signal) {
+  const response = await fetchImpl(url, { signal });
+  if (!response.ok) throw new Error(`Sitemap ${url} returned HTTP ${response.status}`);
+  const body = Buffer.from(await response.arrayBuffer());
+  return body[0] === 0x1f && body[1] === 0x8b ? zlib.gunzipSync(body).toString('utf8') : body.toString('utf8');
+}
+
+/**
+ * Expands a sitemap into page URLs, following sitemap indexes (at most 50
+ * sitemaps; each fetched once). Start from a URL or from the XML of an
+ * uploaded file; an uploaded index still fetches its child sitemaps. All
+ * fetches share one deadline.
+ *
+ * @param {Object} source
+ * @param {string} [source.url] - sitemap.xml / sitemap index URL.
+ * @param {string} [source.xml] - Sitemap contents.
+ * @param {number} [source.timeoutMs] - Deadline for the whole expansion.
+ * @param {Function} [source.fetchImpl] - fetch implementation (for tests).
+ * @returns {Promise<string[]>} Distinct page URLs in sitemap order.
+ * @throws {Error} When a sitemap cannot be read or the deadline passes.
+ */
+export async function expandSitemap({ url, xml, timeoutMs = DISCOVERY_TIMEOUT_MS, fetchImpl = fetch }) {
+  const urls = new Set();
+  const seen = new Set();
+  const deadline = AbortSignal.timeout(timeoutMs);
+  const overDeadline = () => new Error(`Sitemap discovery did not finish within ${timeoutMs / 1000}s (${fetched} sitemap(s) requested)`);
+  let fetched = 0;
+
+  async function visit(sitemapUrl, content) {
+    if (sitemapUrl) {
+      if (seen.has(sitemapUrl)) return;
+      seen.add(sitemapUrl);
+    }
+    if (content === undefined) {
+      if (++fetched > MAX_SITEMAPS) throw new Error(`Sitemap index lists more than ${MAX_SITEMAPS} sitemaps`);
+      if (deadline.aborted) throw overDeadline();
+      content = await fetchSitemap(sitemapUrl, fetchImpl, deadline).catch(error => {
+        throw deadline.aborted ? overDeadline() : error;
+      });
+    }
+    const { type, locs } = parseSitemap(content);
+    if (type === 'urlset') {
+      locs.forEach(loc => urls.add(loc));
+      return;
+    }
+    for (const loc of locs) await visit(loc);
+  }
+
+  if (xml) await visit(url, xml);
+  else if (url) await visit(url);
+  else throw new Error('A sitemap URL or sitemap contents are required');
+  return [...urls];
+}
+
+// Path glob to RegExp: `**` matches anything, `*` one path segment; a pattern ending in `/**` also matches its base path
+export function globToRegExp(glob) {
+  const source = glob
+    .split('**')
+    .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+    .join('.*')
+    .replace(/\/\.\*$/, '(?:/.*)?');
+  return new RegExp(`^${source}/?$`, 'i');
+}
+
+// True when the URL's path matches any of the globs
+function matchesAny(url, globs) {
+  const { pathname } = new URL(url);
+  return globs.some(glob => globToRegExp(glob).test(pathname));
+}
+
+/**
+ * Turns discovered URLs into trigger-crawl rows: keeps URLs under the region
+ * prefix (e.g. "de-de" → /de-de/...) that match an include glob (all when none
+ * are given) and no exclude glob, caps the list at `maxUrls`, and assigns test
+ * IDs from the first matching rule (an empty list runs the default tests).
+ *
+ * @param {string[]} urls
+ * @param {Object} [filters]
+ * @param {string[]} [filters.include] - Path globs to keep, e.g. "/de-de/products/**".
+ * @param {string[]} [filters.exclude] - Path globs to drop.
+ * @param {string} [filters.region] - Region prefix; also the rows' Region (otherwise taken from the path).
+ * @param {Array<{ pattern: string, testIds: string[] }>} [filters.testIdRules] - Defaults to config.js sitemapTestIdRules.
+ * @param {number} [filters.maxUrls]
+ * @returns {Array<{ url: string, testIds: string, region: string }>}
+ */
+export function selectSitemapUrls(urls, {
+  include = [],
+  exclude = [],
+  region = '',
+  testIdRules = sitemapTestIdRules,
+  maxUrls = DEFAULT_MAX_URLS,
+} = {}) {
+  const prefix = region.toLowerCase().replace(/^\/|\/$/g, '');
+  return urls
+    .filter(url => {
+      try {
+        new URL(url);
+      } catch {
+        return false;
+      }
+      if (prefix && !matchesAny(url, [`/${prefix}/**`])) return false;
+      if (include.length && !matchesAny(url, include)) return false;
+      return !matchesAny(url, exclude);
+    })
+    .slice(0, maxUrls)
+    .map(url => ({
+      url,
+      testIds: (testIdRules.find(rule => matchesAny(url, [rule.pattern]))?.testIds || []).join(','),
+      region: prefix || pathLocale(url) || '',
+    }));
+}
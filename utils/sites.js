@@ -0,0 +1,43 @@
+// Site profiles: the selectors and URL patterns the built-in tests use, per brand site (config.js `siteProfiles`)
+import { siteProfiles, defaultSite } from '../config.js';
+import { hostOf } from './worker-pool.js';
+
+// True when a hostname matches a profile host: an exact name, or "*.example.com" for any subdomain
+export function hostMatches(host, pattern) {
+  const name = pattern.toLowerCase();
+  if (name.startsWith('*.')) return host.endsWith(name.slice(1));
+  return host === name;
+}
+
+/**
+ * Resolves the site profile for a URL row: the Site column when set, else the
+ * first profile whose `hosts` match the URL's hostname, else `defaultSite`.
+ * Nested groups (e.g. `video`, `contact`) are merged field by field over the
+ * default site's, so a profile only lists what differs.
+ *
+ * @param {string} site - The row's Site value (may be empty).
+ * @param {string} url - The row's URL.
+ * @param {Object} [profiles] - Profiles by site key (defaults to config.js `siteProfiles`).
+ * @returns {Object} The profile, with its `key`.
+ * @throws {Error} When the Site column names no profile.
+ */
+export function resolveSiteProfile(site, url, profiles = siteProfiles) {
+  const fromColumn = String(site || '').trim().toLowerCase();
+  let key = defaultSite;
+  if (fromColumn) {
+    if (!profiles[fromColumn]) {
+      throw new Error(`Unknown site profile "${site}". Available: ${Object.keys(profiles).join(', ')}`);
+    }
+    key = fromColumn;
+  } else {
+    const host = hostOf(url);
+    key = Object.keys(profiles).find(name => (profiles[name].hosts || []).some(pattern => hostMatches(host, pattern))) || defaultSite;
+  }
+  const base = profiles[defaultSite] || {};
+  const profile = { key, ...base };
+  for (const [field, value] of Object.entries(profiles[key] || {})) {
+    const plainObject = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+    profile[field] = plainObject ? { ...base[field], ...value } : value;
+  }
+  return profile;
+}
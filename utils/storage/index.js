@@ -0,0 +1,28 @@
+// Selects the run storage backend (Supabase or local JSON files) from config
+import { createSupabaseStorage } from './supabase.js';
+import { createLocalStorage } from './local.js';
+
+export const STORAGE_BACKENDS = ['supabase', 'local'];
+
+/**
+ * Creates the storage sink passed to runSuite as `sinks.storage`.
+ *
+ * Every backend implements the same async methods:
+ * createRun, startProgress, updateProgress, completeProgress, resumeProgress,
+ * insertTestResult, updateTestResult, insertMetrics, attachMedia,
+ * discardTestResults, saveCheckpoint and loadCheckpoint.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.backend] - 'supabase' or 'local' (defaults to QA_STORAGE, then 'supabase').
+ * @returns {Object} Storage sink.
+ */
+export function createStorage({ backend = process.env.QA_STORAGE || 'supabase', ...backendConfig } = {}) {
+  switch (backend) {
+    case 'supabase':
+      return createSupabaseStorage(backendConfig);
+    case 'local':
+      return createLocalStorage(backendConfig);
+    default:
+      throw new Error(`Unknown storage backend "${backend}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+  }
+}
@@ -0,0 +1,176 @@
+// Local JSON-file run storage: mirrors the Supabase tables on disk for offline runs
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../logger.js';
+import { DEFAULT_BROWSER } from '../browsers.js';
+
+const TABLES = ['test_runs', 'test_results', 'crawl_progress', 'url_checkpoints', 'page_metrics'];
+
+/**
+ * Creates a storage sink that keeps test_runs, test_results, crawl_progress,
+ * url_checkpoints and page_metrics as JSON arrays in `<dir>/<table>.json`, using the same column names as the
+ * Supabase tables. Writes are synchronous so concurrent URLs in one run never
+ * interleave a read-modify-write.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.dir] - Data directory (defaults to QA_LOCAL_STORAGE_DIR or qa-data).
+ * @returns {Object} Storage sink.
+ */
+export function createLocalStorage({ dir = process.env.QA_LOCAL_STORAGE_DIR || 'qa-data' } = {}) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  logger.info(`Using local storage in ${path.resolve(dir)}`);
+
+  const tableFile = table => path.join(dir, `${table}.json`);
+  const read = table => {
+    const file = tableFile(table);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+  };
+  const write = (table, rows) => fs.writeFileSync(tableFile(table), JSON.stringify(rows, null, 2));
+  const insert = (table, record) => {
+    const rows = read(table);
+    rows.push({ id: rows.length ? rows[rows.length - 1].id + 1 : 1, ...record });
+    write(table, rows);
+  };
+  const remove = (table, match) => write(table, read(table).filter(row => !match(row)));
+  const update = (table, match, changes) => {
+    const rows = read(table);
+    let updated = 0;
+    for (const row of rows) {
+      if (match(row)) {
+        Object.assign(row, changes);
+        updated++;
+      }
+    }
+    write(table, rows);
+    return updated;
+  };
+  // Browser-matrix runs key rows by browser (rows without one were written by Chromium), and
+  // device-profile runs by device, where null is the row's own run without a profile
+  const sameVariant = (row, { browser, device }) =>
+    (!browser || (row.browser || DEFAULT_BROWSER) === browser) &&
+    (device === undefined || (row.device || null) === device);
+  TABLES.forEach(table => { if (!fs.existsSync(tableFile(table))) write(table, []); });
+
+  return {
+    name: 'local',
+
+    // Read back a table, e.g. for tests or ad-hoc inspection
+    select(table, match = () => true) {
+      return read(table).filter(match);
+    },
+
+    async createRun({ runId, initiatedBy, environment, note = 'QA test run initiated via script' }) {
+      insert('test_runs', {
+        run_id: runId,
+        initiated_by: initiatedBy,
+        note,
+        environment,
+        created_at: new Date().toISOString()
+      });
+    },
+
+    async startProgress({ runId, totalUrls, startedAt, environment }) {
+      insert('crawl_progress', {
+        run_id: runId,
+        total_urls: totalUrls,
+        urls_completed: 0,
+        started_at: startedAt,
+        status: 'running',
+        status_summary: 'Your test has started.',
+        estimated_done: null,
+        environment,
+        created_at: new Date().toISOString()
+      });
+    },
+
+    async updateProgress({ runId, completed, estimatedDone, statusSummary, totalUrls }) {
+      update('crawl_progress', row => row.run_id === runId, {
+        urls_completed: completed,
+        estimated_done: estimatedDone,
+        status_summary: statusSummary,
+        ...(totalUrls !== undefined && { total_urls: totalUrls })
+      });
+    },
+
+    async completeProgress({ runId }) {
+      update('crawl_progress', row => row.run_id === runId, {
+        status: 'completed',
+        estimated_done: new Date().toISOString(),
+        status_summary: 'Your test is complete. Finalizing results.'
+      });
+    },
+
+    async resumeProgress({ runId, completed }) {
+      update('crawl_progress', row => row.run_id === runId, {
+        urls_completed: completed,
+        status: 'running',
+        status_summary: 'Your test has resumed.'
+      });
+    },
+
+    async insertTestResult({ runId, url, region, testId, result, errorDetails, screenshotUrl, videoUrl, attempts = 1, details = null, environment, browser, device }) {
+      insert('test_results', {
+        run_id: runId,
+        url,
+        region_code: region,
+        ...(browser && { browser }),
+        ...(device && { device }),
+        test_id: testId,
+        result,
+        error_details: errorDetails,
+        screenshot_path: screenshotUrl,
+        video_path: videoUrl,
+        attempts,
+        details,
+        environment,
+        timestamp: new Date().toISOString()
+      });
+    },
+
+    async updateTestResult({ runId, url, testId, result, errorDetails, browser, device }) {
+      update('test_results', row => row.run_id === runId && row.url === url && row.test_id === testId && sameVariant(row, { browser, device }), {
+        result,
+        error_details: errorDetails
+      });
+    },
+
+    async insertMetrics({ runId, url, region, testId, metrics, environment, browser, device }) {
+      const createdAt = new Date().toISOString();
+      for (const [metric, value] of Object.entries(metrics)) {
+        if (value === null || value === undefined) continue;
+        insert('page_metrics', { run_id: runId, url, region_code: region, ...(browser && { browser }), ...(device && { device }), test_id: testId, metric, value, environment, created_at: createdAt });
+      }
+    },
+
+    async attachMedia({ runId, url, testIds, screenshotUrl, videoUrl, browser, device }) {
+      update('test_results', row => row.run_id === runId && row.url === url && testIds.includes(row.test_id) && sameVariant(row, { browser, device }), {
+        screenshot_path: screenshotUrl,
+        video_path: videoUrl
+      });
+    },
+
+    async discardTestResults({ runId, urls, browser, device }) {
+      remove('test_results', row => row.run_id === runId && urls.includes(row.url) && sameVariant(row, { browser, device }));
+      remove('page_metrics', row => row.run_id === runId && urls.includes(row.url) && sameVariant(row, { browser, device }));
+    },
+
+    async saveCheckpoint({ runId, index, url, row, screenshotUrl, videoUrl }) {
+      remove('url_checkpoints', r => r.run_id === runId && r.url_index === index);
+      insert('url_checkpoints', {
+        run_id: runId,
+        url_index: index,
+        url,
+        result_row: row,
+        screenshot_url: screenshotUrl,
+        video_url: videoUrl,
+        completed_at: new Date().toISOString()
+      });
+    },
+
+    async loadCheckpoint(runId) {
+      return read('url_checkpoints')
+        .filter(r => r.run_id === runId)
+        .map(r => ({ index: r.url_index, url: r.url, row: r.result_row, screenshotUrl: r.screenshot_url, videoUrl: r.video_url }));
+    },
+  };
+}
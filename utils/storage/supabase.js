@@ -0,0 +1,213 @@
+// Supabase-backed run storage: test_runs, test_results, crawl_progress and url_checkpoints
+import { createClient } from '@supabase/supabase-js';
+import { logger } from '../logger.js';
+
+/**
+ * Creates the storage sink used by runSuite to persist runs in Supabase.
+ * Write errors are logged rather than thrown so one bad row does not stop a
+ * run; only a failure to create the run itself is fatal.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.url] - Supabase project URL (defaults to SUPABASE_URL).
+ * @param {string} [config.key] - Service-role key (defaults to SUPABASE_SERVICE_ROLE_KEY).
+ * @returns {Object} Storage sink.
+ */
+export function createSupabaseStorage({
+  url = process.env.SUPABASE_URL,
+  key = process.env.SUPABASE_SERVICE_ROLE_KEY,
+} = {}) {
+  if (!url || !key) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required for Supabase storage');
+  }
+  const supabase = createClient(url, key);
+
+  // Narrow a query to one browser and device of a matrix run; device null is the row's own run
+  const forVariant = (query, { browser, device }) => {
+    if (browser) query = query.eq('browser', browser);
+    if (device !== undefined) query = device ? query.eq('device', device) : query.is('device', null);
+    return query;
+  };
+  logger.info(`[ENV DEBUG] Supabase URL: ${url}`);
+
+  return {
+    name: 'supabase',
+
+    // Create the test_runs row; throws so the runner stops if it cannot be recorded
+    async createRun({ runId, initiatedBy, environment, note = 'QA test run initiated via script' }) {
+      // Test minimal insert into test_results to verify nullable field handling
+      logger.info('Testing minimal insert into test_results...');
+      const { error: minimalInsertError } = await supabase
+        .from('test_results')
+        .insert({ url: 'https://example.com', environment: 'production' });
+      if (minimalInsertError) {
+        logger.error('Minimal insert failed:', JSON.stringify(minimalInsertError, null, 2));
+      } else {
+        logger.info('Minimal insert succeeded.');
+      }
+
+      logger.info(`Attempting to insert test run with run_id: ${runId}, initiated_by: ${initiatedBy}, environment: ${environment}`);
+      const { error } = await supabase
+        .from('test_runs')
+        .insert({ run_id: runId, initiated_by: initiatedBy, note, environment });
+      if (error) {
+        logger.error('Supabase insert error:', JSON.stringify(error, null, 2));
+        throw new Error(`Failed to create test run ${runId}: ${error.message}`);
+      }
+    },
+
+    async startProgress({ runId, totalUrls, startedAt, environment }) {
+      const { error } = await supabase
+        .from('crawl_progress')
+        .insert({
+          run_id: runId,
+          total_urls: totalUrls,
+          urls_completed: 0,
+          started_at: startedAt,
+          status: 'running',
+          status_summary: 'Your test has started.',
+          environment
+        });
+      if (error) logger.error('Error creating crawl progress:', JSON.stringify(error, null, 2));
+    },
+
+    // totalUrls is only sent in crawl mode, where the frontier keeps growing
+    async updateProgress({ runId, completed, estimatedDone, statusSummary, totalUrls }) {
+      const { error } = await supabase
+        .from('crawl_progress')
+        .update({
+          urls_completed: completed,
+          estimated_done: estimatedDone,
+          status_summary: statusSummary,
+          ...(totalUrls !== undefined && { total_urls: totalUrls })
+        })
+        .eq('run_id', runId);
+      if (error) logger.error('Error updating crawl progress:', JSON.stringify(error, null, 2));
+    },
+
+    async completeProgress({ runId }) {
+      const { error } = await supabase
+        .from('crawl_progress')
+        .update({
+          status: 'completed',
+          estimated_done: new Date().toISOString(),
+          status_summary: 'Your test is complete. Finalizing results.'
+        })
+        .eq('run_id', runId);
+      if (error) logger.error('Error completing crawl progress:', JSON.stringify(error, null, 2));
+    },
+
+    async resumeProgress({ runId, completed }) {
+      const { error } = await supabase
+        .from('crawl_progress')
+        .update({
+          urls_completed: completed,
+          status: 'running',
+          status_summary: 'Your test has resumed.'
+        })
+        .eq('run_id', runId);
+      if (error) logger.error('Error resuming crawl progress:', JSON.stringify(error, null, 2));
+    },
+
+    // attempts is only sent for retried checks; the column defaults to 1.
+    // browser is only sent for browser-matrix runs (the column defaults to chromium), device for device-profile rows
+    async insertTestResult({ runId, url, region, testId, result, errorDetails, screenshotUrl, videoUrl, attempts = 1, details = null, environment, browser, device }) {
+      const { error } = await supabase
+        .from('test_results')
+        .insert({
+          run_id: runId,
+          url,
+          region_code: region,
+          ...(browser && { browser }),
+          ...(device && { device }),
+          test_id: testId,
+          result,
+          error_details: errorDetails,
+          screenshot_path: screenshotUrl,
+          video_path: videoUrl,
+          ...(attempts > 1 && { attempts }),
+          ...(details && { details }),
+          environment
+        });
+      if (error) {
+        logger.error(`Error inserting test result for ${testId} on ${url}:`, JSON.stringify(error, null, 2));
+      }
+    },
+
+    // Replace a recorded result after a run-level check (see afterRun in utils/test-registry.js)
+    async updateTestResult({ runId, url, testId, result, errorDetails, browser, device }) {
+      const { error } = await forVariant(supabase
+        .from('test_results')
+        .update({ result, error_details: errorDetails })
+        .eq('run_id', runId)
+        .eq('url', url)
+        .eq('test_id', testId), { browser, device });
+      if (error) logger.error(`Error updating test result for ${testId} on ${url}:`, JSON.stringify(error, null, 2));
+    },
+
+    // Record numeric page metrics (e.g. TC-21 web vitals), one page_metrics row per metric for trending
+    async insertMetrics({ runId, url, region, testId, metrics, environment, browser, device }) {
+      const rows = Object.entries(metrics)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([metric, value]) => ({ run_id: runId, url, region_code: region, ...(browser && { browser }), ...(device && { device }), test_id: testId, metric, value, environment }));
+      if (!rows.length) return;
+      const { error } = await supabase.from('page_metrics').insert(rows);
+      if (error) logger.error(`Error inserting page metrics for ${url}:`, JSON.stringify(error, null, 2));
+    },
+
+    // Attach the failure screenshot/video to the failed test_results rows for a URL
+    async attachMedia({ runId, url, testIds, screenshotUrl, videoUrl, browser, device }) {
+      const { error } = await forVariant(supabase
+        .from('test_results')
+        .update({
+          screenshot_path: screenshotUrl,
+          video_path: videoUrl
+        })
+        .eq('run_id', runId)
+        .eq('url', url)
+        .in('test_id', testIds), { browser, device });
+      if (error) logger.error('Error updating test results with media URLs:', JSON.stringify(error, null, 2));
+    },
+
+    // Remove results written by URLs that are about to be re-run on resume
+    async discardTestResults({ runId, urls, browser, device }) {
+      const { error } = await forVariant(supabase
+        .from('test_results')
+        .delete()
+        .eq('run_id', runId)
+        .in('url', urls), { browser, device });
+      if (error) logger.error('Error discarding partial test results:', JSON.stringify(error, null, 2));
+      const { error: metricsError } = await forVariant(supabase
+        .from('page_metrics')
+        .delete()
+        .eq('run_id', runId)
+        .in('url', urls), { browser, device });
+      if (metricsError) logger.error('Error discarding partial page metrics:', JSON.stringify(metricsError, null, 2));
+    },
+
+    // Record a finished URL (its full result row) so the run can be resumed
+    async saveCheckpoint({ runId, index, url, row, screenshotUrl, videoUrl }) {
+      const { error } = await supabase
+        .from('url_checkpoints')
+        .upsert({
+          run_id: runId,
+          url_index: index,
+          url,
+          result_row: row,
+          screenshot_url: screenshotUrl,
+          video_url: videoUrl,
+          completed_at: new Date().toISOString()
+        }, { onConflict: 'run_id,url_index' });
+      if (error) logger.error(`Error saving checkpoint for ${url}:`, JSON.stringify(error, null, 2));
+    },
+
+    // Finished URLs of a run; throws because resuming without them would redo or lose work
+    async loadCheckpoint(runId) {
+      const { data, error } = await supabase
+        .from('url_checkpoints')
+        .select('url_index, url, result_row, screenshot_url, video_url')
+        .eq('run_id', runId);
+      if (error) throw new Error(`Failed to load checkpoint for ${runId}: ${error.message}`);
+      return data.map(r => ({ index: r.url_index, url: r.url, row: r.result_row, screenshotUrl: r.screenshot_url, videoUrl: r.video_url }));
+    },
+  };
+}
@@ -0,0 +1,144 @@
+// JSON-LD helpers for TC-24: parse blocks, flatten @graph nodes and check them against bundled schema.org shapes
+
+/**
+ * Bundled schema.org shapes, following the required properties of Google's rich
+ * result types. `required` properties must be present and non-empty; each
+ * `anyOf` group needs at least one of its properties; `nested` validates the
+ * values of a property against another shape (arrays item by item).
+ */
+export const SCHEMA_SHAPES = {
+  Product: {
+    required: ['name'],
+    anyOf: [['offers', 'review', 'aggregateRating']],
+    nested: { offers: 'Offer', aggregateRating: 'AggregateRating' },
+  },
+  Offer: {
+    required: ['priceCurrency'],
+    anyOf: [['price', 'priceSpecification']],
+  },
+  AggregateRating: {
+    required: ['ratingValue'],
+    anyOf: [['ratingCount', 'reviewCount']],
+  },
+  Organization: {
+    required: ['name', 'url'],
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    nested: { itemListElement: 'ListItem' },
+  },
+  ListItem: {
+    required: ['position', 'name'],
+  },
+  Article: {
+    required: ['headline', 'image', 'author', 'datePublished'],
+  },
+};
+
+// Subtypes validated with their parent's shape
+const TYPE_ALIASES = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  Corporation: 'Organization',
+  MedicalOrganization: 'Organization',
+  AggregateOffer: 'Offer',
+};
+
+// Shape name for a node's @type (a string or array; "https://schema.org/Product" allowed), or null
+export function shapeFor(type) {
+  for (const candidate of [].concat(type || [])) {
+    const name = String(candidate).replace(/^https?:\/\/schema\.org\//i, '');
+    const shape = TYPE_ALIASES[name] || name;
+    if (SCHEMA_SHAPES[shape]) return shape;
+  }
+  return null;
+}
+
+// Present and non-empty: not null/undefined, not a blank string, not an empty array
+function hasValue(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.some(hasValue);
+  return true;
+}
+
+/**
+ * Parses one script block's text. Returns its top-level nodes: the block
+ * itself, each entry of a top-level array, and each node of an @graph.
+ *
+ * @param {string} text
+ * @returns {{ nodes: Object[], error: string|null }}
+ */
+export function parseJsonLd(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { nodes: [], error: `invalid JSON (${err.message})` };
+  }
+  const nodes = [];
+  for (const item of [].concat(data)) {
+    if (!item || typeof item !== 'object') continue;
+    if (Array.isArray(item['@graph'])) nodes.push(...item['@graph'].filter(node => node && typeof node === 'object'));
+    if (item['@type']) nodes.push(item);
+  }
+  return { nodes, error: null };
+}
+
+/**
+ * Missing required properties of a node against its shape, including nested
+ * shapes, as paths such as "offers.priceCurrency" or
+ * "itemListElement[2].name". Nodes of types without a bundled shape give [].
+ *
+ * @param {Object} node
+ * @param {string} [shape] - Shape to check against (defaults to the node's @type).
+ * @param {string} [path] - Prefix for reported property paths.
+ * @returns {string[]}
+ */
+export function missingProperties(node, shape = shapeFor(node['@type']), path = '') {
+  const spec = SCHEMA_SHAPES[shape];
+  if (!spec || !node || typeof node !== 'object') return [];
+  const missing = [];
+  for (const property of spec.required || []) {
+    if (!hasValue(node[property])) missing.push(`${path}${property}`);
+  }
+  for (const group of spec.anyOf || []) {
+    if (!group.some(property => hasValue(node[property]))) missing.push(`${path}${group.join('|')}`);
+  }
+  for (const [property, nestedShape] of Object.entries(spec.nested || {})) {
+    const value = node[property];
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => missing.push(...missingProperties(item, nestedShape, `${path}${property}[${i}].`)));
+    } else if (value && typeof value === 'object') {
+      missing.push(...missingProperties(value, nestedShape, `${path}${property}.`));
+    }
+  }
+  return missing;
+}
+
+/**
+ * Validates every JSON-LD block of a page.
+ *
+ * @param {string[]} blocks - Text of each script[type="application/ld+json"].
+ * @returns {{ nodes: Array<{ block: number, type: string, missing: string[] }>, problems: string[] }}
+ */
+export function validateJsonLd(blocks) {
+  const nodes = [];
+  const problems = [];
+  blocks.forEach((text, i) => {
+    const block = i + 1;
+    const { nodes: parsed, error } = parseJsonLd(text);
+    if (error) {
+      problems.push(`block ${block}: ${error}`);
+      return;
+    }
+    for (const node of parsed) {
+      const shape = shapeFor(node['@type']);
+      const type = [].concat(node['@type']).join(',');
+      const missing = shape ? missingProperties(node, shape) : [];
+      nodes.push({ block, type, missing });
+      if (missing.length) problems.push(`block ${block} ${type}: missing ${missing.join(', ')}`);
+    }
+  });
+  return { nodes, problems };
+}
@@ -0,0 +1,80 @@
+// Discovers test-case modules (one per test ID) and indexes them for the runner
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Test-case modules live in test-cases/ at the repo root, found from this file so any working directory works
+export const TEST_CASES_DIR = fileURLToPath(new URL('../test-cases', import.meta.url));
+
+// Fallback per-test timeout when a module does not export its own
+export const DEFAULT_TEST_TIMEOUT = 10000;
+
+// Order test IDs by their numeric part so TC-100 sorts after TC-99
+function compareTestIds(a, b) {
+  const num = id => {
+    const match = id.match(/\d+/);
+    return match ? parseInt(match[0], 10) : 0;
+  };
+  return num(a) - num(b) || a.localeCompare(b);
+}
+
+/**
+ * Imports every .js module in `dir` and builds the test-case registry.
+ * Each module must export `id` and an async `run(page, ctx)`; `title`,
+ * `timeout`, `retries`, `requires` ({ incognito, viewport, landedPage,
+ * freshPage }), `optIn`, `perDevice`, `diagnose(page, ctx)` and
+ * `afterRun(entries, ctx)` are optional.
+ *
+ * Opt-in tests only run on rows that list them explicitly, so they are left out
+ * of `defaultTestIds`. `perDevice` tests run again in every device profile a
+ * row requests (see utils/devices.js). `landedPage` tests read the page's
+ * state, so the runner navigates back to the row's landed page first when an
+ * earlier test left it; `freshPage` tests (page-load measurements) run in a
+ * page of their own, opened and navigated for them.
+ *
+ * `afterRun` is called once every URL has run, with each URL's status and
+ * `details` for the test (for checks across pages, such as duplicate titles).
+ * It returns `[{ index, pass, knownIssue?, errorDetails }]` to replace results,
+ * or `{ amendments, summary }`: `amendments` in that same shape, and `summary`
+ * holding lists the runner adds to summary.json (e.g. TC-23's
+ * `hreflangClusters`), each item tagged with its browser and device.
+ *
+ * @param {string} [dir] - Directory containing the test-case modules.
+ * @returns {Promise<Object>} Registry with `allTestIds`, `defaultTestIds`, `get`, `has` and `list`.
+ */
+export async function loadTestRegistry(dir = TEST_CASES_DIR) {
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+  const testCases = new Map();
+
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(dir, file)).href);
+    if (!mod.id || typeof mod.run !== 'function') {
+      throw new Error(`Test case module ${file} must export an id and a run(page, ctx) function`);
+    }
+    if (testCases.has(mod.id)) {
+      throw new Error(`Duplicate test ID ${mod.id} in ${file} (already defined in ${testCases.get(mod.id).file})`);
+    }
+    testCases.set(mod.id, {
+      id: mod.id,
+      title: mod.title || mod.id,
+      timeout: mod.timeout || DEFAULT_TEST_TIMEOUT,
+      retries: mod.retries || 0,
+      requires: { incognito: false, viewport: 'desktop', landedPage: false, freshPage: false, ...mod.requires },
+      optIn: !!mod.optIn,
+      perDevice: !!mod.perDevice,
+      run: mod.run,
+      diagnose: typeof mod.diagnose === 'function' ? mod.diagnose : null,
+      afterRun: typeof mod.afterRun === 'function' ? mod.afterRun : null,
+      file,
+    });
+  }
+
+  const allTestIds = [...testCases.keys()].sort(compareTestIds);
+  return {
+    allTestIds,
+    defaultTestIds: allTestIds.filter(id => !testCases.get(id).optIn),
+    get: id => testCases.get(id),
+    has: id => testCases.has(id),
+    list: () => allTestIds.map(id => testCases.get(id)),
+  };
+}
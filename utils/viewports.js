@@ -0,0 +1,6 @@
+// Viewport sizes shared by the runner, the mobile-viewport tests and TC-17 visual regression
+export const DEFAULT_VIEWPORT = { width: 1920, height: 1080 };
+export const MOBILE_VIEWPORT = { width: 375, height: 667 };
+
+// Named viewports: a test's `requires.viewport`, and the sizes TC-17 screenshots each URL at
+export const VIEWPORTS = { desktop: DEFAULT_VIEWPORT, mobile: MOBILE_VIEWPORT };
@@ -0,0 +1,97 @@
+// Visual regression helpers: baseline keys and pixel diffs of PNG screenshots
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+import { DEFAULT_BROWSER } from './browsers.js';
+import { VIEWPORTS } from './viewports.js';
+
+// Share of differing pixels above which a screenshot fails (QA_VISUAL_THRESHOLD overrides)
+export const DEFAULT_DIFF_THRESHOLD = 0.01;
+
+// Per-pixel colour tolerance passed to pixelmatch (0 = exact, 1 = anything goes)
+const PIXEL_THRESHOLD = 0.1;
+
+// Artifact-store folders: approved baselines, and each run's current/diff images
+export const BASELINE_PREFIX = 'visual/baselines';
+export const RUNS_PREFIX = 'visual/runs';
+
+// Every URL is captured as these shots at these viewports (see test-cases/tc-17.js)
+export const VISUAL_SHOTS = ['full', 'hero'];
+export const VISUAL_VIEWPORTS = Object.keys(VIEWPORTS);
+
+// Diff ratio threshold from QA_VISUAL_THRESHOLD (0.02 or 2%), falling back to the default
+export function diffThreshold(value = process.env.QA_VISUAL_THRESHOLD) {
+  if (value === undefined || value === '') return DEFAULT_DIFF_THRESHOLD;
+  const parsed = String(value).trim().endsWith('%')
+    ? parseFloat(value) / 100
+    : parseFloat(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 1) {
+    throw new Error(`Invalid QA_VISUAL_THRESHOLD "${value}" (expected a ratio such as 0.01 or a percentage such as 1%)`);
+  }
+  return parsed;
+}
+
+/**
+ * Stable name for one screenshot of a URL, used for its baseline and per-run
+ * copies: host + path (query and hash dropped) + shot + viewport, e.g.
+ * www.gehealthcare.com_en-us_products--hero--mobile.png. Browsers other than
+ * Chromium render differently, so they get their own baselines
+ * (...--hero--mobile--firefox.png).
+ *
+ * @param {string} url
+ * @param {string} shot - 'full' or 'hero'.
+ * @param {string} viewport - 'desktop' or 'mobile'.
+ * @param {string} [browser='chromium']
+ * @returns {string}
+ */
+export function screenshotKey(url, shot, viewport, browser = DEFAULT_BROWSER) {
+  const { hostname, pathname } = new URL(url);
+  const slug = `${hostname}${pathname}`.replace(/\/+$/, '').replace(/[^a-zA-Z0-9_.-]+/g, '_');
+  return `${slug}--${shot}--${viewport}${browser === DEFAULT_BROWSER ? '' : `--${browser}`}.png`;
+}
+
+// Copy a PNG onto a larger canvas; the uncovered area is opaque magenta so it always counts as changed
+function padTo(png, width, height) {
+  if (png.width === width && png.height === height) return png;
+  const padded = new PNG({ width, height });
+  for (let i = 0; i < padded.data.length; i += 4) {
+    padded.data[i] = 255;
+    padded.data[i + 1] = 0;
+    padded.data[i + 2] = 255;
+    padded.data[i + 3] = 255;
+  }
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded;
+}
+
+/**
+ * Compares two PNG screenshots pixel by pixel. Images of different sizes are
+ * padded to the larger size first, so a page that grew or shrank counts the
+ * difference in height as changed pixels.
+ *
+ * @param {Buffer} baseline - Approved PNG.
+ * @param {Buffer} current - PNG from this run.
+ * @returns {{ diffPixels: number, diffRatio: number, sizeChanged: boolean, diffPng: Buffer }}
+ */
+export function compareScreenshots(baseline, current) {
+  const before = PNG.sync.read(baseline);
+  const after = PNG.sync.read(current);
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const diff = new PNG({ width, height });
+
+  const diffPixels = pixelmatch(
+    padTo(before, width, height).data,
+    padTo(after, width, height).data,
+    diff.data,
+    width,
+    height,
+    { threshold: PIXEL_THRESHOLD }
+  );
+
+  return {
+    diffPixels,
+    diffRatio: diffPixels / (width * height),
+    sizeChanged: before.width !== after.width || before.height !== after.height,
+    diffPng: PNG.sync.write(diff),
+  };
+}
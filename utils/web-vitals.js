@@ -0,0 +1,107 @@
+// Core Web Vitals and navigation timing: in-page collection, page types and budget checks
+import { pageTypes, performanceBudgets } from '../config.js';
+
+// Metrics TC-21 reports, in display order; all are milliseconds except CLS
+export const METRICS = ['lcp', 'cls', 'inp', 'tbt', 'ttfb', 'dcl'];
+
+/**
+ * Init script (runs in the page before any of its scripts) that starts
+ * PerformanceObserver collection into `window.__qaVitals`. Registered on every
+ * browser context by the runner so long tasks and layout shifts from the very
+ * start of the load are seen. Entry types the browser lacks are skipped, and
+ * their values stay null (not measured) rather than reading as zero.
+ */
+export function webVitalsInitScript() {
+  const vitals = { lcp: null, fcp: null, cls: null, longTasks: null, inp: null };
+  window.__qaVitals = vitals;
+  // True once the observer is registered; entries are delivered later, as a task
+  const observe = (type, onEntry, options = {}) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(onEntry)).observe({ type, buffered: true, ...options });
+      return true;
+    } catch {
+      return false; // entry type not supported by this browser (e.g. longtask and layout-shift in Firefox and WebKit)
+    }
+  };
+
+  observe('largest-contentful-paint', entry => { vitals.lcp = entry.startTime; });
+  observe('paint', entry => { if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime; });
+  if (observe('longtask', entry => { vitals.longTasks.push([entry.startTime, entry.duration]); })) vitals.longTasks = [];
+  observe('event', entry => {
+    if (entry.interactionId) vitals.inp = Math.max(vitals.inp || 0, entry.duration);
+  }, { durationThreshold: 16 });
+
+  // CLS: largest session window (gaps < 1 s, window < 5 s) of shifts without recent input
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let lastShift = 0;
+  const observesShifts = observe('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+    if (sessionValue && entry.startTime - lastShift < 1000 && entry.startTime - sessionStart < 5000) {
+      sessionValue += entry.value;
+    } else {
+      sessionValue = entry.value;
+      sessionStart = entry.startTime;
+    }
+    lastShift = entry.startTime;
+    vitals.cls = Math.max(vitals.cls, sessionValue);
+  });
+  if (observesShifts) vitals.cls = 0;
+}
+
+/**
+ * Reads the collected vitals plus Navigation Timing from a page. INP has no real
+ * user here, so it is approximated from one synthetic key press; TBT sums the
+ * blocking part (> 50 ms) of long tasks after FCP up to now, standing in for TTI.
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Object>} { lcp, cls, inp, tbt, ttfb, dcl }; null where the browser gave no data.
+ */
+export async function collectWebVitals(page) {
+  await page.keyboard.press('Tab').catch(() => {});
+  await page.waitForTimeout(500);
+  return page.evaluate(() => {
+    const vitals = window.__qaVitals || {};
+    const [nav] = performance.getEntriesByType('navigation');
+    const round = value => (value === null || value === undefined ? null : Math.round(value));
+    const fcp = vitals.fcp ?? 0;
+    const tbt = vitals.longTasks
+      ? vitals.longTasks
+        .filter(([start]) => start >= fcp)
+        .reduce((sum, [, duration]) => sum + Math.max(0, duration - 50), 0)
+      : null;
+    return {
+      lcp: round(vitals.lcp),
+      cls: vitals.cls === null || vitals.cls === undefined ? null : Math.round(vitals.cls * 1000) / 1000,
+      inp: round(vitals.inp),
+      tbt: round(tbt),
+      ttfb: nav ? round(nav.responseStart - nav.startTime) : null,
+      dcl: nav ? round(nav.domContentLoadedEventEnd - nav.startTime) : null,
+    };
+  });
+}
+
+// Page type of a URL from config.js pageTypes, or 'default'
+export function pageTypeFor(url, types = pageTypes) {
+  const { pathname } = new URL(url);
+  return types.find(({ pattern }) => pattern.test(pathname))?.type || 'default';
+}
+
+// Budget for a page type: the type's overrides on top of the default budget
+export function budgetFor(pageType, budgets = performanceBudgets) {
+  return { ...budgets.default, ...budgets[pageType] };
+}
+
+/**
+ * Compares metrics with a budget. Metrics without data or without a budget are skipped.
+ *
+ * @returns {string[]} One "lcp 5200ms > 4000ms" entry per metric over budget.
+ */
+export function overBudget(metrics, budget) {
+  return METRICS
+    .filter(metric => metrics[metric] !== null && metrics[metric] !== undefined && budget[metric] !== undefined)
+    .filter(metric => metrics[metric] > budget[metric])
+    .map(metric => (metric === 'cls'
+      ? `cls ${metrics.cls} > ${budget.cls}`
+      : `${metric} ${metrics[metric]}ms > ${budget[metric]}ms`));
+}
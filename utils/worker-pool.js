@@ -0,0 +1,165 @@
+// Worker pool for URL processing: global + per-host concurrency with adaptive backoff on 403/429
+import { logger } from './logger.js';
+
+export const DEFAULT_CONCURRENCY = 3;
+export const DEFAULT_HOST_CONCURRENCY = 3;
+const THROTTLE_STATUSES = [403, 429];
+
+// Hostname of a URL, or '' for anything unparsable (those share one slot group)
+export function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Creates a pool that runs work items as soon as a slot frees up, instead of in
+ * fixed batches. Items are grouped by host (`keyOf`); each host has its own
+ * concurrency limit on top of the global one.
+ *
+ * When `reportStatus` sees a 403 or 429 for a host, that host backs off: its
+ * limit is halved and new items for it start no more often than once per backoff
+ * interval (doubling on each throttle, honouring Retry-After, capped at
+ * `maxBackoffMs`). Successful responses shrink the backoff and raise the limit
+ * by one each, until it is back at the configured one (which may take longer than
+ * the backoff). Other hosts keep running at full speed.
+ *
+ * @param {Object} [config]
+ * @param {number} [config.concurrency] - Items running at once across all hosts.
+ * @param {number|Object} [config.hostConcurrency] - Per-host limit, or a map by hostname with an optional '*' default.
+ * @param {number} [config.initialBackoffMs=5000] - First backoff after a throttled response.
+ * @param {number} [config.maxBackoffMs=120000] - Upper bound for the backoff.
+ * @returns {{ run: Function, reportStatus: Function, hostStatus: Function }}
+ * @throws {Error} When a limit is not an integer of at least 1.
+ */
+export function createWorkerPool({
+  concurrency = DEFAULT_CONCURRENCY,
+  hostConcurrency = DEFAULT_HOST_CONCURRENCY,
+  initialBackoffMs = 5000,
+  maxBackoffMs = 120000,
+} = {}) {
+  // A limit of 0 (or a mistyped one) would never let an item start, and run() would never settle
+  const checkLimit = (name, value) => {
+    if (!Number.isInteger(value) || value < 1) throw new Error(`Worker pool ${name} must be an integer of at least 1, got ${value}`);
+  };
+  checkLimit('concurrency', concurrency);
+  if (typeof hostConcurrency === 'number') checkLimit('hostConcurrency', hostConcurrency);
+  else Object.entries(hostConcurrency).forEach(([host, limit]) => checkLimit(`hostConcurrency for ${host}`, limit));
+
+  const hosts = new Map();
+
+  const configuredLimit = host => {
+    if (typeof hostConcurrency === 'number') return hostConcurrency;
+    return hostConcurrency[host] ?? hostConcurrency['*'] ?? DEFAULT_HOST_CONCURRENCY;
+  };
+
+  const hostState = host => {
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, limit: configuredLimit(host), backoffMs: 0, nextStartAt: 0 });
+    }
+    return hosts.get(host);
+  };
+
+  let wake = () => {};
+
+  // Feed a response status back into the host's throttle state
+  function reportStatus(url, status, retryAfter) {
+    const host = hostOf(url);
+    const state = hostState(host);
+    if (THROTTLE_STATUSES.includes(status)) {
+      const retryAfterMs = parseInt(retryAfter, 10) * 1000 || 0;
+      state.backoffMs = Math.min(maxBackoffMs, Math.max(state.backoffMs ? state.backoffMs * 2 : initialBackoffMs, retryAfterMs));
+      state.limit = Math.max(1, Math.ceil(state.limit / 2));
+      state.nextStartAt = Date.now() + state.backoffMs;
+      logger.warn(`[THROTTLE] ${host} returned ${status}; backing off ${state.backoffMs / 1000}s, limit ${state.limit}`);
+    } else if (status < 400 && (state.backoffMs || state.limit < configuredLimit(host))) {
+      state.backoffMs = state.backoffMs >= 2 * initialBackoffMs ? Math.floor(state.backoffMs / 2) : 0;
+      state.limit = Math.min(configuredLimit(host), state.limit + 1);
+      if (!state.backoffMs && state.limit === configuredLimit(host)) logger.info(`[THROTTLE] ${host} recovered; limit ${state.limit}`);
+    }
+    wake();
+  }
+
+  /**
+   * Runs `worker(item, enqueue)` for every item. Resolves when all have finished;
+   * if a worker throws, the remaining items still run and the first error is
+   * rethrown. A worker may call `enqueue(item)` to add work to the same run (e.g.
+   * pages discovered while crawling); it is awaited like the initial items.
+   *
+   * @param {Array} items
+   * @param {(item: any, enqueue: (item: any) => void) => Promise<any>} worker
+   * @param {Object} [options]
+   * @param {(item: any) => string} [options.keyOf] - Host key of an item (defaults to hostOf(item)).
+   * @returns {Promise<void>}
+   */
+  function run(items, worker, { keyOf = hostOf } = {}) {
+    return new Promise((resolve, reject) => {
+      const pending = items.map(item => ({ item, host: keyOf(item) }));
+      let active = 0;
+      let timer = null;
+      let firstError = null;
+
+      const finish = () => {
+        wake = () => {};
+        return firstError ? reject(firstError) : resolve();
+      };
+
+      const pump = () => {
+        if (timer) {
+          clearTimeout(timer);
+          timer = null;
+        }
+        const now = Date.now();
+        let nextWakeAt = Infinity;
+        for (let i = 0; i < pending.length && active < concurrency;) {
+          const state = hostState(pending[i].host);
+          if (state.active >= state.limit) {
+            i++;
+            continue;
+          }
+          if (state.nextStartAt > now) {
+            nextWakeAt = Math.min(nextWakeAt, state.nextStartAt);
+            i++;
+            continue;
+          }
+          const [{ item }] = pending.splice(i, 1);
+          active++;
+          state.active++;
+          // While a host is backing off, space its starts one backoff interval apart
+          if (state.backoffMs) state.nextStartAt = now + state.backoffMs;
+          Promise.resolve()
+            .then(() => worker(item, enqueue))
+            .catch(err => { firstError = firstError || err; })
+            .finally(() => {
+              active--;
+              state.active--;
+              if (!pending.length && !active) finish();
+              else pump();
+            });
+        }
+        if (pending.length && nextWakeAt !== Infinity) {
+          timer = setTimeout(pump, nextWakeAt - now);
+        }
+      };
+
+      const enqueue = item => {
+        pending.push({ item, host: keyOf(item) });
+        pump();
+      };
+
+      if (!pending.length) return finish();
+      wake = pump;
+      pump();
+    });
+  }
+
+  // Current throttle state per host, for logging and tests
+  function hostStatus(host) {
+    const { active, limit, backoffMs } = hostState(host);
+    return { active, limit, backoffMs };
+  }
+
+  return { run, reportStatus, hostStatus };
+}